@@ -19,8 +19,16 @@ CREATE TABLE IF NOT EXISTS categories (
     display_name VARCHAR(100) NOT NULL,
     description TEXT,
     icon VARCHAR(50),
+    -- Categoria pai (NULL = categoria raiz), ex.: Eletrônicos > Celulares > Acessórios
+    parent_id INT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    CONSTRAINT fk_category_parent 
+        FOREIGN KEY (parent_id) REFERENCES categories(id) 
+        ON DELETE RESTRICT ON UPDATE CASCADE,
+    
+    INDEX idx_category_parent (parent_id)
 );
 
 -- Inserir categorias padrão
@@ -44,7 +52,13 @@ CREATE TABLE IF NOT EXISTS products (
     description TEXT,
     image_url VARCHAR(500),
     sku VARCHAR(100) UNIQUE,
+    -- Saldo das movimentações em inventory_movements; não alterar diretamente
     stock_quantity INT DEFAULT 0 CHECK (stock_quantity >= 0),
+    weight_kg DECIMAL(8, 3) DEFAULT 0 CHECK (weight_kg >= 0),
+    -- Ponto de reposição: estoque igual ou abaixo entra no relatório de estoque baixo (NULL = sem alerta)
+    reorder_threshold INT NULL CHECK (reorder_threshold >= 0),
+    -- Versão dos dados do produto (ETag/If-Match); incrementada a cada edição e mudança de preço
+    version INT NOT NULL DEFAULT 1,
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -65,16 +79,24 @@ CREATE TABLE IF NOT EXISTS products (
 CREATE TABLE IF NOT EXISTS discounts (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
-    type ENUM('category', 'coupon', 'product') NOT NULL,
+    type ENUM('category', 'coupon', 'product', 'bulk', 'buy_x_get_y') NOT NULL,
+    code VARCHAR(50) NULL UNIQUE,
     category_id INT NULL,
     product_id INT NULL,
-    percentage DECIMAL(5, 2) NOT NULL CHECK (percentage > 0 AND percentage <= 100),
-    fixed_amount DECIMAL(10, 2) DEFAULT 0,
+    percentage DECIMAL(5, 2) NOT NULL DEFAULT 0 CHECK (percentage >= 0 AND percentage <= 100),
+    fixed_amount DECIMAL(10, 2) DEFAULT 0 CHECK (fixed_amount >= 0),
     is_active BOOLEAN DEFAULT TRUE,
     start_date TIMESTAMP NULL,
     end_date TIMESTAMP NULL,
     usage_limit INT DEFAULT NULL,
     usage_count INT DEFAULT 0,
+    -- Carrinho: quantidade mínima da faixa (bulk), leve X ganhe Y e pedido mínimo do cupom
+    min_quantity INT NULL CHECK (min_quantity >= 2),
+    buy_quantity INT NULL CHECK (buy_quantity >= 1),
+    get_quantity INT NULL CHECK (get_quantity >= 1),
+    min_order_value DECIMAL(10, 2) NULL CHECK (min_order_value > 0),
+    -- Desconto de categoria: também vale para as subcategorias, em qualquer nível
+    include_subcategories BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
@@ -86,11 +108,139 @@ CREATE TABLE IF NOT EXISTS discounts (
         FOREIGN KEY (product_id) REFERENCES products(id) 
         ON DELETE CASCADE ON UPDATE CASCADE,
     
+    -- Desconto percentual ou de valor fixo (percentual tem precedência);
+    -- no leve X ganhe Y sem valor os itens ganhos saem de graça
+    CONSTRAINT chk_discount_value CHECK (percentage > 0 OR fixed_amount > 0 OR type = 'buy_x_get_y'),
+    
     INDEX idx_discount_type (type),
     INDEX idx_discount_active (is_active),
     INDEX idx_discount_dates (start_date, end_date)
 );
 
+-- ============================================================
+-- TABELA DE CONFIGURAÇÕES DA LOJA
+-- ============================================================
+CREATE TABLE IF NOT EXISTS store_settings (
+    setting_key VARCHAR(100) PRIMARY KEY,
+    setting_value JSON NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Política de acúmulo de descontos: compound | additive | best, com limite opcional
+INSERT IGNORE INTO store_settings (setting_key, setting_value) VALUES
+('discount_stacking_policy', '{"mode": "compound", "maxDiscountPercent": null}');
+
+-- Arredondamento de preços: half-up | half-even, a cada etapa (step) ou só no final (end)
+INSERT IGNORE INTO store_settings (setting_key, setting_value) VALUES
+('price_rounding', '{"mode": "half-up", "scope": "step"}');
+
+-- ============================================================
+-- TABELAS DE REGRAS DE FRETE
+-- ============================================================
+
+-- Taxa de frete por unidade, por categoria
+CREATE TABLE IF NOT EXISTS shipping_rates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    category_id INT NOT NULL UNIQUE,
+    rate DECIMAL(10, 2) NOT NULL CHECK (rate >= 0),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    CONSTRAINT fk_shipping_rate_category 
+        FOREIGN KEY (category_id) REFERENCES categories(id) 
+        ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Acréscimo por faixa de peso total do pedido (opcional; max_weight_kg NULL = sem limite)
+CREATE TABLE IF NOT EXISTS shipping_weight_ranges (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    min_weight_kg DECIMAL(8, 3) NOT NULL DEFAULT 0 CHECK (min_weight_kg >= 0),
+    max_weight_kg DECIMAL(8, 3) NULL,
+    surcharge DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (surcharge >= 0),
+    is_active BOOLEAN DEFAULT TRUE,
+    
+    CONSTRAINT chk_shipping_weight_range CHECK (max_weight_kg IS NULL OR max_weight_kg > min_weight_kg),
+    
+    INDEX idx_shipping_weight (min_weight_kg, max_weight_kg)
+);
+
+-- Acréscimo por faixa de CEP de destino (opcional; CEP com 8 dígitos, sem hífen)
+CREATE TABLE IF NOT EXISTS shipping_cep_ranges (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    region VARCHAR(100) NOT NULL,
+    cep_start CHAR(8) NOT NULL,
+    cep_end CHAR(8) NOT NULL,
+    surcharge DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (surcharge >= 0),
+    is_active BOOLEAN DEFAULT TRUE,
+    
+    CONSTRAINT chk_shipping_cep_range CHECK (cep_start <= cep_end),
+    
+    INDEX idx_shipping_cep (cep_start, cep_end)
+);
+
+-- Taxas padrão (antes fixas no ShippingDecorator)
+INSERT INTO shipping_rates (category_id, rate) VALUES
+(1, 25.00),
+(2, 10.00),
+(3, 15.00)
+ON DUPLICATE KEY UPDATE rate = VALUES(rate);
+
+INSERT INTO shipping_weight_ranges (min_weight_kg, max_weight_kg, surcharge)
+SELECT * FROM (
+    SELECT 0.000, 5.000, 0.00 UNION ALL
+    SELECT 5.000, 20.000, 20.00 UNION ALL
+    SELECT 20.000, NULL, 50.00
+) AS defaults
+WHERE NOT EXISTS (SELECT 1 FROM shipping_weight_ranges);
+
+INSERT INTO shipping_cep_ranges (region, cep_start, cep_end, surcharge)
+SELECT * FROM (
+    SELECT 'Sudeste', '01000000', '39999999', 0.00 UNION ALL
+    SELECT 'Nordeste', '40000000', '65999999', 15.00 UNION ALL
+    SELECT 'Norte', '66000000', '69999999', 25.00 UNION ALL
+    SELECT 'Centro-Oeste', '70000000', '79999999', 12.00 UNION ALL
+    SELECT 'Sul', '80000000', '99999999', 8.00
+) AS defaults
+WHERE NOT EXISTS (SELECT 1 FROM shipping_cep_ranges);
+
+-- Frete grátis para pedidos a partir do valor informado (null = desativado)
+INSERT IGNORE INTO store_settings (setting_key, setting_value) VALUES
+('shipping_free_above', '{"amount": 299.00}');
+
+-- ============================================================
+-- TABELA DE ALÍQUOTAS DE IMPOSTOS
+-- ============================================================
+-- Alíquota por categoria e UF de destino; uf NULL vale para os estados sem alíquota própria
+CREATE TABLE IF NOT EXISTS tax_rates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    category_id INT NOT NULL,
+    uf CHAR(2) NULL,
+    tax_type ENUM('icms', 'iss') NOT NULL DEFAULT 'icms',
+    rate DECIMAL(5, 2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    CONSTRAINT fk_tax_rate_category 
+        FOREIGN KEY (category_id) REFERENCES categories(id) 
+        ON DELETE CASCADE ON UPDATE CASCADE,
+    
+    UNIQUE KEY uk_tax_rate (category_id, uf, tax_type),
+    INDEX idx_tax_rate_uf (uf)
+);
+
+-- Alíquotas de exemplo (livros são imunes de ICMS, por isso não têm alíquota)
+INSERT INTO tax_rates (category_id, uf, tax_type, rate)
+SELECT * FROM (
+    SELECT 1, NULL, 'icms', 17.00 UNION ALL
+    SELECT 1, 'SP', 'icms', 18.00 UNION ALL
+    SELECT 1, 'RJ', 'icms', 20.00 UNION ALL
+    SELECT 3, NULL, 'icms', 7.00 UNION ALL
+    SELECT 3, 'RJ', 'icms', 12.00
+) AS defaults
+WHERE NOT EXISTS (SELECT 1 FROM tax_rates);
+
 -- ============================================================
 -- TABELA DE HISTÓRICO DE PREÇOS
 -- ============================================================
@@ -111,6 +261,193 @@ CREATE TABLE IF NOT EXISTS price_history (
     INDEX idx_price_history_date (created_at)
 );
 
+-- ============================================================
+-- TABELA DE ALTERAÇÕES DE PREÇO AGENDADAS
+-- ============================================================
+-- Aplicadas pelo agendador do servidor (PriceScheduler) quando effective_at chega;
+-- cada alteração aplicada gera uma linha em price_history com motivo 'scheduled'
+CREATE TABLE IF NOT EXISTS scheduled_price_changes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    new_price DECIMAL(10, 2) NOT NULL CHECK (new_price > 0),
+    effective_at DATETIME NOT NULL,
+    status ENUM('pending', 'applied', 'cancelled', 'failed') NOT NULL DEFAULT 'pending',
+    created_by VARCHAR(100),
+    applied_at TIMESTAMP NULL,
+    error VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT fk_scheduled_price_product 
+        FOREIGN KEY (product_id) REFERENCES products(id) 
+        ON DELETE CASCADE ON UPDATE CASCADE,
+    
+    INDEX idx_scheduled_price_due (status, effective_at)
+);
+
+-- ============================================================
+-- TABELAS DE CARRINHO
+-- ============================================================
+CREATE TABLE IF NOT EXISTS carts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Uma linha por produto; adicionar o mesmo produto soma a quantidade
+CREATE TABLE IF NOT EXISTS cart_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    cart_id INT NOT NULL,
+    product_id INT NOT NULL,
+    quantity INT NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    CONSTRAINT fk_cart_item_cart 
+        FOREIGN KEY (cart_id) REFERENCES carts(id) 
+        ON DELETE CASCADE ON UPDATE CASCADE,
+    
+    CONSTRAINT fk_cart_item_product 
+        FOREIGN KEY (product_id) REFERENCES products(id) 
+        ON DELETE CASCADE ON UPDATE CASCADE,
+    
+    UNIQUE KEY uk_cart_item_product (cart_id, product_id)
+);
+
+-- ============================================================
+-- TABELAS DE PEDIDOS
+-- ============================================================
+-- Preços e descontos ficam congelados no pedido: alterações posteriores
+-- em produtos ou descontos não mudam pedidos já fechados
+CREATE TABLE IF NOT EXISTS orders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    cart_id INT NULL,
+    status ENUM('placed', 'cancelled') NOT NULL DEFAULT 'placed',
+    subtotal DECIMAL(10, 2) NOT NULL CHECK (subtotal >= 0),
+    discount_total DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (discount_total >= 0),
+    total DECIMAL(10, 2) NOT NULL CHECK (total >= 0),
+    coupon_codes JSON,
+    -- Descontos de carrinho aplicados: [{ decorator, discountId, discountName, amount }]
+    adjustments JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    CONSTRAINT fk_order_cart 
+        FOREIGN KEY (cart_id) REFERENCES carts(id) 
+        ON DELETE SET NULL ON UPDATE CASCADE,
+    
+    INDEX idx_order_status (status),
+    INDEX idx_order_date (created_at)
+);
+
+CREATE TABLE IF NOT EXISTS order_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    product_id INT NOT NULL,
+    product_name VARCHAR(255) NOT NULL,
+    sku VARCHAR(100),
+    quantity INT NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10, 2) NOT NULL,
+    final_unit_price DECIMAL(10, 2) NOT NULL,
+    line_total DECIMAL(10, 2) NOT NULL,
+    -- Descontos do produto aplicados na linha: [{ decorator, discountId, discountName, amount }]
+    adjustments JSON,
+    
+    CONSTRAINT fk_order_item_order 
+        FOREIGN KEY (order_id) REFERENCES orders(id) 
+        ON DELETE CASCADE ON UPDATE CASCADE,
+    
+    CONSTRAINT fk_order_item_product 
+        FOREIGN KEY (product_id) REFERENCES products(id) 
+        ON DELETE RESTRICT ON UPDATE CASCADE,
+    
+    INDEX idx_order_item_product (product_id)
+);
+
+-- ============================================================
+-- TABELA DE MOVIMENTAÇÕES DE ESTOQUE
+-- ============================================================
+-- quantity é a variação com sinal (entradas positivas, saídas negativas);
+-- products.stock_quantity é o saldo e balance_after o saldo após a movimentação
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    type ENUM('receive', 'adjust', 'damage', 'sale', 'return') NOT NULL,
+    quantity INT NOT NULL CHECK (quantity <> 0),
+    balance_after INT NOT NULL CHECK (balance_after >= 0),
+    order_id INT NULL,
+    note VARCHAR(255),
+    created_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT fk_inventory_movement_product 
+        FOREIGN KEY (product_id) REFERENCES products(id) 
+        ON DELETE CASCADE ON UPDATE CASCADE,
+    
+    CONSTRAINT fk_inventory_movement_order 
+        FOREIGN KEY (order_id) REFERENCES orders(id) 
+        ON DELETE SET NULL ON UPDATE CASCADE,
+    
+    -- Entradas (receive, return) positivas; saídas (damage, sale) negativas
+    CONSTRAINT chk_inventory_movement_sign CHECK (
+        (type IN ('receive', 'return') AND quantity > 0) OR
+        (type IN ('damage', 'sale') AND quantity < 0) OR
+        type = 'adjust'
+    ),
+    
+    INDEX idx_inventory_movement_product (product_id, created_at),
+    INDEX idx_inventory_movement_type (type)
+);
+
+-- ============================================================
+-- MIGRAÇÃO DE BANCOS EXISTENTES
+-- ============================================================
+-- O CREATE TABLE IF NOT EXISTS não altera tabelas que já existem; as colunas
+-- adicionadas depois da criação inicial são incluídas aqui com IF NOT EXISTS
+-- (MariaDB), de modo que o script pode ser executado de novo sem erro
+
+-- Desconto de valor fixo: percentual 0 passa a ser aceito (as restrições de coluna
+-- são substituídas pelo MODIFY COLUMN; chk_discount_value é refeita logo abaixo)
+ALTER TABLE discounts
+    MODIFY COLUMN percentage DECIMAL(5, 2) NOT NULL DEFAULT 0 CHECK (percentage >= 0 AND percentage <= 100),
+    MODIFY COLUMN fixed_amount DECIMAL(10, 2) DEFAULT 0 CHECK (fixed_amount >= 0);
+
+-- Código do cupom (resgate por código)
+ALTER TABLE discounts
+    ADD COLUMN IF NOT EXISTS code VARCHAR(50) NULL UNIQUE AFTER type;
+
+-- Peso do produto (cálculo do frete)
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS weight_kg DECIMAL(8, 3) DEFAULT 0 CHECK (weight_kg >= 0) AFTER stock_quantity;
+
+-- Descontos de carrinho: faixa por quantidade (bulk), leve X ganhe Y e pedido mínimo do cupom
+ALTER TABLE discounts
+    MODIFY COLUMN type ENUM('category', 'coupon', 'product', 'bulk', 'buy_x_get_y') NOT NULL,
+    ADD COLUMN IF NOT EXISTS min_quantity INT NULL CHECK (min_quantity >= 2) AFTER usage_count,
+    ADD COLUMN IF NOT EXISTS buy_quantity INT NULL CHECK (buy_quantity >= 1) AFTER min_quantity,
+    ADD COLUMN IF NOT EXISTS get_quantity INT NULL CHECK (get_quantity >= 1) AFTER buy_quantity,
+    ADD COLUMN IF NOT EXISTS min_order_value DECIMAL(10, 2) NULL CHECK (min_order_value > 0) AFTER get_quantity,
+    DROP CONSTRAINT IF EXISTS chk_discount_value,
+    ADD CONSTRAINT chk_discount_value CHECK (percentage > 0 OR fixed_amount > 0 OR type = 'buy_x_get_y');
+
+-- Ponto de reposição (relatório de estoque baixo)
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS reorder_threshold INT NULL CHECK (reorder_threshold >= 0) AFTER weight_kg;
+
+-- Hierarquia de categorias e descontos de categoria que valem para as subcategorias
+ALTER TABLE categories
+    ADD COLUMN IF NOT EXISTS parent_id INT NULL AFTER icon,
+    ADD INDEX IF NOT EXISTS idx_category_parent (parent_id),
+    ADD CONSTRAINT fk_category_parent
+        FOREIGN KEY IF NOT EXISTS (parent_id) REFERENCES categories(id)
+        ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE discounts
+    ADD COLUMN IF NOT EXISTS include_subcategories BOOLEAN NOT NULL DEFAULT FALSE AFTER min_order_value;
+
+-- Versão do produto para o controle de concorrência das edições
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1 AFTER reorder_threshold;
+
 -- ============================================================
 -- VIEWS PARA CONSULTAS OTIMIZADAS
 -- ============================================================
@@ -125,6 +462,7 @@ SELECT
     p.image_url,
     p.sku,
     p.stock_quantity,
+    p.weight_kg,
     p.is_active,
     p.created_at,
     p.updated_at,
@@ -140,6 +478,7 @@ SELECT
     d.id,
     d.name,
     d.type,
+    d.code,
     d.percentage,
     d.fixed_amount,
     d.start_date,
@@ -247,25 +586,28 @@ DELIMITER ;
 DELIMITER //
 
 -- Trigger para registrar histórico de mudanças de preço
+-- A aplicação informa quem alterou e o motivo em @price_change_user e
+-- @price_change_reason (PriceHistoryRepository.runWithChangeContext)
 CREATE OR REPLACE TRIGGER tr_product_price_history
 AFTER UPDATE ON products
 FOR EACH ROW
 BEGIN
     IF OLD.price != NEW.price THEN
         INSERT INTO price_history (product_id, old_price, new_price, change_reason, changed_by)
-        VALUES (NEW.id, OLD.price, NEW.price, 'Atualização manual', USER());
+        VALUES (
+            NEW.id,
+            OLD.price,
+            NEW.price,
+            COALESCE(@price_change_reason, 'Atualização manual'),
+            COALESCE(@price_change_user, USER())
+        );
     END IF;
 END //
 
--- Trigger para atualizar contador de uso de desconto
-CREATE OR REPLACE TRIGGER tr_discount_usage_increment
-AFTER INSERT ON discounts
-FOR EACH ROW
-BEGIN
-    -- Lógica para incrementar usage_count quando necessário
-    -- (será implementada conforme necessidade específica)
-    SET @dummy = 0;
-END //
+-- O contador usage_count é incrementado pela aplicação no resgate do cupom
+-- (POST /api/coupons/:code/redeem), dentro de uma transação com a linha
+-- do desconto bloqueada; o antigo trigger placeholder foi removido
+DROP TRIGGER IF EXISTS tr_discount_usage_increment //
 
 DELIMITER ;
 
@@ -291,8 +633,14 @@ INSERT INTO products (name, category_id, price, description, sku, stock_quantity
 ('Mel Puro 300g', 3, 32.50, 'Mel puro de flores silvestres 300g', 'ALI-MEL-300', 80)
 ON DUPLICATE KEY UPDATE 
     price = VALUES(price),
-    description = VALUES(description),
-    stock_quantity = VALUES(stock_quantity);
+    description = VALUES(description);
+
+-- Saldo inicial dos produtos de exemplo como movimentação de recebimento
+INSERT INTO inventory_movements (product_id, type, quantity, balance_after, note)
+SELECT p.id, 'receive', p.stock_quantity, p.stock_quantity, 'Saldo inicial'
+FROM products p
+WHERE p.stock_quantity > 0
+AND NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.product_id = p.id);
 
 -- Descontos de exemplo
 INSERT INTO discounts (name, type, category_id, percentage, is_active, start_date, end_date) VALUES
@@ -225,13 +225,22 @@ class FilterFactory {
 
 // === APLICAÇÃO PRINCIPAL ===
 
+// Produtos por página da listagem ("Carregar mais" busca a página seguinte)
+const PRODUCTS_PAGE_SIZE = 20;
+
 class ProductApp {
     constructor() {
-        this.products = [];
+        this.products = []; // Páginas já carregadas da listagem atual
+        this.productOptions = []; // Todos os produtos ativos, para os seletores (/api/products/options)
+        this.categories = []; // Categorias cadastradas (/api/categories)
         this.activeDiscounts = [];
+        this.stackingPolicy = null;
         this.currentSection = 'produtos';
         this.isEditing = false;
-        this.editingProductName = null;
+        this.editingProductId = null;
+        this.editingETag = null; // Versão do produto em edição (If-Match)
+        this.currentFilterParams = {}; // Filtros da listagem atual
+        this.nextCursor = null; // Cursor da próxima página (null = última página)
         
         // Sistema de filtros com padrão Decorator
         this.currentFilter = new BaseFilter();
@@ -243,7 +252,10 @@ class ProductApp {
         try {
             this.setupEventListeners();
             await this.loadCategoriesFromAPI(); // Carregar categorias primeiro
+            await this.loadStackingPolicyFromAPI(); // Política de acúmulo da loja
+            await this.loadDiscountsFromAPI(); // Descontos persistidos no servidor
             await this.loadProductsFromAPI();
+            await this.loadProductOptionsFromAPI();
             this.updateDiscountFilterButton(); // Inicializar visibilidade do botão
         } catch (error) {
             console.error('Erro na inicialização:', error);
@@ -272,13 +284,17 @@ class ProductApp {
 
         // Produtos
         setupListener('btn-adicionar', 'click', () => this.openProductModal());
+        setupListener('btn-nova-categoria', 'click', () => this.createCategory());
         setupListener('btn-limpar-filtros', 'click', () => this.clearFilters());
+        setupListener('btn-carregar-mais', 'click', () => this.loadMoreProducts());
         setupListener('btn-atualizar-stats', 'click', () => this.updateStatistics());
         setupListener('btn-only-discounts', 'click', () => this.toggleDiscountFilter());
 
         // Filtros
         setupListener('filtro-categoria', 'change', () => this.applyFilters());
         setupListener('filtro-busca', 'input', () => this.applyFilters());
+        setupListener('ordenar-campo', 'change', () => this.applyFilters());
+        setupListener('ordenar-direcao', 'change', () => this.applyFilters());
 
         // Modal
         setupListener('modal-fechar', 'click', () => this.closeModal());
@@ -287,8 +303,10 @@ class ProductApp {
 
         // Descontos  
         setupListener('btn-aplicar-categoria', 'click', () => this.applyCategoryDiscount());
+        setupListener('btn-aplicar-produto', 'click', () => this.applyProductDiscount());
         setupListener('btn-aplicar-cupom', 'click', () => this.applyCouponDiscount());
         setupListener('btn-limpar-descontos', 'click', () => this.clearDiscounts());
+        setupListener('btn-salvar-politica', 'click', () => this.saveStackingPolicy());
 
         // Fechar modal clicando no overlay
         const modal = document.getElementById('modal-produto');
@@ -311,23 +329,35 @@ class ProductApp {
 
     // === API CALLS ===
 
-    async loadProductsFromAPI(filterParams = {}) {
+    /**
+     * Carrega a primeira página de produtos ou, com cursor, a página seguinte
+     * (acrescentada à lista atual)
+     */
+    async loadProductsFromAPI(filterParams = {}, cursor = null) {
         try {
             this.showLoading(true);
             
             // Construir URL com parâmetros de filtro
             const params = new URLSearchParams();
-            if (filterParams.category) params.append('category', filterParams.category);
+            if (filterParams.category) {
+                params.append('category', filterParams.category);
+                // Uma categoria inclui os produtos das suas subcategorias
+                params.append('includeSubcategories', 'true');
+            }
             if (filterParams.search) params.append('search', filterParams.search);
             if (filterParams.minPrice !== undefined) params.append('minPrice', filterParams.minPrice);
             if (filterParams.maxPrice !== undefined) params.append('maxPrice', filterParams.maxPrice);
             if (filterParams.inStockOnly) params.append('inStockOnly', 'true');
+            if (filterParams.sort) params.append('sort', filterParams.sort);
             
             // Usar URL de filtros apenas se houver parâmetros válidos
             const hasFilters = params.toString().length > 0;
+            params.append('withPricing', 'true'); // Detalhamento de preço calculado no servidor
+            params.append('limit', PRODUCTS_PAGE_SIZE);
+            if (cursor) params.append('cursor', cursor);
             const url = hasFilters 
                 ? `/api/products/filter?${params.toString()}`
-                : '/api/products';
+                : `/api/products?${params.toString()}`;
                 
             console.log('🌐 URL da requisição:', url);
                 
@@ -335,22 +365,32 @@ class ProductApp {
             const result = await response.json();
             
             if (result.success) {
-                this.products = result.data.map(item => ({
+                const page = result.data.map(item => ({
+                    id: item.id,
                     name: item.name,
                     category: item.category,
                     price: parseFloat(item.price),
+                    finalPrice: item.final_price !== undefined ? parseFloat(item.final_price) : parseFloat(item.price),
+                    adjustments: item.adjustments || [],
                     description: item.description || '',
                     sku: item.sku || '',
-                    stock: item.stock_quantity || 0
+                    stock: item.stock_quantity || 0,
+                    reorderThreshold: item.reorder_threshold ?? null,
+                    lowStock: Boolean(item.low_stock)
                 }));
                 
-                // Exibir informações sobre filtros aplicados
-                if (result.filter && result.filter !== 'Filtro base (sem filtragem)') {
+                this.products = cursor ? [...this.products, ...page] : page;
+                this.currentFilterParams = filterParams;
+                this.nextCursor = result.pagination?.nextCursor || null;
+                this.updateLoadMoreButton();
+                
+                // Exibir informações sobre filtros aplicados (apenas na primeira página)
+                if (!cursor && result.filter && result.filter !== 'Filtro base (sem filtragem)') {
                     this.showToast('success', 'Filtros aplicados', 
                         `${result.filtered} produtos encontrados. Filtro: ${result.filter}`);
-                } else {
+                } else if (!cursor) {
                     this.showToast('success', 'Produtos carregados', 
-                        `${result.count || result.total || this.products.length} produtos encontrados`);
+                        `${result.total || result.count || this.products.length} produtos encontrados`);
                 }
                 
                 this.updateProductsList(); // Atualizar a lista na interface
@@ -366,6 +406,41 @@ class ProductApp {
         }
     }
 
+    /**
+     * Carrega a próxima página da listagem atual
+     */
+    async loadMoreProducts() {
+        if (this.nextCursor) {
+            await this.loadProductsFromAPI(this.currentFilterParams, this.nextCursor);
+        }
+    }
+
+    updateLoadMoreButton() {
+        const button = document.getElementById('btn-carregar-mais');
+        if (button) {
+            button.classList.toggle('hidden', !this.nextCursor);
+        }
+    }
+
+    /**
+     * Carrega todos os produtos ativos para os seletores (a listagem é paginada)
+     */
+    async loadProductOptionsFromAPI() {
+        try {
+            const response = await fetch('/api/products/options');
+            const result = await response.json();
+            
+            if (result.success) {
+                this.productOptions = result.data;
+                this.updateProductDiscountOptions(); // Produtos disponíveis para desconto
+            } else {
+                throw new Error(result.message);
+            }
+        } catch (error) {
+            this.showToast('error', 'Erro ao carregar produtos', error.message);
+        }
+    }
+
     async addProductToAPI(productData) {
         try {
             const response = await fetch('/api/products', {
@@ -382,6 +457,7 @@ class ProductApp {
                 this.showToast('success', 'Produto adicionado', result.message);
                 await this.loadCategoriesFromAPI(); // Recarregar categorias (pode ter nova categoria)
                 await this.loadProductsFromAPI(); // Recarregar lista
+                await this.loadProductOptionsFromAPI();
                 return true;
             } else {
                 throw new Error(result.message);
@@ -392,9 +468,58 @@ class ProductApp {
         }
     }
 
-    async removeProductFromAPI(productName) {
+    async loadProductFromAPI(productId) {
+        try {
+            const response = await fetch(`/api/products/${productId}`);
+            const result = await response.json();
+            
+            if (result.success) {
+                return { product: result.data, etag: response.headers.get('ETag') };
+            } else {
+                throw new Error(result.message);
+            }
+        } catch (error) {
+            this.showToast('error', 'Erro ao carregar produto', error.message);
+            return null;
+        }
+    }
+
+    async updateProductInAPI(productId, productData, etag) {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (etag) {
+                headers['If-Match'] = etag; // Recusa (409) se outro usuário alterou o produto
+            }
+
+            const response = await fetch(`/api/products/${productId}`, {
+                method: 'PATCH',
+                headers,
+                body: JSON.stringify(productData)
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                this.showToast('success', 'Produto atualizado', result.message);
+                await this.loadProductsFromAPI(); // Recarregar lista
+                await this.loadProductOptionsFromAPI();
+                return true;
+            } else if (response.status === 409 && !result.reason) {
+                this.showToast('warning', 'Produto alterado', result.message);
+                await this.loadProductsFromAPI(); // Mostrar a versão atual
+                return false;
+            } else {
+                throw new Error(result.message);
+            }
+        } catch (error) {
+            this.showToast('error', 'Erro ao atualizar produto', error.message);
+            return false;
+        }
+    }
+
+    async removeProductFromAPI(productId) {
         try {
-            const response = await fetch(`/api/products/${encodeURIComponent(productName)}`, {
+            const response = await fetch(`/api/products/${productId}`, {
                 method: 'DELETE'
             });
             
@@ -403,6 +528,7 @@ class ProductApp {
             if (result.success) {
                 this.showToast('success', 'Produto removido', result.message);
                 await this.loadProductsFromAPI(); // Recarregar lista
+                await this.loadProductOptionsFromAPI();
                 return true;
             } else {
                 throw new Error(result.message);
@@ -413,6 +539,134 @@ class ProductApp {
         }
     }
 
+    async loadDiscountsFromAPI() {
+        try {
+            const response = await fetch('/api/discounts?active=true');
+            const result = await response.json();
+            
+            if (result.success) {
+                this.activeDiscounts = result.data;
+                this.updateDiscountInfo();
+                this.updateDiscountFilterButton();
+                return true;
+            } else {
+                throw new Error(result.message);
+            }
+        } catch (error) {
+            this.showToast('error', 'Erro ao carregar descontos', error.message);
+            return false;
+        }
+    }
+
+    async saveDiscountToAPI(discountData) {
+        try {
+            const response = await fetch('/api/discounts', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(discountData)
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                return true;
+            } else {
+                throw new Error(result.error || result.message);
+            }
+        } catch (error) {
+            this.showToast('error', 'Erro ao salvar desconto', error.message);
+            return false;
+        }
+    }
+
+    async removeDiscountFromAPI(discountId) {
+        try {
+            const url = discountId !== undefined
+                ? `/api/discounts/${encodeURIComponent(discountId)}`
+                : '/api/discounts';
+            const response = await fetch(url, { method: 'DELETE' });
+            const result = await response.json();
+            
+            if (result.success) {
+                return true;
+            } else {
+                throw new Error(result.message);
+            }
+        } catch (error) {
+            this.showToast('error', 'Erro ao remover desconto', error.message);
+            return false;
+        }
+    }
+
+    async loadStackingPolicyFromAPI() {
+        try {
+            const response = await fetch('/api/pricing/stacking-policy');
+            const result = await response.json();
+            
+            if (result.success) {
+                this.stackingPolicy = result.data;
+                this.updateStackingPolicyForm();
+                return true;
+            } else {
+                throw new Error(result.message);
+            }
+        } catch (error) {
+            this.showToast('error', 'Erro ao carregar política de acúmulo', error.message);
+            return false;
+        }
+    }
+
+    async saveStackingPolicyToAPI(policyData) {
+        try {
+            const response = await fetch('/api/pricing/stacking-policy', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(policyData)
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                this.stackingPolicy = result.data;
+                return true;
+            } else {
+                throw new Error(result.error || result.message);
+            }
+        } catch (error) {
+            this.showToast('error', 'Erro ao salvar política de acúmulo', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Recarrega descontos e produtos para refletir os preços calculados no servidor
+     */
+    async refreshDiscounts() {
+        await this.loadDiscountsFromAPI();
+        await this.loadProductsFromAPI();
+        this.updateUI();
+    }
+
+    async loadPriceHistoryFromAPI(productId) {
+        try {
+            const response = await fetch(`/api/products/${productId}/price-history`);
+            const result = await response.json();
+            
+            if (result.success) {
+                return result.data;
+            } else {
+                throw new Error(result.message);
+            }
+        } catch (error) {
+            this.showToast('error', 'Erro ao carregar histórico de preços', error.message);
+            return null;
+        }
+    }
+
     async loadStatisticsFromAPI() {
         try {
             const response = await fetch('/api/products/stats');
@@ -495,11 +749,11 @@ class ProductApp {
                     <div class="product-header">
                         <h3 class="product-name">${product.name}</h3>
                         <div class="product-actions">
-                            <button class="btn-icon edit-btn" onclick="productApp.editProduct('${product.name}')" 
+                            <button class="btn-icon edit-btn" onclick="productApp.editProduct(${product.id})" 
                                     title="Editar produto">
                                 ✏️
                             </button>
-                            <button class="btn-icon delete-btn" onclick="productApp.confirmDelete('${product.name}')" 
+                            <button class="btn-icon delete-btn" onclick="productApp.confirmDelete(${product.id})" 
                                     title="Remover produto">
                                 🗑️
                             </button>
@@ -515,7 +769,7 @@ class ProductApp {
                         <div class="product-details">
                             <div class="product-price">
                                 ${discount > 0 ? `
-                                    <div class="price-with-discount">
+                                    <div class="price-with-discount" title="${this.describeAdjustments(product)}">
                                         <span class="original-price">De: R$ ${product.price.toFixed(2)}</span>
                                         <span class="final-price">Por: R$ ${finalPrice.toFixed(2)}</span>
                                         <span class="savings-amount">Economia: R$ ${discount.toFixed(2)}</span>
@@ -526,6 +780,11 @@ class ProductApp {
                             </div>
                             ${product.sku ? `<div class="product-sku">SKU: ${product.sku}</div>` : ''}
                             ${product.stock !== undefined ? `<div class="product-stock">Estoque: ${product.stock}</div>` : ''}
+                            ${product.lowStock ? `
+                                <div class="low-stock-badge" title="Ponto de reposição: ${product.reorderThreshold} unidades">
+                                    ⚠️ ${product.stock === 0 ? 'Sem estoque' : 'Estoque baixo'}
+                                </div>
+                            ` : ''}
                         </div>
                     </div>
                 </div>
@@ -539,6 +798,22 @@ class ProductApp {
         }
     }
 
+    updateProductDiscountOptions() {
+        const produtoSelect = document.getElementById('desconto-produto');
+        if (!produtoSelect) return;
+
+        const currentValue = produtoSelect.value; // Preservar seleção atual
+
+        produtoSelect.innerHTML = '<option value="">Selecione um produto</option>' +
+            this.productOptions.map(product => 
+                `<option value="${product.id}">${product.name}${product.sku ? ` (${product.sku})` : ''}</option>`
+            ).join('');
+
+        if (currentValue && this.productOptions.some(p => String(p.id) === currentValue)) {
+            produtoSelect.value = currentValue;
+        }
+    }
+
     updateFilters() {
         // As categorias agora são carregadas da API, não dos produtos filtrados
         this.loadCategoriesFromAPI();
@@ -550,69 +825,119 @@ class ProductApp {
             const result = await response.json();
             
             if (result.success) {
-                const categoriaSelect = document.getElementById('filtro-categoria');
-                const currentValue = categoriaSelect.value; // Preservar seleção atual
-                
-                categoriaSelect.innerHTML = '<option value="">Todas as categorias</option>' +
-                    result.data.map(cat => 
-                        `<option value="${cat}">${this.getCategoryDisplayName(cat)}</option>`
-                    ).join('');
-                
-                // Restaurar seleção anterior se ainda existe
-                if (currentValue && result.data.includes(currentValue)) {
-                    categoriaSelect.value = currentValue;
-                }
+                this.categories = result.data;
+                this.updateCategorySelects();
             }
         } catch (error) {
             console.error('Erro ao carregar categorias:', error);
-            // Fallback para categorias dos produtos atuais
-            this.updateFiltersFromCurrentProducts();
         }
     }
 
-    updateFiltersFromCurrentProducts() {
-        const categoriaSelect = document.getElementById('filtro-categoria');
-        const categories = [...new Set(this.products.map(p => p.category))];
-        
-        categoriaSelect.innerHTML = '<option value="">Todas as categorias</option>' +
-            categories.map(cat => 
-                `<option value="${cat}">${this.getCategoryDisplayName(cat)}</option>`
-            ).join('');
+    /**
+     * Categorias em ordem de árvore (cada pai seguido das suas subcategorias), com a profundidade
+     */
+    getCategoriesInTreeOrder() {
+        const ids = new Set(this.categories.map(cat => cat.id));
+        const ordered = [];
+        const visit = (parentId, depth) => {
+            this.categories
+                .filter(cat => (ids.has(cat.parent_id) ? cat.parent_id : null) === parentId)
+                .forEach(cat => {
+                    if (ordered.some(item => item.category === cat)) return;
+                    ordered.push({ category: cat, depth });
+                    visit(cat.id, depth + 1);
+                });
+        };
+        visit(null, 0);
+        return ordered;
+    }
+
+    updateCategorySelects() {
+        // Subcategorias aparecem recuadas abaixo da categoria pai
+        const options = this.getCategoriesInTreeOrder().map(({ category, depth }) =>
+            `<option value="${category.name}">${'\u00A0\u00A0'.repeat(depth)}${depth > 0 ? '└ ' : ''}${category.display_name}</option>`
+        ).join('');
+        const selects = [
+            { id: 'filtro-categoria', placeholder: '<option value="">Todas as categorias</option>' },
+            { id: 'desconto-categoria', placeholder: '' },
+            { id: 'produto-categoria', placeholder: '<option value="">Selecione uma categoria</option>' }
+        ];
+
+        selects.forEach(({ id, placeholder }) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const currentValue = select.value; // Preservar seleção atual
+            select.innerHTML = placeholder + options;
+
+            // Restaurar seleção anterior se ainda existe
+            if (currentValue && this.categories.some(cat => cat.name === currentValue)) {
+                select.value = currentValue;
+            }
+        });
     }
 
-    async updateStatistics() {
-        if (this.currentSection !== 'estatisticas') return;
+    async createCategory() {
+        const displayName = prompt('Nome da nova categoria (ex.: Roupas):')?.trim();
+        if (!displayName) {
+            return;
+        }
 
-        const stats = await this.loadStatisticsFromAPI();
-        if (!stats) {
-            // Fallback para estatísticas locais
-            const totalElement = document.getElementById('stat-total');
-            const precoMedioElement = document.getElementById('stat-preco-medio');
-            const maisCaroElement = document.getElementById('stat-mais-caro');
-            const maisBaratoElement = document.getElementById('stat-mais-barato');
-            
-            if (totalElement) totalElement.textContent = this.products.length;
-            if (precoMedioElement) precoMedioElement.textContent = `R$ ${this.calculateAveragePrice().toFixed(2)}`;
-            if (maisCaroElement) maisCaroElement.textContent = this.getMostExpensive();
-            if (maisBaratoElement) maisBaratoElement.textContent = this.getCheapest();
-            
-            this.updateCategoryChart(this.getProductsByCategory());
-        } else {
-            // Usar estatísticas da API
-            const totalElement = document.getElementById('stat-total');
-            const precoMedioElement = document.getElementById('stat-preco-medio');
-            const maisCaroElement = document.getElementById('stat-mais-caro');
-            const maisBaratoElement = document.getElementById('stat-mais-barato');
+        // Identificador sem acentos, em minúsculas (ex.: "Casa e Decoração" -> "casa-e-decoracao")
+        const name = displayName
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        // Com uma categoria selecionada no filtro, oferece criar a nova como subcategoria dela
+        const selected = this.categories.find(cat => cat.name === document.getElementById('filtro-categoria')?.value);
+        const parentId = selected && confirm(`Criar "${displayName}" como subcategoria de ${selected.display_name}?`)
+            ? selected.id
+            : null;
+
+        try {
+            const response = await fetch('/api/categories', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name, display_name: displayName, parent_id: parentId })
+            });
             
-            if (totalElement) totalElement.textContent = stats.totalProducts;
-            if (precoMedioElement) precoMedioElement.textContent = `R$ ${parseFloat(stats.averagePrice).toFixed(2)}`;
-            if (maisCaroElement) maisCaroElement.textContent = stats.mostExpensiveProduct || 'N/A';
-            if (maisBaratoElement) maisBaratoElement.textContent = stats.cheapestProduct || 'N/A';
+            const result = await response.json();
             
-            this.updateCategoryChart(stats.productsByCategory);
+            if (result.success) {
+                this.showToast('success', 'Categoria criada', result.message);
+                await this.loadCategoriesFromAPI();
+            } else {
+                throw new Error(result.message);
+            }
+        } catch (error) {
+            this.showToast('error', 'Erro ao criar categoria', error.message);
         }
     }
 
+    async updateStatistics() {
+        if (this.currentSection !== 'estatisticas') return;
+
+        // Estatísticas do catálogo inteiro (a listagem carrega só uma página)
+        const stats = await this.loadStatisticsFromAPI();
+        if (!stats) return;
+
+        const totalElement = document.getElementById('stat-total');
+        const precoMedioElement = document.getElementById('stat-preco-medio');
+        const maisCaroElement = document.getElementById('stat-mais-caro');
+        const maisBaratoElement = document.getElementById('stat-mais-barato');
+        
+        if (totalElement) totalElement.textContent = stats.totalProducts;
+        if (precoMedioElement) precoMedioElement.textContent = `R$ ${parseFloat(stats.averagePrice).toFixed(2)}`;
+        if (maisCaroElement) maisCaroElement.textContent = stats.mostExpensiveProduct || 'N/A';
+        if (maisBaratoElement) maisBaratoElement.textContent = stats.cheapestProduct || 'N/A';
+        
+        this.updateCategoryChart(stats.productsByCategory);
+    }
+
     updateCategoryChart(categoryData) {
         const container = document.getElementById('chart-categorias');
         if (!container) return;
@@ -673,9 +998,9 @@ class ProductApp {
             return;
         }
 
-        // Calcular total de desconto
-        const totalDiscount = this.activeDiscounts.reduce((sum, discount) => sum + discount.percentage, 0);
-        const limitedTotal = Math.min(totalDiscount, 100);
+        // Maior desconto efetivo: vem dos preços finais calculados no servidor,
+        // que já combinam os descontos segundo a política de acúmulo
+        const maxDiscount = this.products.reduce((max, p) => Math.max(max, this.getTotalDiscountPercentage(p)), 0);
 
         // Criar cards de desconto
         let discountHtml = this.activeDiscounts.map(discount => {
@@ -683,7 +1008,10 @@ class ProductApp {
                 'Categoria': 'Categoria',
                 'Cupom': 'Cupom',
                 'category': 'Categoria',
+                'coupon': 'Cupom',
+                'product': 'Produto',
                 'bulk': 'Quantidade',
+                'buy_x_get_y': 'Leve e Ganhe',
                 'seasonal': 'Sazonal',
                 'clearance': 'Liquidação',
                 'vip': 'VIP'
@@ -692,8 +1020,15 @@ class ProductApp {
             const descriptions = {
                 'Categoria': `Desconto aplicado em ${discount.category ? this.getCategoryDisplayName(discount.category) : 'categoria selecionada'}`,
                 'Cupom': 'Cupom de desconto aplicado em todos os produtos',
-                'category': `Desconto aplicado em ${discount.category || 'categoria selecionada'}`,
-                'bulk': `Desconto para compras acima de ${discount.minQuantity || 1} unidades`,
+                'category': `Desconto aplicado em ${discount.category ? this.getCategoryDisplayName(discount.category) : 'categoria selecionada'}`,
+                'coupon': discount.min_order_value
+                    ? `Cupom${discount.code ? ` ${discount.code}` : ''} no carrinho para pedidos a partir de R$ ${parseFloat(discount.min_order_value).toFixed(2)}`
+                    : discount.code
+                    ? `Cupom ${discount.code} para resgate${discount.usage_limit ? ` (${discount.usage_count}/${discount.usage_limit} usos)` : ''}`
+                    : 'Cupom de desconto aplicado em todos os produtos',
+                'product': `Desconto aplicado somente em ${discount.product_name || 'produto selecionado'}`,
+                'bulk': `Desconto no carrinho a partir de ${discount.min_quantity || 2} unidades do mesmo produto`,
+                'buy_x_get_y': `Leve ${discount.buy_quantity} e ganhe ${discount.get_quantity} no carrinho`,
                 'seasonal': 'Desconto promocional por tempo limitado',
                 'clearance': 'Desconto especial para liquidação de estoque',
                 'vip': 'Desconto exclusivo para clientes VIP'
@@ -707,6 +1042,8 @@ class ProductApp {
                             <div class="discount-title">
                                 ${typeLabels[discount.type] || discount.type} 
                                 ${discount.category ? `- ${this.getCategoryDisplayName(discount.category)}` : ''}
+                                ${discount.include_subcategories ? '(com subcategorias)' : ''}
+                                ${discount.product_name ? `- ${discount.product_name}` : ''}
                             </div>
                             <p class="discount-description">
                                 ${descriptions[discount.type] || 'Desconto ativo no momento'}
@@ -714,7 +1051,7 @@ class ProductApp {
                         </div>
                     </div>
                     <div style="display: flex; align-items: center;">
-                        <span class="discount-value">${discount.percentage}%</span>
+                        <span class="discount-value">${this.formatDiscountValue(discount)}</span>
                         <button class="discount-remove" 
                                 onclick="productApp.removeDiscount('${discount.id}')"
                                 title="Remover desconto"
@@ -728,13 +1065,12 @@ class ProductApp {
 
         container.innerHTML = discountHtml;
 
-        // Atualizar apenas o valor do total de desconto
+        // Atualizar o maior desconto efetivo e a política usada
         if (totalValue) {
-            totalValue.textContent = `${limitedTotal}%`;
+            totalValue.textContent = `${Math.round(maxDiscount * 10) / 10}%`;
             
-            // Adicionar aviso se desconto passou de 100%
-            if (totalDiscount > 100) {
-                totalValue.innerHTML = `${limitedTotal}% <small style="opacity: 0.8;">(máx.)</small>`;
+            if (this.stackingPolicy) {
+                totalValue.innerHTML += ` <small style="opacity: 0.8;">(${this.stackingPolicy.description})</small>`;
             }
         }
 
@@ -790,6 +1126,10 @@ class ProductApp {
         if (busca) {
             filterParams.search = busca;
         }
+        const sort = this.getSortParam();
+        if (sort) {
+            filterParams.sort = sort;
+        }
         
         // Recarregar produtos com filtros aplicados
         await this.loadProductsFromAPI(filterParams);
@@ -859,12 +1199,30 @@ class ProductApp {
     /**
      * Limpa todos os filtros e mostra todos os produtos
      */
+    /**
+     * Parâmetro sort da API a partir dos campos de ordenação, ex.: "-price,name"
+     * (null para a ordem padrão, por nome)
+     */
+    getSortParam() {
+        const campo = document.getElementById('ordenar-campo')?.value || 'name';
+        const direcao = document.getElementById('ordenar-direcao')?.value || '';
+
+        if (campo === 'name') {
+            return direcao ? '-name' : null;
+        }
+
+        // Nome como desempate
+        return `${direcao}${campo},name`;
+    }
+
     async clearFilters() {
         console.log('🧹 Iniciando limpeza de filtros...');
         
         // Resetar campos de filtro
         document.getElementById('filtro-categoria').value = '';
         document.getElementById('filtro-busca').value = '';
+        document.getElementById('ordenar-campo').value = 'name';
+        document.getElementById('ordenar-direcao').value = '';
         
         console.log('🔄 Campos limpos, recarregando produtos...');
         
@@ -942,7 +1300,7 @@ class ProductApp {
 
     // === PRODUCT MANAGEMENT ===
 
-    openProductModal(product = null) {
+    openProductModal(product = null, etag = null) {
         const modal = document.getElementById('modal-produto');
         const form = document.getElementById('form-produto');
         const title = document.getElementById('modal-titulo');
@@ -953,7 +1311,8 @@ class ProductApp {
         if (product) {
             // Modo edição
             this.isEditing = true;
-            this.editingProductName = product.name;
+            this.editingProductId = product.id;
+            this.editingETag = etag;
             title.textContent = 'Editar Produto';
             
             document.getElementById('produto-nome').value = product.name;
@@ -964,22 +1323,84 @@ class ProductApp {
             // document.getElementById('produto-descricao').value = product.description || '';
             // document.getElementById('produto-sku').value = product.sku || '';
             // document.getElementById('produto-estoque').value = product.stock || 0;
+
+            this.showPriceHistory(product);
         } else {
             // Modo criação
             this.isEditing = false;
-            this.editingProductName = null;
+            this.editingProductId = null;
+            this.editingETag = null;
             title.textContent = 'Adicionar Produto';
+            document.getElementById('produto-historico').style.display = 'none';
         }
 
         modal.classList.add('show');
         document.getElementById('produto-nome').focus();
     }
 
+    /**
+     * Mostra no modal a evolução do preço do produto: sparkline e as últimas alterações
+     */
+    async showPriceHistory(product) {
+        const section = document.getElementById('produto-historico');
+        const chart = document.getElementById('produto-historico-grafico');
+        const list = document.getElementById('produto-historico-lista');
+
+        section.style.display = 'block';
+        chart.innerHTML = '';
+        list.innerHTML = '<li class="price-history-empty">Carregando...</li>';
+
+        const history = product.id ? await this.loadPriceHistoryFromAPI(product.id) : [];
+        if (!history || history.length === 0) {
+            list.innerHTML = '<li class="price-history-empty">Nenhuma alteração de preço registrada</li>';
+            return;
+        }
+
+        const prices = [history[0].old_price, ...history.map(entry => entry.new_price)];
+        chart.innerHTML = this.renderSparkline(prices);
+
+        list.innerHTML = history.slice(-5).reverse().map(entry => `
+            <li class="price-history-item">
+                <span class="price-history-date">${new Date(entry.created_at).toLocaleDateString('pt-BR')}</span>
+                <span class="price-history-change ${entry.change < 0 ? 'down' : 'up'}">
+                    R$ ${entry.old_price.toFixed(2)} → R$ ${entry.new_price.toFixed(2)}
+                    (${entry.change_percent > 0 ? '+' : ''}${entry.change_percent}%)
+                </span>
+                <span class="price-history-meta">${entry.changed_by || ''}${entry.change_reason ? ` · ${entry.change_reason}` : ''}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Gera um gráfico de linha em SVG com a sequência de preços
+     */
+    renderSparkline(prices, width = 320, height = 60) {
+        const min = Math.min(...prices);
+        const max = Math.max(...prices);
+        const range = max - min || 1;
+        const step = prices.length > 1 ? width / (prices.length - 1) : 0;
+        const points = prices.map((price, index) => {
+            const x = Math.round(index * step * 10) / 10;
+            const y = Math.round((height - 4 - ((price - min) / range) * (height - 8)) * 10) / 10;
+            return `${x},${y}`;
+        });
+        const [lastX, lastY] = points[points.length - 1].split(',');
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" width="100%" height="${height}" preserveAspectRatio="none"
+                 role="img" aria-label="Evolução do preço de R$ ${prices[0].toFixed(2)} para R$ ${prices[prices.length - 1].toFixed(2)}">
+                <polyline points="${points.join(' ')}" fill="none" stroke="#007bff" stroke-width="2" />
+                <circle cx="${lastX}" cy="${lastY}" r="3" fill="#007bff" />
+            </svg>
+        `;
+    }
+
     closeModal() {
         const modal = document.getElementById('modal-produto');
         modal.classList.remove('show');
         this.isEditing = false;
-        this.editingProductName = null;
+        this.editingProductId = null;
+        this.editingETag = null;
     }
 
     async handleProductSubmit(e) {
@@ -1012,34 +1433,43 @@ class ProductApp {
             return;
         }
 
-        // Verificar duplicata (apenas para novos produtos)
-        if (!this.isEditing && this.products.some(p => p.name === productData.name)) {
-            this.showToast('error', 'Produto já existe', 'Já existe um produto com este nome');
-            return;
-        }
-
-        const success = await this.addProductToAPI(productData);
+        // Nome e SKU repetidos são recusados pelo servidor (409)
+        const success = this.isEditing
+            ? await this.updateProductInAPI(this.editingProductId, productData, this.editingETag)
+            : await this.addProductToAPI(productData);
         if (success) {
             this.closeModal();
             this.updateUI();
         }
     }
 
-    editProduct(productName) {
-        const product = this.products.find(p => p.name === productName);
-        if (product) {
-            this.openProductModal(product);
+    async editProduct(productId) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) {
+            return;
+        }
+
+        // Versão atual do produto, enviada no If-Match ao salvar
+        const loaded = await this.loadProductFromAPI(product.id);
+        if (loaded) {
+            this.openProductModal({
+                ...product,
+                name: loaded.product.name,
+                category: loaded.product.category,
+                price: parseFloat(loaded.product.price)
+            }, loaded.etag);
         }
     }
 
-    confirmDelete(productName) {
-        if (confirm(`Tem certeza que deseja remover o produto "${productName}"?`)) {
-            this.removeProduct(productName);
+    confirmDelete(productId) {
+        const product = this.products.find(p => p.id === productId);
+        if (product && confirm(`Tem certeza que deseja remover o produto "${product.name}"?`)) {
+            this.removeProduct(productId);
         }
     }
 
-    async removeProduct(productName) {
-        const success = await this.removeProductFromAPI(productName);
+    async removeProduct(productId) {
+        const success = await this.removeProductFromAPI(productId);
         if (success) {
             this.updateUI();
         }
@@ -1047,9 +1477,10 @@ class ProductApp {
 
     // === DISCOUNT SYSTEM ===
 
-    applyCategoryDiscount() {
+    async applyCategoryDiscount() {
         const categoria = document.getElementById('desconto-categoria').value;
         const percentual = parseFloat(document.getElementById('desconto-percentual').value);
+        const incluirSubcategorias = document.getElementById('desconto-subcategorias')?.checked || false;
 
         if (!categoria) {
             this.showToast('error', 'Erro de validação', 'Selecione uma categoria');
@@ -1062,161 +1493,218 @@ class ProductApp {
         }
 
         // Remover desconto existente da mesma categoria
-        this.activeDiscounts = this.activeDiscounts.filter(d => 
-            !(d.type === 'Categoria' && d.category === categoria)
+        const existing = this.activeDiscounts.filter(d => 
+            d.type === 'category' && d.category === categoria
         );
+        for (const discount of existing) {
+            await this.removeDiscountFromAPI(discount.id);
+        }
 
         // Adicionar novo desconto
-        this.activeDiscounts.push({
-            id: `category_${categoria}_${Date.now()}`,
-            type: 'Categoria',
+        const success = await this.saveDiscountToAPI({
+            name: `Desconto ${this.getCategoryDisplayName(categoria)}`,
+            type: 'category',
             category: categoria,
+            percentage: percentual,
+            include_subcategories: incluirSubcategorias
+        });
+
+        if (success) {
+            this.showToast('success', 'Desconto aplicado', 
+                `${percentual}% de desconto aplicado em ${this.getCategoryDisplayName(categoria)}${incluirSubcategorias ? ' e subcategorias' : ''}`);
+            
+            // Limpar form
+            document.getElementById('desconto-percentual').value = '';
+        }
+
+        await this.refreshDiscounts();
+    }
+
+    async applyProductDiscount() {
+        const produtoId = document.getElementById('desconto-produto').value;
+        const percentual = parseFloat(document.getElementById('desconto-produto-percentual').value);
+        const product = this.productOptions.find(p => String(p.id) === produtoId);
+
+        if (!product) {
+            this.showToast('error', 'Erro de validação', 'Selecione um produto');
+            return;
+        }
+
+        if (isNaN(percentual) || percentual <= 0 || percentual > 100) {
+            this.showToast('error', 'Erro de validação', 'Percentual deve ser entre 1 e 100');
+            return;
+        }
+
+        // Remover desconto existente do mesmo produto
+        const existing = this.activeDiscounts.filter(d => 
+            d.type === 'product' && d.product_id === product.id
+        );
+        for (const discount of existing) {
+            await this.removeDiscountFromAPI(discount.id);
+        }
+
+        // Adicionar novo desconto
+        const success = await this.saveDiscountToAPI({
+            name: `Desconto ${product.sku || product.name}`,
+            type: 'product',
+            product_id: product.id,
             percentage: percentual
         });
 
-        this.showToast('success', 'Desconto aplicado', 
-            `${percentual}% de desconto aplicado em ${this.getCategoryDisplayName(categoria)}`);
-        
-        this.updateUI();
-        this.updateDiscountFilterButton();
-        
-        // Limpar form
-        document.getElementById('desconto-percentual').value = '';
+        if (success) {
+            this.showToast('success', 'Desconto aplicado', 
+                `${percentual}% de desconto aplicado em ${product.name}`);
+            
+            // Limpar form
+            document.getElementById('desconto-produto-percentual').value = '';
+        }
+
+        await this.refreshDiscounts();
     }
 
-    applyCouponDiscount() {
+    async applyCouponDiscount() {
         const percentual = parseFloat(document.getElementById('cupom-percentual').value);
+        const codigo = document.getElementById('cupom-codigo')?.value?.trim().toUpperCase() || '';
+        const limite = parseInt(document.getElementById('cupom-limite')?.value);
 
         if (isNaN(percentual) || percentual <= 0 || percentual > 100) {
             this.showToast('error', 'Erro de validação', 'Percentual deve ser entre 1 e 100');
             return;
         }
 
-        // Remover cupom existente
-        this.activeDiscounts = this.activeDiscounts.filter(d => d.type !== 'Cupom');
+        if (!codigo) {
+            // Cupom universal: substitui o cupom universal existente
+            const existing = this.activeDiscounts.filter(d => d.type === 'coupon' && !d.code);
+            for (const discount of existing) {
+                await this.removeDiscountFromAPI(discount.id);
+            }
+        }
 
         // Adicionar novo cupom
-        this.activeDiscounts.push({
-            id: `coupon_${Date.now()}`,
-            type: 'Cupom',
+        const success = await this.saveDiscountToAPI({
+            name: codigo ? `Cupom ${codigo}` : 'Cupom Universal',
+            type: 'coupon',
+            code: codigo || null,
+            usage_limit: isNaN(limite) ? null : limite,
             percentage: percentual
         });
 
-        this.showToast('success', 'Cupom aplicado', 
-            `${percentual}% de desconto aplicado em todos os produtos`);
-        
-        this.updateUI();
-        this.updateDiscountFilterButton();
-        
-        // Limpar form
-        document.getElementById('cupom-percentual').value = '';
+        if (success) {
+            if (codigo) {
+                this.showToast('success', 'Cupom criado', 
+                    `Cupom ${codigo} de ${percentual}% disponível para resgate`);
+            } else {
+                this.showToast('success', 'Cupom aplicado', 
+                    `${percentual}% de desconto aplicado em todos os produtos`);
+            }
+            
+            // Limpar form
+            document.getElementById('cupom-percentual').value = '';
+            if (document.getElementById('cupom-codigo')) document.getElementById('cupom-codigo').value = '';
+            if (document.getElementById('cupom-limite')) document.getElementById('cupom-limite').value = '';
+        }
+
+        await this.refreshDiscounts();
     }
 
-    removeDiscount(discountId) {
-        this.activeDiscounts = this.activeDiscounts.filter(d => d.id !== discountId);
-        this.showToast('success', 'Desconto removido', 'Desconto foi removido com sucesso');
-        this.updateUI();
-        this.updateDiscountFilterButton();
+    async removeDiscount(discountId) {
+        const success = await this.removeDiscountFromAPI(discountId);
+        if (success) {
+            this.showToast('success', 'Desconto removido', 'Desconto foi removido com sucesso');
+            await this.refreshDiscounts();
+        }
     }
 
-    clearDiscounts() {
+    async clearDiscounts() {
         if (this.activeDiscounts.length === 0) {
             this.showToast('info', 'Nenhum desconto', 'Não há descontos ativos para remover');
             return;
         }
 
-        this.activeDiscounts = [];
-        this.showToast('success', 'Descontos removidos', 'Todos os descontos foram removidos');
-        this.updateUI();
-        this.updateDiscountFilterButton();
+        const success = await this.removeDiscountFromAPI();
+        if (success) {
+            this.showToast('success', 'Descontos removidos', 'Todos os descontos foram removidos');
+            await this.refreshDiscounts();
+        }
     }
 
-    // === CALCULATIONS ===
-
-    calculateFinalPrice(product) {
-        let finalPrice = product.price;
-        let totalDiscountPercentage = 0;
+    updateStackingPolicyForm() {
+        const modeSelect = document.getElementById('politica-modo');
+        const limitInput = document.getElementById('politica-limite');
+        
+        if (!this.stackingPolicy) return;
+        
+        if (modeSelect) modeSelect.value = this.stackingPolicy.mode;
+        if (limitInput) {
+            limitInput.value = this.stackingPolicy.maxDiscountPercent !== null
+                ? this.stackingPolicy.maxDiscountPercent
+                : '';
+        }
+    }
 
-        // Buscar descontos ativos para o produto
-        const categoryDiscount = this.activeDiscounts.find(d => 
-            d.type === 'Categoria' && d.category === product.category
-        );
-        const couponDiscount = this.activeDiscounts.find(d => d.type === 'Cupom');
+    async saveStackingPolicy() {
+        const mode = document.getElementById('politica-modo').value;
+        const limitValue = document.getElementById('politica-limite').value;
+        const maxDiscountPercent = limitValue === '' ? null : parseFloat(limitValue);
 
-        // Aplicar desconto SIMPLES (soma dos percentuais)
-        if (categoryDiscount) {
-            totalDiscountPercentage += categoryDiscount.percentage;
-        }
-        if (couponDiscount) {
-            totalDiscountPercentage += couponDiscount.percentage;
+        if (maxDiscountPercent !== null && (isNaN(maxDiscountPercent) || maxDiscountPercent < 0 || maxDiscountPercent > 100)) {
+            this.showToast('error', 'Erro de validação', 'Desconto máximo deve ser entre 0 e 100');
+            return;
         }
 
-        // Limitar desconto máximo a 100%
-        totalDiscountPercentage = Math.min(totalDiscountPercentage, 100);
+        const success = await this.saveStackingPolicyToAPI({ mode, maxDiscountPercent });
 
-        // Aplicar desconto total
-        finalPrice = product.price * (1 - totalDiscountPercentage / 100);
+        if (success) {
+            this.showToast('success', 'Política atualizada', 
+                `Descontos combinados em modo: ${this.stackingPolicy.description}`);
+            this.updateStackingPolicyForm();
+        }
 
-        return finalPrice;
+        await this.refreshDiscounts();
     }
 
-    getTotalDiscountPercentage(product) {
-        let totalDiscountPercentage = 0;
+    // === CALCULATIONS ===
 
-        // Buscar descontos ativos para o produto
-        const categoryDiscount = this.activeDiscounts.find(d => 
-            d.type === 'Categoria' && d.category === product.category
-        );
-        const couponDiscount = this.activeDiscounts.find(d => d.type === 'Cupom');
+    calculateFinalPrice(product) {
+        // Preço final calculado no servidor pela cadeia de decorators
+        return product.finalPrice !== undefined ? product.finalPrice : product.price;
+    }
 
-        // Somar percentuais
-        if (categoryDiscount) {
-            totalDiscountPercentage += categoryDiscount.percentage;
+    /**
+     * Formata o valor do desconto: percentual ou valor fixo em reais
+     */
+    formatDiscountValue(discount) {
+        const percentage = parseFloat(discount.percentage) || 0;
+        if (percentage > 0) {
+            return `${percentage}%`;
         }
-        if (couponDiscount) {
-            totalDiscountPercentage += couponDiscount.percentage;
+        if (discount.type === 'buy_x_get_y' && !(parseFloat(discount.fixed_amount) > 0)) {
+            return 'Grátis';
         }
-
-        // Limitar desconto máximo a 100%
-        return Math.min(totalDiscountPercentage, 100);
-    }
-
-    calculateAveragePrice() {
-        if (this.products.length === 0) return 0;
-        const total = this.products.reduce((sum, p) => sum + p.price, 0);
-        return total / this.products.length;
+        return `R$ ${(parseFloat(discount.fixed_amount) || 0).toFixed(2)}`;
     }
 
-    getMostExpensive() {
-        if (this.products.length === 0) return 'N/A';
-        return this.products.reduce((max, p) => p.price > max.price ? p : max).name;
+    /**
+     * Descreve os ajustes de preço feitos por cada decorator no servidor
+     */
+    describeAdjustments(product) {
+        return (product.adjustments || [])
+            .map(adj => `${adj.discountName}: R$ ${adj.amount.toFixed(2)}`)
+            .join('\n');
     }
 
-    getCheapest() {
-        if (this.products.length === 0) return 'N/A';
-        return this.products.reduce((min, p) => p.price < min.price ? p : min).name;
-    }
+    getTotalDiscountPercentage(product) {
+        if (!product.price) return 0;
 
-    getProductsByCategory() {
-        const categories = {};
-        this.products.forEach(product => {
-            categories[product.category] = (categories[product.category] || 0) + 1;
-        });
-        return categories;
+        const finalPrice = this.calculateFinalPrice(product);
+        return Math.max(0, (product.price - finalPrice) / product.price * 100);
     }
 
     // === UTILITIES ===
 
     getCategoryDisplayName(category) {
-        const displayNames = {
-            'eletronicos': 'Eletrônicos',
-            'livros': 'Livros',
-            'alimentos': 'Alimentos',
-            'roupas': 'Roupas',
-            'casa': 'Casa e Decoração',
-            'outros': 'Outros'
-        };
-        return displayNames[category.toLowerCase()] || category;
+        const found = this.categories.find(cat => cat.name === category);
+        return found ? found.display_name : category;
     }
 
     showToast(type, title, message) {
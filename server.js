@@ -3,14 +3,65 @@ const path = require('path');
 
 // Importar componentes do banco de dados
 const { ProductRepository } = require('./src/database/ProductRepository');
+const { DiscountRepository } = require('./src/database/DiscountRepository');
+const { SettingsRepository } = require('./src/database/SettingsRepository');
+const { ShippingRepository } = require('./src/database/ShippingRepository');
+const { TaxRepository } = require('./src/database/TaxRepository');
+const { CartRepository } = require('./src/database/CartRepository');
+const { OrderRepository } = require('./src/database/OrderRepository');
+const { InventoryRepository } = require('./src/database/InventoryRepository');
+const { PriceHistoryRepository } = require('./src/database/PriceHistoryRepository');
+const { ScheduledPriceChangeRepository } = require('./src/database/ScheduledPriceChangeRepository');
+const { CategoryRepository } = require('./src/database/CategoryRepository');
+const { ProductQuery } = require('./src/database/ProductQuery');
 const { DatabaseManager } = require('./src/database/connection');
-const { Product } = require('./src/models/Product.ts');
+const { Product, ProductError } = require('./src/models/Product.ts');
+const { ProductCategory, CategoryError } = require('./src/models/ProductCategory.ts');
+const { Discount, RedemptionError } = require('./src/models/Discount.ts');
+const { StackingPolicy, StackingMode } = require('./src/models/StackingPolicy.ts');
+const { RoundingPolicy, RoundingScope } = require('./src/models/RoundingPolicy.ts');
+const { Money, RoundingMode } = require('./src/models/Money.ts');
+const { PricingService } = require('./src/services/PricingService.ts');
+const { CartPricingService } = require('./src/services/CartPricingService.ts');
+const { CheckoutService } = require('./src/services/CheckoutService.ts');
+const { Cart } = require('./src/models/Cart.ts');
+const { CheckoutError } = require('./src/models/Order.ts');
+const { InventoryMovement, InventoryError, MovementType } = require('./src/models/InventoryMovement.ts');
+const { ScheduledPriceChange, ScheduleStatus } = require('./src/models/ScheduledPriceChange.ts');
+const { BulkPriceOperation, BulkPriceOperationType, BulkPriceError } = require('./src/models/BulkPriceUpdate.ts');
+const { ProductSort } = require('./src/models/ProductSort.ts');
+const { PriceScheduler } = require('./src/services/PriceScheduler.ts');
+const { ShippingService } = require('./src/services/ShippingService.ts');
+const { ShippingRules } = require('./src/models/ShippingRules.ts');
+const { TaxRules, TaxDisplay } = require('./src/models/TaxRules.ts');
+const { SystemClock, FixedClock } = require('./src/services/Clock.ts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Inicializar repositório de produtos
+// Inicializar repositórios
 const productRepository = new ProductRepository();
+const discountRepository = new DiscountRepository();
+const settingsRepository = new SettingsRepository();
+const shippingRepository = new ShippingRepository();
+const taxRepository = new TaxRepository();
+const cartRepository = new CartRepository();
+const orderRepository = new OrderRepository();
+const inventoryRepository = new InventoryRepository();
+const priceHistoryRepository = new PriceHistoryRepository();
+const scheduledPriceChangeRepository = new ScheduledPriceChangeRepository();
+const categoryRepository = new CategoryRepository();
+
+// Relógio usado para avaliar a vigência dos descontos
+const systemClock = new SystemClock();
+
+// Agendador que aplica as alterações de preço agendadas (intervalo em ms)
+const priceScheduler = new PriceScheduler(scheduledPriceChangeRepository, systemClock);
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.PRICE_SCHEDULER_INTERVAL_MS) || 60000;
+
+// Tamanho de página da listagem de produtos (padrão de GET /api/products e máximo aceito em ?limit=)
+const PRODUCT_PAGE_SIZE = 20;
+const PRODUCT_MAX_PAGE_SIZE = 100;
 
 // Servir arquivos estáticos da pasta public
 app.use(express.static(path.join(__dirname, 'public')));
@@ -48,15 +99,103 @@ app.get('/api/status', async (req, res) => {
     }
 });
 
-// Listar todos os produtos
+// Listar todos os produtos (?withPricing=true inclui o detalhamento de preço;
+// ?coupon=CODIGO aplica um cupom nomeado; ?uf=SP&taxDisplay=inclusive|exclusive calcula impostos)
+// Paginado por padrão: ?limit= (padrão PRODUCT_PAGE_SIZE, máximo PRODUCT_MAX_PAGE_SIZE)
+// e ?cursor= com o pagination.nextCursor da página anterior
 app.get('/api/products', async (req, res) => {
     try {
-        const result = await productRepository.findAll();
+        const tax = parseTaxOptions(req.query);
+
+        if (tax && tax.error) {
+            return res.status(400).json({
+                success: false,
+                message: tax.error
+            });
+        }
+
+        const parsedSort = req.query.sort !== undefined ? ProductSort.parse(req.query.sort) : null;
+
+        if (parsedSort && parsedSort.error) {
+            return res.status(400).json({
+                success: false,
+                message: parsedSort.error,
+                sortFields: ProductSort.getFields()
+            });
+        }
+
+        const page = parseProductPagination(req.query, parsedSort ? parsedSort.sort : new ProductSort(), PRODUCT_PAGE_SIZE);
+
+        if (page.error) {
+            return res.status(400).json({
+                success: false,
+                message: page.error
+            });
+        }
+
+        const result = await applyProductFilters({
+            limit: page.limit,
+            offset: page.offset,
+            after: page.after,
+            sort: parsedSort ? parsedSort.sort : undefined,
+            withPricing: req.query.withPricing === 'true',
+            couponCodes: parseCouponCodes(req.query.coupon),
+            tax
+        });
         
         if (result.success) {
             res.json({
                 success: true,
                 data: result.data,
+                count: result.data.length,
+                total: result.total,
+                pagination: result.pagination
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar produtos',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Simular preços em uma data futura (ex.: conferir a Black Friday antes de entrar no ar)
+app.get('/api/products/preview', async (req, res) => {
+    try {
+        const clock = req.query.at ? parseClock(req.query.at) : null;
+
+        if (!clock) {
+            return res.status(400).json({
+                success: false,
+                message: 'Informe uma data válida no parâmetro "at" (ISO 8601)'
+            });
+        }
+
+        const tax = parseTaxOptions(req.query);
+
+        if (tax && tax.error) {
+            return res.status(400).json({
+                success: false,
+                message: tax.error
+            });
+        }
+
+        const result = await productRepository.findAll();
+        
+        if (result.success) {
+            const pricing = await loadPricingService(clock, [], tax);
+            res.json({
+                success: true,
+                at: clock.now().toISOString(),
+                data: serializeProducts(result.data, pricing, true),
                 count: result.data.length
             });
         } else {
@@ -82,9 +221,10 @@ app.get('/api/products/category/:category', async (req, res) => {
         const result = await productRepository.findByCategory(category);
         
         if (result.success) {
+            const pricing = await loadPricingService();
             res.json({
                 success: true,
-                data: result.data,
+                data: serializeProducts(result.data, pricing, req.query.withPricing === 'true'),
                 count: result.data.length,
                 category: category
             });
@@ -111,9 +251,10 @@ app.get('/api/products/search/:name', async (req, res) => {
         const result = await productRepository.search(name);
         
         if (result.success) {
+            const pricing = await loadPricingService();
             res.json({
                 success: true,
-                data: result.data,
+                data: serializeProducts(result.data, pricing, req.query.withPricing === 'true'),
                 count: result.data.length,
                 searchTerm: name
             });
@@ -133,10 +274,16 @@ app.get('/api/products/search/:name', async (req, res) => {
     }
 });
 
+// Respostas para nome ou SKU já usados por outro produto
+const PRODUCT_ERRORS = {
+    [ProductError.DUPLICATE_NAME]: { status: 409, message: 'Já existe um produto com este nome' },
+    [ProductError.DUPLICATE_SKU]: { status: 409, message: 'Já existe um produto com este SKU' }
+};
+
 // Adicionar novo produto
 app.post('/api/products', async (req, res) => {
     try {
-        const { name, category, price, description, sku, stock_quantity } = req.body;
+        const { name, category, price, description, sku, stock_quantity, weight_kg, reorder_threshold } = req.body;
         
         // Criar objeto Product
         const product = new Product({
@@ -145,14 +292,16 @@ app.post('/api/products', async (req, res) => {
             price: parseFloat(price),
             description: description || '',
             sku: sku || `SKU-${Date.now()}`,
-            stock_quantity: stock_quantity || 0
+            stock_quantity: stock_quantity || 0,
+            weight_kg: weight_kg || 0,
+            reorder_threshold
         });
 
-        // Validar produto
-        if (!product.isValid()) {
+        // Validar produto (categoria precisa estar cadastrada)
+        if (!product.isValid(await categoryRepository.findNames())) {
             return res.status(400).json({
                 success: false,
-                message: 'Dados do produto inválidos. Verifique nome, categoria e preço.'
+                message: 'Dados do produto inválidos. Verifique nome, categoria, preço e peso.'
             });
         }
 
@@ -167,6 +316,13 @@ app.post('/api/products', async (req, res) => {
                     ...product.toJSON()
                 }
             });
+        } else if (result.reason) {
+            const error = PRODUCT_ERRORS[result.reason];
+            res.status(error.status).json({
+                success: false,
+                message: error.message,
+                reason: result.reason
+            });
         } else {
             res.status(500).json({
                 success: false,
@@ -183,28 +339,1861 @@ app.post('/api/products', async (req, res) => {
     }
 });
 
+// Produtos são identificados pelo ID (/api/products/:id) ou pelo SKU (/api/products/sku/:sku)
+const findProductById = req => productRepository.findById(req.params.id);
+const findProductBySku = req => productRepository.findBySku(req.params.sku);
+
+/**
+ * Retorna o produto com o cabeçalho ETag, que identifica a versão para edições com If-Match
+ */
+async function getProduct(req, res, findProduct) {
+    try {
+        const product = await findProduct(req);
+        
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        res.set('ETag', productETag(product));
+        res.json({
+            success: true,
+            data: product.toJSON()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+}
+
+// Buscar produto por ID
+app.get('/api/products/:id(\\d+)', (req, res) => getProduct(req, res, findProductById));
+
+// Buscar produto por SKU
+app.get('/api/products/sku/:sku', (req, res) => getProduct(req, res, findProductBySku));
+
+// Campos que podem ser editados; o estoque só muda por movimentações (/api/inventory/movements)
+const EDITABLE_PRODUCT_FIELDS = ['name', 'category', 'price', 'description', 'sku', 'weight_kg', 'reorder_threshold'];
+
+/**
+ * Atualiza o produto: PUT substitui todos os campos editáveis, PATCH altera
+ * apenas os enviados. Com If-Match, a alteração só é feita se o produto não
+ * mudou desde a leitura (409 caso contrário); sem ele, a alteração é direta.
+ */
+async function updateProduct(req, res, findProduct, replace) {
+    try {
+        const current = await findProduct(req);
+        
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const ifMatch = parseIfMatch(req.get('If-Match'), current);
+        if (ifMatch.error) {
+            return res.status(ifMatch.status).json({
+                success: false,
+                message: ifMatch.error,
+                data: current.toJSON()
+            });
+        }
+
+        const changes = {};
+        EDITABLE_PRODUCT_FIELDS
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => { changes[field] = req.body[field]; });
+
+        const product = replace
+            ? new Product({ ...changes, id: current.id, stock_quantity: current.stock_quantity })
+            : current.withChanges(changes);
+
+        if (!product.isValid(await categoryRepository.findNames())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dados do produto inválidos. Verifique nome, categoria, preço, peso e ponto de reposição.'
+            });
+        }
+
+        const result = await productRepository.update(current.id, product, {
+            user: getRequestUser(req),
+            reason: req.body.reason
+        }, ifMatch.version);
+        
+        if (result.success && result.affectedRows > 0) {
+            const updated = await productRepository.findById(current.id);
+            res.set('ETag', productETag(updated));
+            res.json({
+                success: true,
+                message: `Produto "${updated.name}" atualizado com sucesso!`,
+                data: updated.toJSON()
+            });
+        } else if (result.reason) {
+            const error = PRODUCT_ERRORS[result.reason];
+            res.status(error.status).json({
+                success: false,
+                message: error.message,
+                reason: result.reason
+            });
+        } else if (result.success) {
+            // Alterado ou removido entre a leitura e o UPDATE
+            const latest = await productRepository.findById(current.id);
+            res.status(latest ? 409 : 404).json({
+                success: false,
+                message: latest
+                    ? 'O produto foi alterado por outra requisição. Recarregue e tente novamente.'
+                    : 'Produto não encontrado',
+                data: latest ? latest.toJSON() : undefined
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao atualizar produto',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+}
+
+// Atualizar produto (todos os campos editáveis)
+app.put('/api/products/:id(\\d+)', (req, res) => updateProduct(req, res, findProductById, true));
+app.put('/api/products/sku/:sku', (req, res) => updateProduct(req, res, findProductBySku, true));
+
+// Atualizar parcialmente o produto
+app.patch('/api/products/:id(\\d+)', (req, res) => updateProduct(req, res, findProductById, false));
+app.patch('/api/products/sku/:sku', (req, res) => updateProduct(req, res, findProductBySku, false));
+
+// Alterar o preço do produto: { price, reason }
+// O usuário vem do cabeçalho X-User e, com o motivo, fica registrado no histórico de preços
+app.patch('/api/products/:id(\\d+)/price', async (req, res) => {
+    try {
+        const price = Money.fromDecimal(req.body.price).round().toNumber();
+        
+        if (!(price > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Preço deve ser um número maior que zero'
+            });
+        }
+
+        const result = await productRepository.updatePrice(req.params.id, price, {
+            user: getRequestUser(req),
+            reason: req.body.reason
+        });
+        
+        if (result.success && result.affectedRows > 0) {
+            const product = await productRepository.findById(req.params.id);
+            res.json({
+                success: true,
+                message: 'Preço atualizado com sucesso!',
+                data: product ? product.toJSON() : null
+            });
+        } else if (result.success) {
+            res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao atualizar preço',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Motivos de recusa do reajuste em massa
+const BULK_PRICE_ERRORS = {
+    [BulkPriceError.INVALID_OPERATION]: {
+        status: 400,
+        message: `Operação inválida. Use type: ${Object.values(BulkPriceOperationType).join(', ')}; value maior que zero (redução abaixo de 100%)`
+    },
+    [BulkPriceError.NO_PRODUCTS]: { status: 404, message: 'Nenhum produto encontrado para o filtro' },
+    [BulkPriceError.NON_POSITIVE_PRICE]: { status: 422, message: 'O reajuste deixaria produto(s) com preço menor ou igual a zero' }
+};
+
+// Reajuste de preços em massa:
+// { filter: { category, search, minPrice, maxPrice, inStockOnly }, operation: { type, value }, dryRun, reason }
+// Com dryRun: true apenas retorna o antes/depois; senão grava tudo em uma transação, com histórico de preços
+app.post('/api/products/bulk-price', async (req, res) => {
+    try {
+        const { filter = {}, dryRun, reason } = req.body;
+        const operation = new BulkPriceOperation(req.body.operation || {});
+        const isDryRun = dryRun === true || dryRun === 'true';
+
+        if (!operation.isValid()) {
+            const error = BULK_PRICE_ERRORS[BulkPriceError.INVALID_OPERATION];
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                reason: BulkPriceError.INVALID_OPERATION
+            });
+        }
+
+        const criteria = {
+            category: filter.category || undefined,
+            includeSubcategories: filter.includeSubcategories === true || filter.includeSubcategories === 'true',
+            search: filter.search || undefined,
+            minPrice: filter.minPrice !== undefined && filter.minPrice !== '' ? parseFloat(filter.minPrice) : undefined,
+            maxPrice: filter.maxPrice !== undefined && filter.maxPrice !== '' ? parseFloat(filter.maxPrice) : undefined,
+            inStockOnly: filter.inStockOnly === true || filter.inStockOnly === 'true'
+        };
+
+        if (!criteria.category && !criteria.search && criteria.minPrice === undefined && criteria.maxPrice === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Informe ao menos um critério de filtro (category, search, minPrice ou maxPrice)'
+            });
+        }
+
+        const selected = await findFilteredProducts(criteria);
+        
+        if (!selected.success) {
+            return res.status(500).json(selected);
+        }
+
+        let result;
+        if (isDryRun) {
+            const changes = operation.diff(selected.data);
+            const invalid = changes.filter(change => !change.isValid());
+            result = selected.data.length === 0
+                ? { success: false, reason: BulkPriceError.NO_PRODUCTS }
+                : invalid.length > 0
+                    ? { success: false, reason: BulkPriceError.NON_POSITIVE_PRICE, changes: invalid }
+                    : { success: true, data: changes };
+        } else {
+            result = await productRepository.bulkUpdatePrice(selected.data, operation, {
+                user: getRequestUser(req),
+                reason: reason || `Reajuste em massa: ${operation.getDescription()}`
+            });
+        }
+        
+        if (result.success) {
+            const updated = result.data.filter(change => change.isChanged()).length;
+            res.json({
+                success: true,
+                message: isDryRun
+                    ? `Simulação: ${updated} produto(s) teriam o preço alterado`
+                    : `${updated} produto(s) com preço atualizado!`,
+                dryRun: isDryRun,
+                filter: selected.filter,
+                operation: operation.toJSON(),
+                data: result.data.map(change => change.toJSON()),
+                total: result.data.length,
+                updated
+            });
+        } else if (result.reason) {
+            const error = BULK_PRICE_ERRORS[result.reason];
+            res.status(error.status).json({
+                success: false,
+                message: error.message,
+                reason: result.reason,
+                changes: result.changes ? result.changes.map(change => change.toJSON()) : undefined
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao reajustar preços',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Histórico de preços do produto: ?from=2024-01-01&to=2024-12-31 (datas ISO, opcionais)
+app.get('/api/products/:id(\\d+)/price-history', async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        
+        if (range.error) {
+            return res.status(400).json({
+                success: false,
+                message: range.error
+            });
+        }
+
+        const product = await productRepository.findById(req.params.id);
+        
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const result = await priceHistoryRepository.findByProduct(product.id, range);
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result.data.map(entry => entry.toJSON()),
+                product: { id: product.id, name: product.name, price: product.price },
+                total: result.data.length
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar histórico de preços',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
 // Remover produto
-app.delete('/api/products/:name', async (req, res) => {
+/**
+ * Remove o produto (soft delete)
+ */
+async function deleteProduct(req, res, findProduct) {
     try {
-        const name = req.params.name;
-        const result = await productRepository.deleteByName(name);
+        const product = await findProduct(req);
+        
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const result = await productRepository.delete(product.id);
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                message: `Produto "${product.name}" removido com sucesso!`
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao remover produto',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+}
+
+// Remover produto por ID
+app.delete('/api/products/:id(\\d+)', (req, res) => deleteProduct(req, res, findProductById));
+
+// Remover produto por SKU
+app.delete('/api/products/sku/:sku', (req, res) => deleteProduct(req, res, findProductBySku));
+
+// Remover produto por nome
+// @deprecated Mantida por compatibilidade: use DELETE /api/products/:id ou /api/products/sku/:sku.
+// Nomes só com dígitos são tratados como ID pela rota acima.
+app.delete('/api/products/:name', async (req, res) => {
+    markDeprecated(res, '/api/products/:id');
+    try {
+        const name = req.params.name;
+        const result = await productRepository.deleteByName(name);
+        
+        if (result.success && result.affectedRows > 0) {
+            res.json({
+                success: true,
+                message: `Produto "${name}" removido com sucesso!`
+            });
+        } else if (result.affectedRows === 0) {
+            res.status(404).json({
+                success: false,
+                message: `Produto "${name}" não encontrado`
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao remover produto',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Estatísticas dos produtos
+app.get('/api/products/stats', async (req, res) => {
+    try {
+        const result = await productRepository.getStatistics();
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result.data
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar estatísticas',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Todos os produtos ativos (ID, nome, SKU e categoria), sem paginação, para os seletores da interface
+app.get('/api/products/options', async (req, res) => {
+    try {
+        const result = await productRepository.findOptions();
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result.data.map(product => ({
+                    id: product.id,
+                    name: product.name,
+                    sku: product.sku || null,
+                    category: product.category
+                })),
+                count: result.data.length
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar produtos',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE DESCONTOS ===
+
+/**
+ * Extrai do corpo da requisição os campos editáveis de um desconto
+ */
+function parseDiscountBody(body) {
+    const fields = {};
+    const allowed = ['name', 'type', 'code', 'category', 'product_id', 'percentage', 'fixed_amount',
+        'is_active', 'start_date', 'end_date', 'usage_limit', 'min_quantity', 'buy_quantity', 'get_quantity',
+        'min_order_value', 'include_subcategories'];
+
+    allowed.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    });
+
+    return fields;
+}
+
+// Listar descontos (?active=true retorna apenas os vigentes; &at=<data> avalia em outra data)
+app.get('/api/discounts', async (req, res) => {
+    try {
+        const active = req.query.active === 'true';
+        const clock = parseClock(req.query.at);
+
+        if (!clock) {
+            return res.status(400).json({
+                success: false,
+                message: `Data inválida: "${req.query.at}". Use o formato ISO 8601.`
+            });
+        }
+
+        const result = active
+            ? await discountRepository.findEnabled()
+            : await discountRepository.findAll();
+        
+        if (result.success) {
+            const now = clock.now();
+            const data = active ? result.data.filter(d => d.isActiveAt(now)) : result.data;
+            res.json({
+                success: true,
+                data,
+                count: data.length
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar descontos',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Buscar desconto por ID
+app.get('/api/discounts/:id', async (req, res) => {
+    try {
+        const discount = await discountRepository.findById(req.params.id);
+        
+        if (discount) {
+            res.json({
+                success: true,
+                data: discount
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: `Desconto ${req.params.id} não encontrado`
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Criar novo desconto
+app.post('/api/discounts', async (req, res) => {
+    try {
+        const discount = new Discount(parseDiscountBody(req.body));
+
+        if (!discount.isValid()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dados do desconto inválidos. Verifique nome, tipo, percentual ou valor fixo e alvo do desconto.'
+            });
+        }
+
+        const result = await discountRepository.create(discount);
+        
+        if (result.success) {
+            const created = await discountRepository.findById(result.insertId);
+            res.status(201).json({
+                success: true,
+                message: `Desconto "${discount.name}" criado com sucesso!`,
+                data: created || { id: result.insertId, ...discount.toJSON() }
+            });
+        } else {
+            res.status(400).json({
+                success: false,
+                message: 'Erro ao criar desconto',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Atualizar desconto existente
+app.put('/api/discounts/:id', async (req, res) => {
+    try {
+        const existing = await discountRepository.findById(req.params.id);
+        
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: `Desconto ${req.params.id} não encontrado`
+            });
+        }
+
+        const discount = existing.withChanges(parseDiscountBody(req.body));
+
+        if (!discount.isValid()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dados do desconto inválidos. Verifique nome, tipo, percentual ou valor fixo e alvo do desconto.'
+            });
+        }
+
+        const result = await discountRepository.update(existing.id, discount);
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                message: `Desconto "${discount.name}" atualizado com sucesso!`,
+                data: await discountRepository.findById(existing.id)
+            });
+        } else {
+            res.status(400).json({
+                success: false,
+                message: 'Erro ao atualizar desconto',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Remover todos os descontos
+app.delete('/api/discounts', async (req, res) => {
+    try {
+        const result = await discountRepository.deleteAll();
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                message: `${result.affectedRows} desconto(s) removido(s) com sucesso!`
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao remover descontos',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Remover desconto
+app.delete('/api/discounts/:id', async (req, res) => {
+    try {
+        const result = await discountRepository.delete(req.params.id);
+        
+        if (result.success && result.affectedRows > 0) {
+            res.json({
+                success: true,
+                message: `Desconto ${req.params.id} removido com sucesso!`
+            });
+        } else if (result.affectedRows === 0) {
+            res.status(404).json({
+                success: false,
+                message: `Desconto ${req.params.id} não encontrado`
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao remover desconto',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE CUPONS ===
+
+/**
+ * Mensagens e status HTTP para cada motivo de recusa do resgate
+ */
+const REDEMPTION_ERRORS = {
+    [RedemptionError.NOT_FOUND]: { status: 404, message: 'Cupom não encontrado' },
+    [RedemptionError.INACTIVE]: { status: 409, message: 'Cupom inativo' },
+    [RedemptionError.NOT_STARTED]: { status: 409, message: 'Cupom ainda não está vigente' },
+    [RedemptionError.EXPIRED]: { status: 409, message: 'Cupom expirado' },
+    [RedemptionError.EXHAUSTED]: { status: 409, message: 'Cupom atingiu o limite de usos' }
+};
+
+// Consultar cupom pelo código (sem consumir uso)
+app.get('/api/coupons/:code', async (req, res) => {
+    try {
+        const discount = await discountRepository.findByCode(req.params.code);
+        
+        if (!discount) {
+            return res.status(404).json({
+                success: false,
+                message: `Cupom "${req.params.code}" não encontrado`
+            });
+        }
+
+        const reason = discount.getRedemptionError(systemClock.now());
+        res.json({
+            success: true,
+            data: {
+                ...discount.toJSON(),
+                redeemable: reason === null,
+                reason,
+                remainingUses: discount.getRemainingUses()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Resgatar cupom: valida código, vigência e usos restantes e incrementa usage_count
+app.post('/api/coupons/:code/redeem', async (req, res) => {
+    try {
+        const code = req.params.code;
+        const result = await discountRepository.redeemCoupon(code, systemClock.now());
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                message: `Cupom "${code}" resgatado com sucesso!`,
+                data: {
+                    ...result.data.toJSON(),
+                    remainingUses: result.data.getRemainingUses()
+                }
+            });
+        } else if (result.reason) {
+            const error = REDEMPTION_ERRORS[result.reason];
+            res.status(error.status).json({
+                success: false,
+                message: `${error.message}: "${code}"`,
+                reason: result.reason
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao resgatar cupom',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE POLÍTICA DE ACÚMULO DE DESCONTOS ===
+
+// Consultar a política de acúmulo da loja
+app.get('/api/pricing/stacking-policy', async (req, res) => {
+    try {
+        const policy = await settingsRepository.getStackingPolicy();
+        res.json({
+            success: true,
+            data: policy.toJSON()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Alterar a política de acúmulo da loja
+app.put('/api/pricing/stacking-policy', async (req, res) => {
+    try {
+        const { mode, maxDiscountPercent } = req.body;
+        const policy = new StackingPolicy({ mode, maxDiscountPercent });
+
+        if (!policy.isValid()) {
+            return res.status(400).json({
+                success: false,
+                message: `Política inválida. Modos: ${Object.values(StackingMode).join(', ')}; limite entre 0 e 100`
+            });
+        }
+
+        const result = await settingsRepository.saveStackingPolicy(policy);
+
+        if (result.success) {
+            res.json({
+                success: true,
+                message: `Política de acúmulo atualizada: ${policy.getDescription()}`,
+                data: policy.toJSON()
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao salvar política de acúmulo',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE IMPOSTOS ===
+
+// Consultar alíquotas por categoria e UF (?uf=SP retorna as alíquotas que incidem no destino)
+app.get('/api/taxes/rates', async (req, res) => {
+    try {
+        const uf = req.query.uf ? String(req.query.uf).toUpperCase() : null;
+
+        if (uf && !TaxRules.isValidUf(uf)) {
+            return res.status(400).json({
+                success: false,
+                message: `UF inválida: "${req.query.uf}"`
+            });
+        }
+
+        const result = await taxRepository.getRules();
+        
+        if (result.success) {
+            const rules = result.data;
+            const categories = [...new Set(rules.rates.map(r => r.category))];
+            res.json({
+                success: true,
+                data: uf
+                    ? categories.flatMap(category => rules.ratesFor(category, uf))
+                    : rules.toJSON()
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar alíquotas',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE ARREDONDAMENTO DE PREÇOS ===
+
+// Consultar a política de arredondamento da loja
+app.get('/api/pricing/rounding', async (req, res) => {
+    try {
+        const policy = await settingsRepository.getRoundingPolicy();
+        res.json({
+            success: true,
+            data: policy.toJSON()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Alterar a política de arredondamento da loja
+app.put('/api/pricing/rounding', async (req, res) => {
+    try {
+        const { mode, scope } = req.body;
+        const policy = new RoundingPolicy({ mode, scope });
+
+        if (!policy.isValid()) {
+            return res.status(400).json({
+                success: false,
+                message: `Política inválida. Modos: ${Object.values(RoundingMode).join(', ')}; escopos: ${Object.values(RoundingScope).join(', ')}`
+            });
+        }
+
+        const result = await settingsRepository.saveRoundingPolicy(policy);
+
+        if (result.success) {
+            res.json({
+                success: true,
+                message: `Arredondamento atualizado: ${policy.getDescription()}`,
+                data: policy.toJSON()
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao salvar política de arredondamento',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE PREÇOS AGENDADOS ===
+
+// Listar alterações agendadas: ?status=pending|applied|cancelled|failed|all (padrão: pending)
+app.get('/api/pricing/scheduled-changes', async (req, res) => {
+    try {
+        const status = req.query.status || ScheduleStatus.PENDING;
+        
+        if (status !== 'all' && !Object.values(ScheduleStatus).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Situação inválida. Use: ${Object.values(ScheduleStatus).join(', ')}, all`
+            });
+        }
+
+        const result = await scheduledPriceChangeRepository.findAll(status === 'all' ? null : status);
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result.data.map(change => change.toJSON()),
+                total: result.data.length
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar alterações agendadas',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Agendar alteração de preço: { productId ou sku, price, effectiveAt }
+app.post('/api/pricing/scheduled-changes', async (req, res) => {
+    try {
+        const { productId, sku, price, effectiveAt } = req.body;
+        const product = productId
+            ? await productRepository.findById(productId)
+            : sku ? await productRepository.findBySku(sku) : null;
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado. Informe productId ou sku de um produto ativo'
+            });
+        }
+
+        const change = new ScheduledPriceChange({
+            product_id: product.id,
+            new_price: price,
+            effective_at: effectiveAt,
+            created_by: getRequestUser(req)
+        });
+
+        if (!change.isValid(systemClock.now())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dados inválidos. Informe price maior que zero e effectiveAt (data ISO) no futuro'
+            });
+        }
+
+        const result = await scheduledPriceChangeRepository.create(change, systemClock.now());
+        
+        if (result.success) {
+            const created = await scheduledPriceChangeRepository.findById(result.insertId);
+            res.status(201).json({
+                success: true,
+                message: `Preço de "${product.name}" agendado para R$ ${change.new_price.toFixed(2)}`,
+                data: (created || change).toJSON()
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao agendar alteração de preço',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Cancelar alteração pendente
+app.delete('/api/pricing/scheduled-changes/:id', async (req, res) => {
+    try {
+        const change = await scheduledPriceChangeRepository.findById(req.params.id);
+        
+        if (!change) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alteração agendada não encontrada'
+            });
+        }
+
+        const result = await scheduledPriceChangeRepository.cancel(change.id);
+        
+        if (result.success && result.affectedRows > 0) {
+            res.json({
+                success: true,
+                message: 'Alteração agendada cancelada!'
+            });
+        } else if (result.success) {
+            res.status(409).json({
+                success: false,
+                message: `Alteração não está pendente (situação: ${change.status})`
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao cancelar alteração agendada',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE FRETE ===
+
+// Consultar as regras de frete cadastradas
+app.get('/api/shipping/rules', async (req, res) => {
+    try {
+        const result = await shippingRepository.getRules();
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result.data.toJSON()
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar regras de frete',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Cotar frete: ?items=ID:QTD,ID:QTD&cep=01310-100&coupon=CODIGO
+// O frete é retornado separado do preço dos produtos (já com descontos)
+app.get('/api/shipping/quote', async (req, res) => {
+    try {
+        const requested = parseQuoteItems(req.query.items);
+        
+        if (!requested) {
+            return res.status(400).json({
+                success: false,
+                message: 'Parâmetro "items" inválido. Use items=ID:QTD,ID:QTD com quantidades inteiras positivas'
+            });
+        }
+
+        const cep = req.query.cep || null;
+        if (cep && !ShippingRules.normalizeCep(cep)) {
+            return res.status(400).json({
+                success: false,
+                message: 'CEP inválido. Informe 8 dígitos, ex.: 01310-100'
+            });
+        }
+
+        const products = await Promise.all(requested.map(item => productRepository.findById(item.productId)));
+        const missing = requested.filter((item, index) => !products[index]);
+        
+        if (missing.length > 0) {
+            return res.status(404).json({
+                success: false,
+                message: `Produto(s) não encontrado(s): ${missing.map(item => item.productId).join(', ')}`
+            });
+        }
+
+        const [pricing, rules] = await Promise.all([
+            loadPricingService(systemClock, parseCouponCodes(req.query.coupon)),
+            shippingRepository.getRules()
+        ]);
+
+        if (!rules.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar regras de frete',
+                error: rules.error
+            });
+        }
+
+        const items = requested.map((item, index) => ({
+            product: products[index],
+            quantity: item.quantity,
+            unitPrice: pricing.total(products[index])
+        }));
+        const shipping = new ShippingService(rules.data).quote(items, cep);
+
+        res.json({
+            success: true,
+            data: {
+                items: items.map(item => ({
+                    productId: item.product.id,
+                    name: item.product.name,
+                    quantity: item.quantity,
+                    price: item.product.price,
+                    finalPrice: item.unitPrice,
+                    lineTotal: Money.fromDecimal(item.unitPrice).multiply(item.quantity).toNumber()
+                })),
+                subtotal: shipping.merchandiseTotal,
+                shipping,
+                total: Money.fromDecimal(shipping.merchandiseTotal).add(Money.fromDecimal(shipping.total)).toNumber()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE CARRINHO ===
+
+// Criar carrinho vazio
+app.post('/api/carts', async (req, res) => {
+    try {
+        const result = await cartRepository.create();
+        
+        if (result.success) {
+            const cart = await cartRepository.findById(result.insertId);
+            res.status(201).json({
+                success: true,
+                message: 'Carrinho criado com sucesso!',
+                data: cart ? cart.toJSON() : { id: result.insertId, items: [] }
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao criar carrinho',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Buscar carrinho com seus itens
+app.get('/api/carts/:id', async (req, res) => {
+    try {
+        const cart = await cartRepository.findById(req.params.id);
+        
+        if (cart) {
+            res.json({
+                success: true,
+                data: cart.toJSON()
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: 'Carrinho não encontrado'
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Adicionar produto ao carrinho: { productId, quantity } (quantidade padrão 1)
+app.post('/api/carts/:id/items', async (req, res) => {
+    try {
+        const productId = Number(req.body.productId);
+        const quantity = req.body.quantity !== undefined ? Number(req.body.quantity) : 1;
+        
+        if (!Number.isInteger(productId) || productId <= 0 || !Cart.isValidQuantity(quantity)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Informe productId e quantity (inteiro positivo)'
+            });
+        }
+
+        const [cart, product] = await Promise.all([
+            cartRepository.findById(req.params.id),
+            productRepository.findById(productId)
+        ]);
+
+        if (!cart) {
+            return res.status(404).json({
+                success: false,
+                message: 'Carrinho não encontrado'
+            });
+        }
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const result = await cartRepository.addItem(cart.id, productId, quantity);
+        
+        if (result.success) {
+            const updated = await cartRepository.findById(cart.id);
+            res.status(201).json({
+                success: true,
+                message: `Produto "${product.name}" adicionado ao carrinho!`,
+                data: updated.toJSON()
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao adicionar produto ao carrinho',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Remover produto do carrinho
+app.delete('/api/carts/:id/items/:productId', async (req, res) => {
+    try {
+        const cart = await cartRepository.findById(req.params.id);
+        
+        if (!cart) {
+            return res.status(404).json({
+                success: false,
+                message: 'Carrinho não encontrado'
+            });
+        }
+
+        const result = await cartRepository.removeItem(cart.id, req.params.productId);
+        
+        if (result.success && result.affectedRows > 0) {
+            const updated = await cartRepository.findById(cart.id);
+            res.json({
+                success: true,
+                message: 'Produto removido do carrinho!',
+                data: updated.toJSON()
+            });
+        } else if (result.success) {
+            res.status(404).json({
+                success: false,
+                message: 'Produto não está no carrinho'
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao remover produto do carrinho',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Total do carrinho: cada linha pelo preço final do produto, depois os descontos
+// de carrinho (faixas de quantidade, leve X ganhe Y, cupom com pedido mínimo).
+// ?coupon=CODIGO informa cupons com código
+app.get('/api/carts/:id/total', async (req, res) => {
+    try {
+        const cart = await cartRepository.findById(req.params.id);
+        
+        if (!cart) {
+            return res.status(404).json({
+                success: false,
+                message: 'Carrinho não encontrado'
+            });
+        }
+
+        const pricing = await loadCartPricingService(systemClock, parseCouponCodes(req.query.coupon));
+
+        res.json({
+            success: true,
+            data: pricing.price(cart)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE PEDIDOS ===
+
+// Respostas para cada motivo de recusa do checkout
+const CHECKOUT_ERRORS = {
+    [CheckoutError.EMPTY]: { status: 400, message: 'O pedido não tem itens' },
+    [CheckoutError.PRODUCT_NOT_FOUND]: { status: 404, message: 'Produto(s) não encontrado(s)' },
+    [CheckoutError.INSUFFICIENT_STOCK]: { status: 409, message: 'Estoque insuficiente' },
+    [CheckoutError.COUPON_UNAVAILABLE]: { status: 409, message: 'Cupom indisponível' }
+};
+
+// Fechar pedido: { cartId } ou { items: [{ productId, quantity }] }, com "coupon" opcional.
+// Preços finais e descontos são congelados no pedido e o estoque é baixado na mesma transação
+app.post('/api/orders', async (req, res) => {
+    try {
+        const { items, coupon } = req.body;
+        const cartId = req.body.cartId !== undefined ? Number(req.body.cartId) : null;
+        let requested;
+
+        if (cartId !== null) {
+            const cart = await cartRepository.findById(cartId);
+            
+            if (!cart) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Carrinho não encontrado'
+                });
+            }
+
+            requested = cart.items.map(item => ({ productId: item.product.id, quantity: item.quantity }));
+        } else if (Array.isArray(items)) {
+            requested = items.map(item => ({ productId: Number(item.productId), quantity: Number(item.quantity) }));
+            
+            const valid = requested.every(item =>
+                Number.isInteger(item.productId) && item.productId > 0 && Cart.isValidQuantity(item.quantity)
+            );
+
+            if (!valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Itens inválidos. Use items: [{ productId, quantity }] com quantidades inteiras positivas'
+                });
+            }
+        } else {
+            return res.status(400).json({
+                success: false,
+                message: 'Informe cartId ou items'
+            });
+        }
+
+        const couponCodes = parseCouponCodes(Array.isArray(coupon) ? coupon.join(',') : coupon);
+        const checkout = new CheckoutService(await loadCartPricingService(systemClock, couponCodes), couponCodes);
+        const result = await orderRepository.checkout(requested, lines => checkout.createOrder(lines, cartId), cartId, systemClock.now());
+        
+        if (result.success) {
+            const order = await orderRepository.findById(result.data.id);
+            res.status(201).json({
+                success: true,
+                message: 'Pedido realizado com sucesso!',
+                data: (order || result.data).toJSON()
+            });
+        } else if (result.reason) {
+            const error = CHECKOUT_ERRORS[result.reason];
+            res.status(error.status).json({
+                success: false,
+                message: error.message,
+                reason: result.reason,
+                productIds: result.productIds,
+                shortages: result.shortages,
+                coupons: result.coupons && result.coupons.map(coupon => ({
+                    ...coupon,
+                    message: REDEMPTION_ERRORS[coupon.reason].message
+                }))
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao fechar pedido',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Buscar pedido com seus itens
+app.get('/api/orders/:id', async (req, res) => {
+    try {
+        const order = await orderRepository.findById(req.params.id);
+        
+        if (order) {
+            res.json({
+                success: true,
+                data: order.toJSON()
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: 'Pedido não encontrado'
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE ESTOQUE ===
+
+// Respostas para cada motivo de recusa de uma movimentação
+const INVENTORY_ERRORS = {
+    [InventoryError.PRODUCT_NOT_FOUND]: { status: 404, message: 'Produto não encontrado' },
+    [InventoryError.INSUFFICIENT_STOCK]: { status: 409, message: 'Estoque insuficiente' }
+};
+
+// Registrar movimentação: { productId, type, quantity, note? }; o autor vem do cabeçalho X-User.
+// quantity é positiva em receive/return/damage/sale (o tipo define o sentido) e tem sinal em adjust
+app.post('/api/inventory/movements', async (req, res) => {
+    try {
+        const { productId, type, quantity, note } = req.body;
+        const movement = InventoryMovement.fromAmount(Number(productId), type, Number(quantity), {
+            note,
+            created_by: getRequestUser(req)
+        });
+        const validAmount = type === MovementType.ADJUST || Number(quantity) > 0;
+
+        if (!validAmount || !movement.isValid()) {
+            return res.status(400).json({
+                success: false,
+                message: `Movimentação inválida. Tipos: ${Object.values(MovementType).join(', ')}; quantidade inteira positiva (com sinal em adjust)`
+            });
+        }
+
+        const result = await inventoryRepository.record(movement);
+        
+        if (result.success) {
+            res.status(201).json({
+                success: true,
+                message: 'Movimentação registrada com sucesso!',
+                data: result.data.toJSON()
+            });
+        } else if (result.reason) {
+            const error = INVENTORY_ERRORS[result.reason];
+            res.status(error.status).json({
+                success: false,
+                message: error.message,
+                reason: result.reason,
+                available: result.available
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao registrar movimentação',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Histórico de movimentações de um produto (?limit=, padrão 50)
+app.get('/api/inventory/products/:id/movements', async (req, res) => {
+    try {
+        const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+        
+        if (!Number.isInteger(limit) || limit <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Parâmetro "limit" deve ser um inteiro positivo'
+            });
+        }
+
+        const result = await inventoryRepository.findByProduct(req.params.id, limit);
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result.data.map(movement => movement.toJSON()),
+                total: result.data.length
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar movimentações',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Definir o ponto de reposição do produto: { threshold } (null desativa o alerta)
+app.put('/api/inventory/products/:id/reorder-threshold', async (req, res) => {
+    try {
+        const threshold = req.body.threshold === null || req.body.threshold === undefined
+            ? null
+            : Number(req.body.threshold);
+
+        if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ponto de reposição deve ser um inteiro maior ou igual a zero'
+            });
+        }
+
+        const result = await inventoryRepository.setReorderThreshold(req.params.id, threshold);
+        
+        if (result.success && result.affectedRows > 0) {
+            res.json({
+                success: true,
+                message: 'Ponto de reposição atualizado!',
+                data: { productId: Number(req.params.id), reorder_threshold: threshold }
+            });
+        } else if (result.success) {
+            res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao atualizar ponto de reposição',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Relatório de estoque baixo: produtos no ponto de reposição ou abaixo dele
+app.get('/api/inventory/low-stock', async (req, res) => {
+    try {
+        const result = await inventoryRepository.findLowStock();
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result.data.map(product => ({
+                    ...product.toJSON(),
+                    shortfall: product.reorder_threshold - product.stock_quantity
+                })),
+                total: result.data.length
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar produtos com estoque baixo',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// === ROTAS DE CATEGORIAS ===
+
+// Motivos de recusa das alterações de categoria
+const CATEGORY_ERRORS = {
+    [CategoryError.DUPLICATE_NAME]: { status: 409, message: 'Já existe uma categoria com este identificador' },
+    [CategoryError.IN_USE]: { status: 409, message: 'A categoria tem produtos e não pode ser removida' },
+    [CategoryError.HAS_CHILDREN]: { status: 409, message: 'A categoria tem subcategorias e não pode ser removida' },
+    [CategoryError.PARENT_NOT_FOUND]: { status: 400, message: 'Categoria pai não encontrada' },
+    [CategoryError.INVALID_PARENT]: { status: 400, message: 'A categoria pai não pode ser a própria categoria nem uma de suas subcategorias' }
+};
+
+// Campos da categoria aceitos no corpo da requisição (parent_id: null = categoria raiz)
+const CATEGORY_FIELDS = ['name', 'display_name', 'description', 'icon', 'parent_id'];
+
+/**
+ * Campos da categoria enviados no corpo da requisição
+ */
+function parseCategoryBody(body) {
+    const data = {};
+    CATEGORY_FIELDS
+        .filter(field => body[field] !== undefined)
+        .forEach(field => { data[field] = body[field]; });
+    return data;
+}
+
+/**
+ * Responde à recusa (CATEGORY_ERRORS) ou ao erro de uma alteração de categoria
+ */
+function sendCategoryError(res, result, fallbackMessage) {
+    if (result.reason) {
+        const error = CATEGORY_ERRORS[result.reason];
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            reason: result.reason,
+            productCount: result.productCount
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage,
+        error: result.error
+    });
+}
+
+// Listar categorias cadastradas
+app.get('/api/categories', async (req, res) => {
+    try {
+        const result = await categoryRepository.findAll();
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result.data.map(category => category.toJSON()),
+                total: result.data.length
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar categorias',
+                error: result.error
+            });
+        }
+    } catch (error) {
+        console.error('Erro ao buscar categorias:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Árvore de categorias (raízes com subcategorias aninhadas em children)
+app.get('/api/categories/tree', async (req, res) => {
+    try {
+        const tree = await categoryRepository.findTree();
+        
+        if (tree) {
+            res.json({
+                success: true,
+                data: tree.toJSON()
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar categorias'
+            });
+        }
+    } catch (error) {
+        console.error('Erro ao buscar árvore de categorias:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Subárvore de uma categoria, com o caminho até a raiz
+app.get('/api/categories/:id(\\d+)/tree', async (req, res) => {
+    try {
+        const tree = await categoryRepository.findTree();
+        
+        if (!tree) {
+            return res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar categorias'
+            });
+        }
+
+        const category = tree.getById(parseInt(req.params.id));
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Categoria não encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: tree.toJSON(category.name)[0],
+            path: tree.pathOf(category.name).map(ancestor => ancestor.toJSON()),
+            descendants: tree.descendantsOf(category.name)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Buscar categoria por ID
+app.get('/api/categories/:id(\\d+)', async (req, res) => {
+    try {
+        const category = await categoryRepository.findById(req.params.id);
+        
+        if (category) {
+            res.json({
+                success: true,
+                data: category.toJSON()
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: 'Categoria não encontrada'
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Criar categoria: { name, display_name, description?, icon?, parent_id? }
+app.post('/api/categories', async (req, res) => {
+    try {
+        const category = new ProductCategory(parseCategoryBody(req.body));
+
+        if (!category.isValid()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dados da categoria inválidos. Informe name (minúsculas, dígitos, "-" ou "_") e display_name'
+            });
+        }
+
+        const result = await categoryRepository.create(category);
+        
+        if (result.success) {
+            const created = await categoryRepository.findById(result.insertId);
+            res.status(201).json({
+                success: true,
+                message: `Categoria "${category.display_name}" criada com sucesso!`,
+                data: (created || category).toJSON()
+            });
+        } else {
+            sendCategoryError(res, result, 'Erro ao criar categoria');
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor',
+            error: error.message
+        });
+    }
+});
+
+// Atualizar categoria (apenas os campos enviados)
+app.put('/api/categories/:id(\\d+)', async (req, res) => {
+    try {
+        const current = await categoryRepository.findById(req.params.id);
+        
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: 'Categoria não encontrada'
+            });
+        }
+
+        const category = current.withChanges(parseCategoryBody(req.body));
+
+        if (!category.isValid()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dados da categoria inválidos. Informe name (minúsculas, dígitos, "-" ou "_") e display_name'
+            });
+        }
+
+        const result = await categoryRepository.update(current.id, category);
         
-        if (result.success && result.affectedRows > 0) {
+        if (result.success) {
+            const updated = await categoryRepository.findById(current.id);
             res.json({
                 success: true,
-                message: `Produto "${name}" removido com sucesso!`
-            });
-        } else if (result.affectedRows === 0) {
-            res.status(404).json({
-                success: false,
-                message: `Produto "${name}" não encontrado`
+                message: `Categoria "${category.display_name}" atualizada com sucesso!`,
+                data: (updated || category).toJSON()
             });
         } else {
-            res.status(500).json({
-                success: false,
-                message: 'Erro ao remover produto',
-                error: result.error
-            });
+            sendCategoryError(res, result, 'Erro ao atualizar categoria');
         }
     } catch (error) {
         res.status(500).json({
@@ -215,22 +2204,27 @@ app.delete('/api/products/:name', async (req, res) => {
     }
 });
 
-// Estatísticas dos produtos
-app.get('/api/products/stats', async (req, res) => {
+// Remover categoria (somente sem produtos e sem subcategorias; descontos, fretes e alíquotas dela são removidos)
+app.delete('/api/categories/:id(\\d+)', async (req, res) => {
     try {
-        const result = await productRepository.getStatistics();
+        const category = await categoryRepository.findById(req.params.id);
+        
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Categoria não encontrada'
+            });
+        }
+
+        const result = await categoryRepository.delete(category.id);
         
         if (result.success) {
             res.json({
                 success: true,
-                data: result.data
+                message: `Categoria "${category.display_name}" removida com sucesso!`
             });
         } else {
-            res.status(500).json({
-                success: false,
-                message: 'Erro ao buscar estatísticas',
-                error: result.error
-            });
+            sendCategoryError(res, result, 'Erro ao remover categoria');
         }
     } catch (error) {
         res.status(500).json({
@@ -248,23 +2242,61 @@ app.get('/api/products/filter', async (req, res) => {
     try {
         const {
             category,
+            includeSubcategories,
             search,
             minPrice,
             maxPrice,
             inStockOnly,
-            limit,
-            offset
+            withPricing,
+            coupon,
+            sort
         } = req.query;
 
+        const tax = parseTaxOptions(req.query);
+
+        if (tax && tax.error) {
+            return res.status(400).json({
+                success: false,
+                message: tax.error
+            });
+        }
+
+        // Ordenação opcional, ex.: sort=-price,name (campos: name, price, final_price, created_at)
+        const parsedSort = sort !== undefined ? ProductSort.parse(sort) : null;
+
+        if (parsedSort && parsedSort.error) {
+            return res.status(400).json({
+                success: false,
+                message: parsedSort.error,
+                sortFields: ProductSort.getFields()
+            });
+        }
+
+        // Paginação opcional: limit com offset ou com cursor (nextCursor da página anterior)
+        const page = parseProductPagination(req.query, parsedSort ? parsedSort.sort : new ProductSort());
+
+        if (page.error) {
+            return res.status(400).json({
+                success: false,
+                message: page.error
+            });
+        }
+
         // Converter parâmetros para tipos corretos
         const filterParams = {
             category: category || undefined,
+            includeSubcategories: includeSubcategories === 'true',
             search: search || undefined,
             minPrice: minPrice ? parseFloat(minPrice) : undefined,
             maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
             inStockOnly: inStockOnly === 'true',
-            limit: limit ? parseInt(limit) : undefined,
-            offset: offset ? parseInt(offset) : undefined
+            limit: page.limit,
+            offset: page.offset,
+            after: page.after,
+            withPricing: withPricing === 'true',
+            couponCodes: parseCouponCodes(coupon),
+            tax,
+            sort: parsedSort ? parsedSort.sort : undefined
         };
 
         // Aplicar filtros usando padrão Decorator
@@ -285,38 +2317,12 @@ app.get('/api/products/filter', async (req, res) => {
     }
 });
 
-// Obter categorias disponíveis
-app.get('/api/categories', async (req, res) => {
-    try {
-        const products = await productRepository.findAll();
-        
-        if (products.success) {
-            const categories = [...new Set(products.data.map(p => p.category))];
-            res.json({
-                success: true,
-                data: categories.sort()
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                message: 'Erro ao buscar categorias'
-            });
-        }
-    } catch (error) {
-        console.error('Erro ao buscar categorias:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Erro interno do servidor',
-            error: error.message
-        });
-    }
-});
-
 // Estatísticas de produtos filtrados
 app.get('/api/products/stats', async (req, res) => {
     try {
         const {
             category,
+            includeSubcategories,
             search,
             minPrice,
             maxPrice,
@@ -325,6 +2331,7 @@ app.get('/api/products/stats', async (req, res) => {
 
         const filterParams = {
             category: category || undefined,
+            includeSubcategories: includeSubcategories === 'true',
             search: search || undefined,
             minPrice: minPrice ? parseFloat(minPrice) : undefined,
             maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
@@ -352,6 +2359,8 @@ app.get('/api/products/stats', async (req, res) => {
 
 /**
  * Interface básica para filtros usando padrão Decorator
+ * Cada filtro filtra uma lista em memória (filter) ou contribui um fragmento
+ * de WHERE com parâmetros (toSql) para o ProductQuery executado no MySQL
  */
 class ProductFilter {
     async filter(products) {
@@ -361,6 +2370,21 @@ class ProductFilter {
     getDescription() {
         throw new Error('Método getDescription deve ser implementado');
     }
+    
+    /**
+     * Fragmento de WHERE do filtro: { clause, params } ou null quando não filtra
+     */
+    toSql() {
+        return null;
+    }
+    
+    /**
+     * Adiciona ao ProductQuery a condição deste filtro
+     */
+    applyTo(query) {
+        const fragment = this.toSql();
+        return fragment ? query.where(fragment.clause, fragment.params) : query;
+    }
 }
 
 /**
@@ -384,31 +2408,53 @@ class FilterDecorator extends ProductFilter {
         super();
         this.baseFilter = filter;
     }
+    
+    /**
+     * Adiciona as condições dos filtros decorados e depois a própria
+     */
+    applyTo(query) {
+        return super.applyTo(this.baseFilter.applyTo(query));
+    }
 }
 
 /**
- * Filtro por categoria
+ * Filtro por categoria. Com scope (categoria e subcategorias, via
+ * CategoryTree.subtreeOf) aceita produtos de qualquer categoria da subárvore.
  */
 class CategoryFilter extends FilterDecorator {
-    constructor(filter, category) {
+    constructor(filter, category, scope = null) {
         super(filter);
         this.category = category;
+        this.scope = scope ? scope.map(name => name.toLowerCase()) : null;
     }
     
     async filter(products) {
         const baseFiltered = await this.baseFilter.filter(products);
-        return baseFiltered.filter(product => 
-            product.category.toLowerCase() === this.category.toLowerCase()
+        const category = this.category.toLowerCase();
+        return baseFiltered.filter(product => this.scope
+            ? this.scope.includes(product.category.toLowerCase())
+            : product.category.toLowerCase() === category
         );
     }
     
     getDescription() {
         const baseDesc = this.baseFilter.getDescription();
-        const categoryDesc = `Categoria: ${this.category}`;
+        const categoryDesc = this.scope
+            ? `Categoria: ${this.category} (com subcategorias)`
+            : `Categoria: ${this.category}`;
         return baseDesc === 'Filtro base (sem filtragem)' 
             ? categoryDesc 
             : `${baseDesc} + ${categoryDesc}`;
     }
+    
+    toSql() {
+        // Filtra por category_id para usar o índice idx_products_category_price
+        const names = this.scope || [this.category.toLowerCase()];
+        return {
+            clause: `p.category_id IN (SELECT id FROM categories WHERE name IN (${names.map(() => '?').join(', ')}))`,
+            params: names
+        };
+    }
 }
 
 /**
@@ -436,6 +2482,15 @@ class SearchFilter extends FilterDecorator {
             ? searchDesc 
             : `${baseDesc} + ${searchDesc}`;
     }
+    
+    toSql() {
+        // "%" e "_" digitados pelo usuário são buscados literalmente
+        const pattern = `%${this.searchTerm.replace(/[\\%_]/g, '\\$&')}%`;
+        return {
+            clause: 'p.name LIKE ? OR p.description LIKE ?',
+            params: [pattern, pattern]
+        };
+    }
 }
 
 /**
@@ -481,6 +2536,23 @@ class PriceRangeFilter extends FilterDecorator {
             ? priceDesc 
             : `${baseDesc} + ${priceDesc}`;
     }
+    
+    toSql() {
+        const conditions = [];
+        const params = [];
+        
+        if (Number.isFinite(this.minPrice)) {
+            conditions.push('p.price >= ?');
+            params.push(this.minPrice);
+        }
+        
+        if (Number.isFinite(this.maxPrice)) {
+            conditions.push('p.price <= ?');
+            params.push(this.maxPrice);
+        }
+        
+        return conditions.length > 0 ? { clause: conditions.join(' AND '), params } : null;
+    }
 }
 
 /**
@@ -512,17 +2584,71 @@ class StockFilter extends FilterDecorator {
             ? stockDesc 
             : `${baseDesc} + ${stockDesc}`;
     }
+    
+    toSql() {
+        return this.inStockOnly ? { clause: 'p.stock_quantity > 0', params: [] } : null;
+    }
+}
+
+/**
+ * Ordenação da listagem (ProductSort); fica por fora da cadeia para ordenar o resultado final.
+ * Campos com coluna viram ORDER BY no ProductQuery; o preço final é calculado
+ * pelo PricingService (finalPrice) e ordenado em memória.
+ */
+class SortFilter extends FilterDecorator {
+    constructor(filter, sort, finalPrice = null) {
+        super(filter);
+        this.sort = sort;
+        this.finalPrice = finalPrice;
+    }
+    
+    async filter(products) {
+        const baseFiltered = await this.baseFilter.filter(products);
+        return this.sortProducts(baseFiltered);
+    }
+    
+    /**
+     * Ordena produtos já filtrados
+     */
+    sortProducts(products) {
+        return this.sort.sort(products, this.finalPrice || undefined);
+    }
+    
+    /**
+     * Indica se o banco consegue ordenar (e portanto paginar) sozinho
+     */
+    isSqlSortable() {
+        return this.sort.isSqlSortable();
+    }
+    
+    getDescription() {
+        const baseDesc = this.baseFilter.getDescription();
+        const sortDesc = this.sort.getDescription();
+        return baseDesc === 'Filtro base (sem filtragem)' 
+            ? sortDesc 
+            : `${baseDesc} + ${sortDesc}`;
+    }
+    
+    applyTo(query) {
+        const filtered = this.baseFilter.applyTo(query);
+        
+        if (this.isSqlSortable()) {
+            this.sort.keys.forEach(key => filtered.orderBy(ProductSort.columnFor(key.field), key.direction));
+        }
+        
+        return filtered;
+    }
 }
 
 /**
  * Factory para criar filtros compostos
  */
 class FilterFactory {
-    static createCompleteFilter(category, searchTerm, minPrice, maxPrice, inStockOnly) {
+    static createCompleteFilter(category, searchTerm, minPrice, maxPrice, inStockOnly, categoryScope = null, sort = null, finalPrice = null) {
         let filter = new BaseFilter();
         
         if (category) {
-            filter = new CategoryFilter(filter, category);
+            filter = new CategoryFilter(filter, category, categoryScope);
         }
         
         if (searchTerm?.trim()) {
@@ -537,59 +2663,131 @@ class FilterFactory {
             filter = new StockFilter(filter, true);
         }
         
+        if (sort) {
+            filter = new SortFilter(filter, sort, finalPrice);
+        }
+        
         return filter;
     }
 }
 
+/**
+ * Seleciona os produtos pelos critérios do FilterFactory. Filtros, ordenação
+ * (criteria.sort, ProductSort) e paginação (criteria.limit com offset ou com
+ * after, a posição do cursor) são executados no MySQL via ProductQuery.
+ * Ordenando pelo preço final, os produtos filtrados são ordenados e paginados
+ * em memória com o pricing.
+ * @returns {Promise<Object>} { success, data: Product[], total, original, filter, hasNext, next }
+ */
+async function findFilteredProducts(criteria, pricing = null) {
+    // Com includeSubcategories a categoria abrange toda a sua subárvore
+    let categoryScope = null;
+    if (criteria.category && criteria.includeSubcategories) {
+        const tree = await categoryRepository.findTree();
+        categoryScope = tree ? tree.subtreeOf(criteria.category.toLowerCase()) : null;
+    }
+    
+    if (criteria.sort && criteria.sort.usesFinalPrice() && !pricing) {
+        pricing = await loadPricingService();
+    }
+    
+    // Criar filtro composto
+    const filter = FilterFactory.createCompleteFilter(
+        criteria.category,
+        criteria.search,
+        criteria.minPrice,
+        criteria.maxPrice,
+        criteria.inStockOnly,
+        categoryScope,
+        criteria.sort || null,
+        pricing ? product => pricing.total(product) : null
+    );
+    
+    // Ordem da página (a padrão, por nome, quando não há sort) e keyset do cursor
+    const pageSort = criteria.sort || new ProductSort();
+    const finalPrice = pricing ? product => pricing.total(product) : undefined;
+    const paginate = criteria.limit !== undefined;
+    const sortInMemory = !pageSort.isSqlSortable();
+    
+    const query = filter.applyTo(new ProductQuery());
+    if (paginate && !sortInMemory) {
+        if (criteria.after) {
+            query.seekAfter(pageSort.seekKeys(criteria.after), criteria.after.id);
+        }
+        // Um produto a mais indica se existe próxima página
+        query.limit(criteria.limit + 1).offset(criteria.offset);
+    }
+    
+    const [selected, original] = await Promise.all([
+        productRepository.findFiltered(query),
+        productRepository.countActive()
+    ]);
+    
+    if (!selected.success) {
+        return {
+            success: false,
+            message: 'Erro ao buscar produtos do banco de dados'
+        };
+    }
+    
+    let products = selected.data;
+    if (sortInMemory) {
+        products = filter.sortProducts(products);
+        
+        if (paginate) {
+            const offset = criteria.offset || 0;
+            if (criteria.after) {
+                products = products.filter(product => pageSort.compare(pageSort.positionOf(product, finalPrice), criteria.after) > 0);
+            }
+            products = products.slice(offset, offset + criteria.limit + 1);
+        }
+    }
+    
+    const hasNext = paginate && products.length > criteria.limit;
+    if (hasNext) {
+        products = products.slice(0, criteria.limit);
+    }
+    
+    return {
+        success: true,
+        data: products,
+        total: selected.total,
+        original,
+        filter: filter.getDescription(),
+        hasNext,
+        // Posição do último produto da página, base do nextCursor
+        next: hasNext ? pageSort.positionOf(products[products.length - 1], finalPrice) : null
+    };
+}
+
 /**
  * Aplica filtros aos produtos usando padrão Decorator
  */
 async function applyProductFilters(filterParams) {
     try {
-        // Buscar todos os produtos
-        const allProducts = await productRepository.findAll();
+        const pricing = await loadPricingService(systemClock, filterParams.couponCodes, filterParams.tax);
+        const selected = await findFilteredProducts(filterParams, pricing);
         
-        if (!allProducts.success) {
-            return {
-                success: false,
-                message: 'Erro ao buscar produtos do banco de dados'
-            };
+        if (!selected.success) {
+            return selected;
         }
         
-        // Criar filtro composto
-        const filter = FilterFactory.createCompleteFilter(
-            filterParams.category,
-            filterParams.search,
-            filterParams.minPrice,
-            filterParams.maxPrice,
-            filterParams.inStockOnly
-        );
-        
-        // Aplicar filtros
-        const filteredProducts = await filter.filter(allProducts.data);
-        
         // Log para debug
-        console.log('🔍 Filtro aplicado:', filter.getDescription());
-        console.log('📊 Produtos encontrados:', filteredProducts.length, 'de', allProducts.data.length);
-        
-        // Aplicar paginação se especificada
-        let paginatedProducts = filteredProducts;
-        if (filterParams.limit !== undefined) {
-            const offset = filterParams.offset || 0;
-            paginatedProducts = filteredProducts.slice(offset, offset + filterParams.limit);
-        }
+        console.log('🔍 Filtro aplicado:', selected.filter);
+        console.log('📊 Produtos encontrados:', selected.total, 'de', selected.original);
         
         return {
             success: true,
-            data: paginatedProducts,
-            total: filteredProducts.length,
-            filtered: filteredProducts.length,
-            original: allProducts.data.length,
-            filter: filter.getDescription(),
+            data: serializeProducts(selected.data, pricing, filterParams.withPricing),
+            total: selected.total,
+            filtered: selected.total,
+            original: selected.original,
+            filter: selected.filter,
             pagination: filterParams.limit ? {
                 limit: filterParams.limit,
-                offset: filterParams.offset || 0,
-                hasNext: (filterParams.offset || 0) + filterParams.limit < filteredProducts.length
+                offset: filterParams.after ? null : filterParams.offset || 0,
+                hasNext: selected.hasNext,
+                nextCursor: selected.next ? (filterParams.sort || new ProductSort()).encodeCursor(selected.next) : null
             } : null
         };
         
@@ -632,18 +2830,18 @@ async function getFilteredStats(filterParams) {
             };
         }
         
-        const prices = products.map(p => parseFloat(p.price));
-        const totalValue = prices.reduce((sum, price) => sum + price, 0);
+        const prices = products.map(p => Money.fromDecimal(p.price));
+        const totalValue = Money.sum(prices);
         const inStockProducts = products.filter(p => (parseInt(p.stock_quantity) || 0) > 0);
         
         return {
             success: true,
             data: {
                 total: products.length,
-                averagePrice: totalValue / products.length,
-                minPrice: Math.min(...prices),
-                maxPrice: Math.max(...prices),
-                totalValue,
+                averagePrice: totalValue.divide(products.length).round().toNumber(),
+                minPrice: prices.reduce((min, price) => min.min(price)).toNumber(),
+                maxPrice: prices.reduce((max, price) => max.max(price)).toNumber(),
+                totalValue: totalValue.toNumber(),
                 categoriesCount: new Set(products.map(p => p.category)).size,
                 inStockCount: inStockProducts.length,
                 outOfStockCount: products.length - inStockProducts.length
@@ -659,6 +2857,252 @@ async function getFilteredStats(filterParams) {
     }
 }
 
+// === FUNÇÕES DE PREÇO COM PADRÃO DECORATOR ===
+
+/**
+ * Monta o serviço de precificação com os descontos vigentes
+ */
+async function loadPricingService(clock = systemClock, couponCodes = [], tax = null) {
+    const [discounts, policy, rounding, taxRules] = await Promise.all([
+        discountRepository.findEnabled(),
+        settingsRepository.getStackingPolicy(),
+        settingsRepository.getRoundingPolicy(),
+        tax ? taxRepository.getRules() : null
+    ]);
+
+    return new PricingService(discounts.success ? discounts.data : [], {
+        clock,
+        couponCodes,
+        policy,
+        rounding,
+        tax: tax && taxRules && taxRules.success ? { ...tax, rules: taxRules.data } : null
+    });
+}
+
+/**
+ * Monta o serviço de precificação do carrinho com os descontos habilitados
+ * e as políticas de acúmulo e arredondamento da loja
+ */
+async function loadCartPricingService(clock = systemClock, couponCodes = []) {
+    const [discounts, policy, rounding] = await Promise.all([
+        discountRepository.findEnabled(),
+        settingsRepository.getStackingPolicy(),
+        settingsRepository.getRoundingPolicy()
+    ]);
+
+    return new CartPricingService(discounts.success ? discounts.data : [], {
+        clock,
+        couponCodes,
+        policy,
+        rounding
+    });
+}
+
+/**
+ * Converte os parâmetros "uf" e "taxDisplay" em opções de imposto.
+ * Retorna null sem UF e { error } quando os parâmetros são inválidos.
+ */
+function parseTaxOptions(query) {
+    if (!query.uf) {
+        return null;
+    }
+
+    const uf = String(query.uf).toUpperCase();
+    const display = query.taxDisplay || TaxDisplay.EXCLUSIVE;
+
+    if (!TaxRules.isValidUf(uf)) {
+        return { error: `UF inválida: "${query.uf}"` };
+    }
+
+    if (!Object.values(TaxDisplay).includes(display)) {
+        return { error: `Exibição de imposto inválida. Use: ${Object.values(TaxDisplay).join(', ')}` };
+    }
+
+    return { uf, display };
+}
+
+/**
+ * Converte limit, offset e cursor da listagem de produtos. O limite fica entre
+ * 1 e PRODUCT_MAX_PAGE_SIZE; com cursor e sem limit vale PRODUCT_PAGE_SIZE.
+ * Retorna { limit, offset, after } ou { error } quando algum parâmetro é inválido.
+ */
+function parseProductPagination(query, sort, defaultLimit = undefined) {
+    const { limit, offset, cursor } = query;
+
+    if (cursor !== undefined && offset !== undefined) {
+        return { error: 'Use cursor ou offset, não os dois' };
+    }
+
+    let pageSize = limit !== undefined ? parseInt(limit) : defaultLimit;
+    if (pageSize === undefined && cursor !== undefined) {
+        pageSize = PRODUCT_PAGE_SIZE;
+    }
+
+    if (pageSize !== undefined && !(Number.isInteger(pageSize) && pageSize > 0)) {
+        return { error: 'limit deve ser um número inteiro maior que zero' };
+    }
+
+    const skip = offset !== undefined ? parseInt(offset) : undefined;
+    if (skip !== undefined && !(Number.isInteger(skip) && skip >= 0)) {
+        return { error: 'offset deve ser um número inteiro maior ou igual a zero' };
+    }
+
+    const after = cursor !== undefined ? sort.decodeCursor(cursor) : undefined;
+    if (after === null) {
+        return { error: 'Cursor inválido ou de outra ordenação' };
+    }
+
+    return {
+        limit: pageSize !== undefined ? Math.min(pageSize, PRODUCT_MAX_PAGE_SIZE) : undefined,
+        offset: skip,
+        after
+    };
+}
+
+/**
+ * Converte o parâmetro "coupon" (um ou mais códigos separados por vírgula) em lista
+ */
+function parseCouponCodes(value) {
+    if (!value) {
+        return [];
+    }
+
+    return String(value).split(',').map(code => code.trim()).filter(Boolean);
+}
+
+/**
+ * Converte o parâmetro "items" (ID:QTD separados por vírgula; QTD padrão 1)
+ * em lista de itens. Retorna null quando o parâmetro é inválido.
+ */
+function parseQuoteItems(value) {
+    if (!value) {
+        return null;
+    }
+
+    const items = String(value).split(',').map(entry => {
+        const [id, quantity = '1'] = entry.trim().split(':');
+        return { productId: Number(id), quantity: Number(quantity) };
+    });
+
+    const valid = items.every(item =>
+        Number.isInteger(item.productId) && item.productId > 0 &&
+        Number.isInteger(item.quantity) && item.quantity > 0
+    );
+
+    return valid ? items : null;
+}
+
+/**
+ * Sinaliza rota obsoleta (cabeçalhos Deprecation e Link para a substituta)
+ */
+function markDeprecated(res, successor) {
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+}
+
+/**
+ * ETag do produto, derivado da coluna version (incrementada a cada alteração)
+ */
+function productETag(product) {
+    return `"${product.id}-v${product.version}"`;
+}
+
+/**
+ * Confere o cabeçalho If-Match com a versão atual do produto. Retorna
+ * { version } para o UPDATE condicional (null sem If-Match ou com "*"),
+ * ou { status, error } quando a versão informada já não é a atual (409).
+ */
+function parseIfMatch(header, product) {
+    if (!header || header.trim() === '*') {
+        return { version: null };
+    }
+
+    const etags = header.split(',').map(etag => etag.trim().replace(/^W\//, ''));
+    if (!etags.includes(productETag(product))) {
+        return { status: 409, error: 'O produto foi alterado por outra requisição. Recarregue e tente novamente.' };
+    }
+
+    return { version: product.version };
+}
+
+/**
+ * Usuário da aplicação que fez a requisição (cabeçalho X-User), ou null
+ */
+function getRequestUser(req) {
+    const user = req.get('X-User');
+    return user ? String(user).trim().slice(0, 100) : null;
+}
+
+/**
+ * Converte os parâmetros "from" e "to" em intervalo de datas. Uma data sem
+ * horário em "to" vale até o fim do dia. Retorna { error } quando inválido.
+ */
+function parseDateRange(query) {
+    const range = { from: null, to: null };
+
+    if (query.from) {
+        range.from = new Date(query.from);
+        if (isNaN(range.from.getTime())) {
+            return { error: `Data inicial inválida: "${query.from}"` };
+        }
+    }
+
+    if (query.to) {
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(query.to);
+        range.to = new Date(dateOnly ? `${query.to}T23:59:59.999` : query.to);
+        if (isNaN(range.to.getTime())) {
+            return { error: `Data final inválida: "${query.to}"` };
+        }
+    }
+
+    if (range.from && range.to && range.from > range.to) {
+        return { error: 'A data inicial deve ser anterior à data final' };
+    }
+
+    return range;
+}
+
+/**
+ * Converte o parâmetro "at" em relógio fixo; sem parâmetro usa o relógio do sistema.
+ * Retorna null quando a data é inválida.
+ */
+function parseClock(at) {
+    if (!at) {
+        return systemClock;
+    }
+
+    const date = new Date(at);
+    return isNaN(date.getTime()) ? null : new FixedClock(date);
+}
+
+/**
+ * Serializa os produtos incluindo o preço final calculado no servidor.
+ * Com withPricing, inclui preço original, final, os ajustes de cada decorator
+ * e a trilha completa do modo explain.
+ */
+function serializeProducts(products, pricing, withPricing = false) {
+    return products.map(product => {
+        if (!withPricing) {
+            return {
+                ...product.toJSON(),
+                final_price: pricing.total(product)
+            };
+        }
+
+        const result = pricing.price(product);
+        return {
+            ...product.toJSON(),
+            final_price: result.finalPrice,
+            originalPrice: result.originalPrice,
+            finalPrice: result.finalPrice,
+            adjustments: result.adjustments,
+            taxes: result.taxes,
+            taxDisplay: result.taxDisplay,
+            steps: result.steps
+        };
+    });
+}
+
 // Middleware de tratamento de erros
 app.use((err, req, res, next) => {
     console.error(err.stack);
@@ -673,6 +3117,8 @@ app.listen(PORT, () => {
     console.log(`🚀 Servidor rodando em http://localhost:${PORT}`);
     console.log(`📱 Interface web disponível em http://localhost:${PORT}`);
     console.log(`🔧 Status da API: http://localhost:${PORT}/api/status`);
+
+    priceScheduler.start(SCHEDULER_INTERVAL_MS);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -1,10 +1,19 @@
+const { CategoryRepository } = require('../database/CategoryRepository.js');
+
 // Models
-import { Product, Category, CategoryType } from '../models/Product';
-import { PriceCalc } from '../models/PriceCalc';
+import { Product, CategoryType } from '../models/Product';
+import { ProductCategory } from '../models/ProductCategory';
+import { PriceCalc, PriceStep } from '../models/PriceCalc';
+import { Discount } from '../models/Discount';
+import { StackingPolicy } from '../models/StackingPolicy';
+import { Money } from '../models/Money';
 
 // Services
 import { ProductService } from '../services/ProductService';
-import { BasicPrice, CategoryPercentOff, CouponPercentOff } from '../services/PriceCalculators';
+import { BasicPrice, CategoryPercentOff, CouponPercentOff, ProductPercentOff, ProductTarget } from '../services/PriceCalculators';
+import { DiscountChainFactory } from '../services/DiscountChainFactory';
+import { PriceCalcBuilder, PriceCalcConfig } from '../services/PriceCalcBuilder';
+import { Clock, SystemClock } from '../services/Clock';
 
 /**
  * Controller para gerenciar produtos com integração MySQL
@@ -14,10 +23,14 @@ import { BasicPrice, CategoryPercentOff, CouponPercentOff } from '../services/Pr
 export class ProductControllerDB {
     private productService: ProductService;
     private priceCalculator: PriceCalc;
+    private priceCalcBuilder: PriceCalcBuilder;
+    private categoryRepository: any;
 
     constructor() {
         this.productService = new ProductService();
+        this.categoryRepository = new CategoryRepository();
         this.priceCalculator = new BasicPrice(); // Calculador padrão
+        this.priceCalcBuilder = new PriceCalcBuilder();
     }
 
     /**
@@ -34,7 +47,7 @@ export class ProductControllerDB {
                 return { success: false, message: 'Preço deve ser maior que zero' };
             }
 
-            if (!Object.values(Category).includes(category as any)) {
+            if (!ProductCategory.isValidName(category)) {
                 return { success: false, message: 'Categoria inválida' };
             }
 
@@ -158,7 +171,7 @@ export class ProductControllerDB {
                 return { success: false, message: 'Percentual deve estar entre 1 e 100' };
             }
 
-            this.priceCalculator = new CategoryPercentOff(new BasicPrice(), category, percent / 100);
+            this.priceCalculator = new CategoryPercentOff(this.priceCalculator, category, percent / 100);
             return { 
                 success: true, 
                 message: `Desconto de ${percent}% aplicado à categoria ${category}` 
@@ -193,6 +206,83 @@ export class ProductControllerDB {
         }
     }
 
+    /**
+     * Aplica desconto a um único produto, identificado por id ou SKU
+     */
+    applyProductDiscount(target: ProductTarget, percent: number): { success: boolean; message: string } {
+        try {
+            if (!target.id && !target.sku) {
+                return { success: false, message: 'Informe o id ou o SKU do produto' };
+            }
+
+            if (percent <= 0 || percent > 100) {
+                return { success: false, message: 'Percentual deve estar entre 1 e 100' };
+            }
+
+            this.priceCalculator = new ProductPercentOff(this.priceCalculator, target, percent / 100);
+            return { 
+                success: true, 
+                message: `Desconto de ${percent}% aplicado ao produto ${target.sku || target.id}` 
+            };
+        } catch (error: any) {
+            return { 
+                success: false, 
+                message: `Erro ao aplicar desconto: ${error.message}` 
+            };
+        }
+    }
+
+    /**
+     * Substitui os descontos atuais pelos descontos persistidos no banco
+     * vigentes na data do relógio informado, combinados pela política de acúmulo
+     */
+    applyDiscounts(
+        discounts: Discount[],
+        clock: Clock = new SystemClock(),
+        policy: StackingPolicy = new StackingPolicy()
+    ): { success: boolean; message: string } {
+        try {
+            this.priceCalculator = DiscountChainFactory.fromDiscounts(discounts, clock, [], policy);
+            return { 
+                success: true, 
+                message: `${discounts.length} desconto(s) carregado(s)` 
+            };
+        } catch (error: any) {
+            return { 
+                success: false, 
+                message: `Erro ao carregar descontos: ${error.message}` 
+            };
+        }
+    }
+
+    /**
+     * Substitui a cadeia atual pela descrita em JSON,
+     * ex.: [{ "type": "categoryPercentOff", "category": "livros", "percent": 0.1 }, { "type": "shipping" }]
+     */
+    async applyPricingConfig(config: unknown): Promise<{ success: boolean; message: string }> {
+        try {
+            // Etapas por categoria só aceitam categorias cadastradas e resolvem as subcategorias pela árvore
+            this.priceCalcBuilder.setCategoryTree(await this.categoryRepository.findTree());
+            this.priceCalculator = this.priceCalcBuilder.build(config);
+            return { 
+                success: true, 
+                message: `Cadeia de preço com ${(config as PriceCalcConfig).length} etapa(s) aplicada` 
+            };
+        } catch (error: any) {
+            return { 
+                success: false, 
+                message: `Erro ao aplicar configuração de preço: ${error.message}` 
+            };
+        }
+    }
+
+    /**
+     * Descrição JSON da cadeia atual, para ser armazenada e recarregada depois
+     */
+    getPricingConfig(): PriceCalcConfig {
+        return this.priceCalcBuilder.serialize(this.priceCalculator);
+    }
+
     /**
      * Remove todos os descontos
      */
@@ -209,25 +299,29 @@ export class ProductControllerDB {
     }
 
     /**
-     * Calcula o preço final de um produto com descontos aplicados
+     * Calcula o preço final de um produto com descontos aplicados,
+     * incluindo a trilha de cada decorator da cadeia (steps)
      */
     calculateFinalPrice(product: Product): { 
         originalPrice: number; 
         finalPrice: number; 
         discount: number; 
-        discountPercent: number 
+        discountPercent: number;
+        steps: PriceStep[];
     } {
         try {
             const originalPrice = product.price;
+            const steps = this.priceCalculator.explain(product);
             const finalPrice = this.priceCalculator.total(product);
-            const discount = originalPrice - finalPrice;
+            const discount = product.getPrice().subtract(Money.fromDecimal(finalPrice)).toNumber();
             const discountPercent = originalPrice > 0 ? (discount / originalPrice) * 100 : 0;
 
             return {
                 originalPrice,
                 finalPrice,
                 discount,
-                discountPercent
+                discountPercent,
+                steps
             };
         } catch (error) {
             console.error('Erro ao calcular preço final:', error);
@@ -235,7 +329,8 @@ export class ProductControllerDB {
                 originalPrice: product.price,
                 finalPrice: product.price,
                 discount: 0,
-                discountPercent: 0
+                discountPercent: 0,
+                steps: []
             };
         }
     }
@@ -278,7 +373,7 @@ export class ProductControllerDB {
                 return { success: false, message: 'Preço deve ser maior que zero' };
             }
 
-            if (updates.category !== undefined && !Object.values(Category).includes(updates.category as any)) {
+            if (updates.category !== undefined && !ProductCategory.isValidName(updates.category)) {
                 return { success: false, message: 'Categoria inválida' };
             }
 
@@ -0,0 +1,128 @@
+const { db } = require('./connection.js');
+const { Cart } = require('../models/Cart.ts');
+const { Product } = require('../models/Product.ts');
+
+/**
+ * Repository para carrinhos de compras (carts e cart_items)
+ * SEMPRE retorna objetos Cart Model, com os itens como objetos Product
+ */
+class CartRepository {
+
+    /**
+     * Converte a linha do carrinho e as linhas de itens em objeto Cart
+     */
+    _toCartModel(cartData, itemRows) {
+        if (!cartData) return null;
+        return new Cart({
+            id: cartData.id,
+            created_at: cartData.created_at,
+            updated_at: cartData.updated_at,
+            items: itemRows.map(row => ({
+                product: new Product(row),
+                quantity: parseInt(row.quantity)
+            }))
+        });
+    }
+
+    /**
+     * Cria um carrinho vazio
+     * @returns {Promise<Object>} Resultado da operação com insertId
+     */
+    async create() {
+        return await db.insert('INSERT INTO carts () VALUES ()');
+    }
+
+    /**
+     * Busca carrinho por ID com os itens e seus produtos ativos
+     * @param {number} id - ID do carrinho
+     * @returns {Promise<Cart|null>} Objeto Cart ou null
+     */
+    async findById(id) {
+        const cartResult = await db.select('SELECT id, created_at, updated_at FROM carts WHERE id = ?', [id]);
+        if (!cartResult.success || cartResult.data.length === 0) {
+            return null;
+        }
+
+        const query = `
+            SELECT
+                ci.quantity,
+                p.id,
+                p.name,
+                p.price,
+                p.description,
+                p.image_url,
+                p.sku,
+                p.stock_quantity,
+                p.weight_kg,
+                p.reorder_threshold,
+                p.created_at,
+                p.updated_at,
+                c.name as category,
+                c.display_name as category_display_name,
+                c.icon as category_icon
+            FROM cart_items ci
+            INNER JOIN products p ON ci.product_id = p.id
+            INNER JOIN categories c ON p.category_id = c.id
+            WHERE ci.cart_id = ? AND p.is_active = TRUE
+            ORDER BY ci.created_at ASC, ci.id ASC
+        `;
+
+        const itemsResult = await db.select(query, [id]);
+        if (!itemsResult.success) {
+            return null;
+        }
+
+        return this._toCartModel(cartResult.data[0], itemsResult.data);
+    }
+
+    /**
+     * Adiciona um produto ao carrinho; se ele já estiver no carrinho, soma a quantidade
+     * @param {number} cartId - ID do carrinho
+     * @param {number} productId - ID do produto
+     * @param {number} quantity - Quantidade a adicionar (inteiro positivo)
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async addItem(cartId, productId, quantity) {
+        if (!Cart.isValidQuantity(quantity)) {
+            return { success: false, error: 'Quantidade deve ser um inteiro positivo' };
+        }
+
+        const query = `
+            INSERT INTO cart_items (cart_id, product_id, quantity)
+            VALUES (?, ?, ?)
+            ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity)
+        `;
+
+        const result = await db.insert(query, [cartId, productId, quantity]);
+        if (result.success) {
+            await this._touch(cartId);
+        }
+        return result;
+    }
+
+    /**
+     * Remove um produto do carrinho
+     * @param {number} cartId - ID do carrinho
+     * @param {number} productId - ID do produto
+     * @returns {Promise<Object>} Resultado da operação (affectedRows = 0 se o item não existia)
+     */
+    async removeItem(cartId, productId) {
+        const result = await db.delete(
+            'DELETE FROM cart_items WHERE cart_id = ? AND product_id = ?',
+            [cartId, productId]
+        );
+        if (result.success && result.affectedRows > 0) {
+            await this._touch(cartId);
+        }
+        return result;
+    }
+
+    /**
+     * Atualiza updated_at do carrinho após alteração nos itens
+     */
+    async _touch(cartId) {
+        return await db.update('UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [cartId]);
+    }
+}
+
+module.exports = { CartRepository };
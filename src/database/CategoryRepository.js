@@ -0,0 +1,237 @@
+const { db } = require('./connection.js');
+const { ProductCategory, CategoryTree, CategoryError } = require('../models/ProductCategory.ts');
+
+/**
+ * Repository para as categorias de produtos (categories)
+ * As categorias válidas vêm sempre daqui; a constante Category de Product.ts
+ * contém apenas as categorias iniciais do schema.sql
+ * SEMPRE retorna e recebe objetos ProductCategory Model
+ */
+class CategoryRepository {
+
+    /**
+     * Converte dados do banco para objeto ProductCategory
+     */
+    _toCategoryModel(dbData) {
+        if (!dbData) return null;
+        return new ProductCategory(dbData);
+    }
+
+    /**
+     * SELECT base com a quantidade de produtos ativos da categoria
+     */
+    _baseSelect() {
+        return `
+            SELECT
+                c.id,
+                c.name,
+                c.display_name,
+                c.description,
+                c.icon,
+                c.parent_id,
+                c.created_at,
+                c.updated_at,
+                COUNT(p.id) as product_count
+            FROM categories c
+            LEFT JOIN products p ON p.category_id = c.id AND p.is_active = TRUE
+        `;
+    }
+
+    /**
+     * Busca todas as categorias, ordenadas pelo nome de exibição
+     * @returns {Promise<Object>} Resultado com array de objetos ProductCategory
+     */
+    async findAll() {
+        const query = `${this._baseSelect()} GROUP BY c.id ORDER BY c.display_name ASC`;
+
+        const result = await db.select(query);
+        if (result.success) {
+            return {
+                success: true,
+                data: result.data.map(row => this._toCategoryModel(row))
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Hierarquia completa das categorias
+     * @returns {Promise<CategoryTree|null>} Árvore de categorias ou null em caso de erro
+     */
+    async findTree() {
+        const result = await this.findAll();
+        return result.success ? new CategoryTree(result.data) : null;
+    }
+
+    /**
+     * Confere a categoria pai: precisa existir e não pode ser a própria
+     * categoria nem uma de suas subcategorias
+     */
+    async _checkParent(categoryId, parentId) {
+        if (parentId === null) {
+            return { success: true };
+        }
+
+        const tree = await this.findTree();
+        if (!tree) {
+            return { success: false, error: 'Erro ao buscar categorias' };
+        }
+
+        if (!tree.getById(parentId)) {
+            return { success: false, reason: CategoryError.PARENT_NOT_FOUND };
+        }
+
+        if (!tree.canMove(categoryId, parentId)) {
+            return { success: false, reason: CategoryError.INVALID_PARENT };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Busca categoria por ID
+     * @param {number} id - ID da categoria
+     * @returns {Promise<ProductCategory|null>} Objeto ProductCategory ou null
+     */
+    async findById(id) {
+        const result = await db.select(`${this._baseSelect()} WHERE c.id = ? GROUP BY c.id`, [id]);
+        if (result.success && result.data.length > 0) {
+            return this._toCategoryModel(result.data[0]);
+        }
+        return null;
+    }
+
+    /**
+     * Busca categoria pelo identificador (ex.: "livros")
+     * @param {string} name - Identificador da categoria
+     * @returns {Promise<ProductCategory|null>} Objeto ProductCategory ou null
+     */
+    async findByName(name) {
+        const result = await db.select(`${this._baseSelect()} WHERE c.name = ? GROUP BY c.id`, [name]);
+        if (result.success && result.data.length > 0) {
+            return this._toCategoryModel(result.data[0]);
+        }
+        return null;
+    }
+
+    /**
+     * Identificadores de todas as categorias, para validar produtos e descontos
+     * @returns {Promise<string[]>} Lista de identificadores (vazia em caso de erro)
+     */
+    async findNames() {
+        const result = await db.select('SELECT name FROM categories ORDER BY name');
+        return result.success ? result.data.map(row => row.name) : [];
+    }
+
+    /**
+     * Cria uma nova categoria
+     * @param {ProductCategory} category - Categoria a ser criada
+     * @returns {Promise<Object>} Resultado da operação (reason = duplicate_name se o identificador já existe)
+     */
+    async create(category) {
+        if (!(category instanceof ProductCategory)) {
+            return { success: false, error: 'Parâmetro deve ser um objeto ProductCategory' };
+        }
+
+        if (!category.isValid()) {
+            return { success: false, error: 'Dados da categoria inválidos' };
+        }
+
+        if (await this.findByName(category.name)) {
+            return { success: false, reason: CategoryError.DUPLICATE_NAME };
+        }
+
+        const parent = await this._checkParent(null, category.parent_id);
+        if (!parent.success) {
+            return parent;
+        }
+
+        const query = `
+            INSERT INTO categories (name, display_name, description, icon, parent_id)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        return await db.insert(query, [
+            category.name,
+            category.display_name,
+            category.description,
+            category.icon,
+            category.parent_id
+        ]);
+    }
+
+    /**
+     * Atualiza uma categoria. Os produtos referenciam a categoria pelo ID,
+     * então mudar o identificador não os afeta.
+     * @param {number} id - ID da categoria
+     * @param {ProductCategory} category - Categoria com os novos dados
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async update(id, category) {
+        if (!(category instanceof ProductCategory)) {
+            return { success: false, error: 'Parâmetro deve ser um objeto ProductCategory' };
+        }
+
+        if (!category.isValid()) {
+            return { success: false, error: 'Dados da categoria inválidos' };
+        }
+
+        const existing = await this.findByName(category.name);
+        if (existing && existing.id !== Number(id)) {
+            return { success: false, reason: CategoryError.DUPLICATE_NAME };
+        }
+
+        const parent = await this._checkParent(Number(id), category.parent_id);
+        if (!parent.success) {
+            return parent;
+        }
+
+        const query = `
+            UPDATE categories
+            SET name = ?, display_name = ?, description = ?, icon = ?, parent_id = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+
+        return await db.update(query, [
+            category.name,
+            category.display_name,
+            category.description,
+            category.icon,
+            category.parent_id,
+            id
+        ]);
+    }
+
+    /**
+     * Remove uma categoria sem produtos e sem subcategorias. Produtos removidos
+     * (is_active = FALSE) também contam, porque continuam referenciando a
+     * categoria (ON DELETE RESTRICT). Descontos, fretes e alíquotas da
+     * categoria são removidos em cascata.
+     * @param {number} id - ID da categoria
+     * @returns {Promise<Object>} Resultado da operação (reason = in_use com productCount ou has_children)
+     */
+    async delete(id) {
+        const childrenResult = await db.select('SELECT COUNT(*) as count FROM categories WHERE parent_id = ?', [id]);
+        if (!childrenResult.success) {
+            return childrenResult;
+        }
+
+        if (childrenResult.data[0].count > 0) {
+            return { success: false, reason: CategoryError.HAS_CHILDREN };
+        }
+
+        const countResult = await db.select('SELECT COUNT(*) as count FROM products WHERE category_id = ?', [id]);
+        if (!countResult.success) {
+            return countResult;
+        }
+
+        const productCount = countResult.data[0].count;
+        if (productCount > 0) {
+            return { success: false, reason: CategoryError.IN_USE, productCount };
+        }
+
+        return await db.delete('DELETE FROM categories WHERE id = ?', [id]);
+    }
+}
+
+module.exports = { CategoryRepository };
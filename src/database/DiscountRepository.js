@@ -0,0 +1,347 @@
+const { db } = require('./connection.js');
+const { Discount, RedemptionError } = require('../models/Discount.ts');
+const { CategoryRepository } = require('./CategoryRepository.js');
+
+/**
+ * Repository para operações de descontos no banco de dados
+ * SEMPRE retorna e recebe objetos Discount Model
+ */
+class DiscountRepository {
+    constructor() {
+        this.categoryRepository = new CategoryRepository();
+    }
+
+    /**
+     * Converte dados do banco para objeto Discount
+     */
+    _toDiscountModel(dbData) {
+        if (!dbData) return null;
+        return new Discount(dbData);
+    }
+
+    /**
+     * Converte array de dados do banco para array de objetos Discount
+     */
+    _toDiscountModelArray(dbDataArray) {
+        if (!Array.isArray(dbDataArray)) return [];
+        return dbDataArray.map(data => this._toDiscountModel(data));
+    }
+
+    /**
+     * Preenche as subcategorias dos descontos de categoria com include_subcategories,
+     * para que a cadeia de preços alcance toda a subárvore
+     */
+    async _withSubcategories(discounts) {
+        if (!discounts.some(discount => discount.include_subcategories && discount.category)) {
+            return discounts;
+        }
+
+        const tree = await this.categoryRepository.findTree();
+        if (tree) {
+            discounts
+                .filter(discount => discount.include_subcategories && discount.category)
+                .forEach(discount => { discount.subcategories = tree.descendantsOf(discount.category); });
+        }
+
+        return discounts;
+    }
+
+    /**
+     * Converte datas recebidas (string ISO ou Date) para o formato aceito pelo driver
+     */
+    _toDbDate(value) {
+        if (!value) return null;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Resolve category_id e product_id a partir do objeto Discount
+     */
+    async _resolveReferences(discount) {
+        let categoryId = null;
+
+        if (discount.category) {
+            const categoryResult = await db.select('SELECT id FROM categories WHERE name = ?', [discount.category]);
+
+            if (!categoryResult.success || categoryResult.data.length === 0) {
+                return { success: false, error: 'Categoria não encontrada' };
+            }
+
+            categoryId = categoryResult.data[0].id;
+        }
+
+        if (discount.product_id) {
+            const productResult = await db.select(
+                'SELECT id FROM products WHERE id = ? AND is_active = TRUE',
+                [discount.product_id]
+            );
+
+            if (!productResult.success || productResult.data.length === 0) {
+                return { success: false, error: 'Produto não encontrado' };
+            }
+        }
+
+        return { success: true, categoryId, productId: discount.product_id || null };
+    }
+
+    /**
+     * SELECT base com categoria e produto associados
+     */
+    _baseSelect() {
+        return `
+            SELECT
+                d.id,
+                d.name,
+                d.type,
+                d.code,
+                d.product_id,
+                d.percentage,
+                d.fixed_amount,
+                d.is_active,
+                d.start_date,
+                d.end_date,
+                d.usage_limit,
+                d.usage_count,
+                d.min_quantity,
+                d.buy_quantity,
+                d.get_quantity,
+                d.min_order_value,
+                d.include_subcategories,
+                d.created_at,
+                d.updated_at,
+                c.name as category,
+                p.name as product_name,
+                p.sku as product_sku
+            FROM discounts d
+            LEFT JOIN categories c ON d.category_id = c.id
+            LEFT JOIN products p ON d.product_id = p.id
+        `;
+    }
+
+    /**
+     * Busca todos os descontos cadastrados (ativos ou não)
+     * @returns {Promise<Object>} Resultado com array de objetos Discount
+     */
+    async findAll() {
+        const query = `${this._baseSelect()} ORDER BY d.created_at ASC, d.id ASC`;
+
+        const result = await db.select(query);
+        if (result.success) {
+            return {
+                success: true,
+                data: await this._withSubcategories(this._toDiscountModelArray(result.data))
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Busca descontos habilitados (is_active), independentemente da janela de datas.
+     * A vigência é avaliada na aplicação com Discount.isActiveAt, usando um relógio injetável.
+     * @returns {Promise<Object>} Resultado com array de objetos Discount
+     */
+    async findEnabled() {
+        const query = `
+            ${this._baseSelect()}
+            WHERE d.is_active = TRUE
+            ORDER BY d.created_at ASC, d.id ASC
+        `;
+
+        const result = await db.select(query);
+        if (result.success) {
+            return {
+                success: true,
+                data: await this._withSubcategories(this._toDiscountModelArray(result.data))
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Busca desconto por ID
+     * @param {number} id - ID do desconto
+     * @returns {Promise<Discount|null>} Objeto Discount ou null
+     */
+    async findById(id) {
+        const query = `${this._baseSelect()} WHERE d.id = ?`;
+
+        const result = await db.select(query, [id]);
+        if (result.success && result.data.length > 0) {
+            const [discount] = await this._withSubcategories([this._toDiscountModel(result.data[0])]);
+            return discount;
+        }
+        return null;
+    }
+
+    /**
+     * Busca cupom pelo código
+     * @param {string} code - Código do cupom
+     * @returns {Promise<Discount|null>} Objeto Discount ou null
+     */
+    async findByCode(code) {
+        const query = `${this._baseSelect()} WHERE d.code = ? AND d.type = 'coupon'`;
+
+        const result = await db.select(query, [code]);
+        if (result.success && result.data.length > 0) {
+            return this._toDiscountModel(result.data[0]);
+        }
+        return null;
+    }
+
+    /**
+     * Resgata um cupom: valida código, vigência e usos restantes e incrementa
+     * usage_count na mesma transação. A linha do cupom fica bloqueada
+     * (SELECT ... FOR UPDATE) até o commit, então resgates concorrentes
+     * não ultrapassam usage_limit.
+     * @param {string} code - Código do cupom
+     * @param {Date} date - Data do resgate
+     * @returns {Promise<Object>} { success, data?: Discount, reason?: string }
+     */
+    async redeemCoupon(code, date = new Date()) {
+        const result = await db.transaction(async (connection) => {
+            const [rows] = await connection.execute(
+                "SELECT * FROM discounts WHERE code = ? AND type = 'coupon' FOR UPDATE",
+                [code]
+            );
+
+            if (rows.length === 0) {
+                return { success: false, reason: RedemptionError.NOT_FOUND };
+            }
+
+            const discount = this._toDiscountModel(rows[0]);
+            const reason = discount.getRedemptionError(date);
+
+            if (reason) {
+                return { success: false, reason, data: discount };
+            }
+
+            await connection.execute(
+                'UPDATE discounts SET usage_count = usage_count + 1 WHERE id = ?',
+                [discount.id]
+            );
+
+            discount.usage_count += 1;
+            return { success: true, data: discount };
+        });
+
+        return result.success ? result.result : result;
+    }
+
+    /**
+     * Cria um novo desconto
+     * @param {Discount} discount - Objeto Discount a ser criado
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async create(discount) {
+        if (!(discount instanceof Discount)) {
+            return { success: false, error: 'Parâmetro deve ser um objeto Discount' };
+        }
+
+        if (!discount.isValid()) {
+            return { success: false, error: 'Dados do desconto inválidos' };
+        }
+
+        const references = await this._resolveReferences(discount);
+        if (!references.success) {
+            return references;
+        }
+
+        const query = `
+            INSERT INTO discounts (name, type, code, category_id, product_id, percentage, fixed_amount, is_active, start_date, end_date, usage_limit,
+                min_quantity, buy_quantity, get_quantity, min_order_value, include_subcategories)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+            discount.name,
+            discount.type,
+            discount.code,
+            references.categoryId,
+            references.productId,
+            discount.percentage,
+            discount.fixed_amount,
+            discount.is_active,
+            this._toDbDate(discount.start_date),
+            this._toDbDate(discount.end_date),
+            discount.usage_limit,
+            discount.min_quantity,
+            discount.buy_quantity,
+            discount.get_quantity,
+            discount.min_order_value,
+            discount.include_subcategories
+        ];
+
+        return await db.insert(query, params);
+    }
+
+    /**
+     * Atualiza um desconto existente
+     * @param {number} id - ID do desconto
+     * @param {Discount} discount - Objeto Discount com os novos dados
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async update(id, discount) {
+        if (!(discount instanceof Discount)) {
+            return { success: false, error: 'Parâmetro deve ser um objeto Discount' };
+        }
+
+        if (!discount.isValid()) {
+            return { success: false, error: 'Dados do desconto inválidos' };
+        }
+
+        const references = await this._resolveReferences(discount);
+        if (!references.success) {
+            return references;
+        }
+
+        const query = `
+            UPDATE discounts
+            SET name = ?, type = ?, code = ?, category_id = ?, product_id = ?, percentage = ?, fixed_amount = ?,
+                is_active = ?, start_date = ?, end_date = ?, usage_limit = ?,
+                min_quantity = ?, buy_quantity = ?, get_quantity = ?, min_order_value = ?,
+                include_subcategories = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+
+        const params = [
+            discount.name,
+            discount.type,
+            discount.code,
+            references.categoryId,
+            references.productId,
+            discount.percentage,
+            discount.fixed_amount,
+            discount.is_active,
+            this._toDbDate(discount.start_date),
+            this._toDbDate(discount.end_date),
+            discount.usage_limit,
+            discount.min_quantity,
+            discount.buy_quantity,
+            discount.get_quantity,
+            discount.min_order_value,
+            discount.include_subcategories,
+            id
+        ];
+
+        return await db.update(query, params);
+    }
+
+    /**
+     * Desativa um desconto (soft delete)
+     */
+    async delete(id) {
+        const query = 'UPDATE discounts SET is_active = FALSE WHERE id = ? AND is_active = TRUE';
+        return await db.update(query, [id]);
+    }
+
+    /**
+     * Desativa todos os descontos (soft delete)
+     */
+    async deleteAll() {
+        const query = 'UPDATE discounts SET is_active = FALSE WHERE is_active = TRUE';
+        return await db.update(query);
+    }
+}
+
+module.exports = { DiscountRepository };
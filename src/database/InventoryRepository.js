@@ -0,0 +1,168 @@
+const { db } = require('./connection.js');
+const { InventoryMovement, InventoryError } = require('../models/InventoryMovement.ts');
+const { Product } = require('../models/Product.ts');
+
+/**
+ * Repository para o livro de movimentações de estoque (inventory_movements)
+ * O stock_quantity de products é o saldo das movimentações e só é alterado aqui
+ * SEMPRE retorna objetos InventoryMovement Model
+ */
+class InventoryRepository {
+
+    /**
+     * Converte dados do banco para objeto InventoryMovement
+     */
+    _toMovementModel(dbData) {
+        if (!dbData) return null;
+        return new InventoryMovement(dbData);
+    }
+
+    /**
+     * Aplica a movimentação dentro de uma transação já aberta: bloqueia a linha
+     * do produto (SELECT ... FOR UPDATE), confere que o saldo não fica negativo,
+     * grava a movimentação com o saldo resultante e atualiza stock_quantity.
+     * Usado também pelo checkout de pedidos, na transação do pedido.
+     * @param {Object} connection - Conexão da transação (DatabaseManager.transaction)
+     * @param {InventoryMovement} movement - Movimentação a aplicar
+     * @returns {Promise<Object>} { success, data?: InventoryMovement, reason?: string, available?: number }
+     */
+    async applyMovement(connection, movement) {
+        const [rows] = await connection.execute(
+            'SELECT id, stock_quantity FROM products WHERE id = ? AND is_active = TRUE FOR UPDATE',
+            [movement.product_id]
+        );
+
+        if (rows.length === 0) {
+            return { success: false, reason: InventoryError.PRODUCT_NOT_FOUND };
+        }
+
+        const balance = rows[0].stock_quantity + movement.quantity;
+        if (balance < 0) {
+            return { success: false, reason: InventoryError.INSUFFICIENT_STOCK, available: rows[0].stock_quantity };
+        }
+
+        const [inserted] = await connection.execute(
+            `INSERT INTO inventory_movements (product_id, type, quantity, balance_after, order_id, note, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                movement.product_id,
+                movement.type,
+                movement.quantity,
+                balance,
+                movement.order_id,
+                movement.note,
+                movement.created_by
+            ]
+        );
+
+        await connection.execute(
+            'UPDATE products SET stock_quantity = ? WHERE id = ?',
+            [balance, movement.product_id]
+        );
+
+        movement.id = inserted.insertId;
+        movement.balance_after = balance;
+        return { success: true, data: movement };
+    }
+
+    /**
+     * Registra uma movimentação de estoque em sua própria transação
+     * @param {InventoryMovement} movement - Movimentação a registrar
+     * @returns {Promise<Object>} { success, data?: InventoryMovement, reason?: string, available?: number }
+     */
+    async record(movement) {
+        if (!(movement instanceof InventoryMovement)) {
+            return { success: false, error: 'Parâmetro deve ser um objeto InventoryMovement' };
+        }
+
+        if (!movement.isValid()) {
+            return { success: false, error: 'Dados da movimentação inválidos' };
+        }
+
+        const result = await db.transaction(connection => this.applyMovement(connection, movement));
+        return result.success ? result.result : result;
+    }
+
+    /**
+     * Busca as movimentações de um produto, da mais recente para a mais antiga
+     * @param {number} productId - ID do produto
+     * @param {number} limit - Quantidade máxima de movimentações
+     * @returns {Promise<Object>} Resultado com array de objetos InventoryMovement
+     */
+    async findByProduct(productId, limit = 50) {
+        const query = `
+            SELECT m.*, p.name as product_name
+            FROM inventory_movements m
+            INNER JOIN products p ON m.product_id = p.id
+            WHERE m.product_id = ?
+            ORDER BY m.created_at DESC, m.id DESC
+            LIMIT ${parseInt(limit)}
+        `;
+
+        const result = await db.select(query, [productId]);
+        if (result.success) {
+            return {
+                success: true,
+                data: result.data.map(row => this._toMovementModel(row))
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Define o ponto de reposição do produto (null desativa o alerta de estoque baixo)
+     * @param {number} productId - ID do produto
+     * @param {number|null} threshold - Quantidade mínima antes de repor
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async setReorderThreshold(productId, threshold) {
+        if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0)) {
+            return { success: false, error: 'Ponto de reposição deve ser um inteiro maior ou igual a zero' };
+        }
+
+        const query = 'UPDATE products SET reorder_threshold = ?, version = version + 1 WHERE id = ? AND is_active = TRUE';
+        return await db.update(query, [threshold, productId]);
+    }
+
+    /**
+     * Produtos ativos com estoque no ponto de reposição ou abaixo dele,
+     * dos mais críticos (menor saldo em relação ao ponto) para os menos
+     * @returns {Promise<Object>} Resultado com array de objetos Product
+     */
+    async findLowStock() {
+        const query = `
+            SELECT
+                p.id,
+                p.name,
+                p.price,
+                p.description,
+                p.image_url,
+                p.sku,
+                p.stock_quantity,
+                p.weight_kg,
+                p.reorder_threshold,
+                p.created_at,
+                p.updated_at,
+                c.name as category,
+                c.display_name as category_display_name,
+                c.icon as category_icon
+            FROM products p
+            INNER JOIN categories c ON p.category_id = c.id
+            WHERE p.is_active = TRUE
+            AND p.reorder_threshold IS NOT NULL
+            AND p.stock_quantity <= p.reorder_threshold
+            ORDER BY (p.stock_quantity - p.reorder_threshold) ASC, p.name ASC
+        `;
+
+        const result = await db.select(query);
+        if (result.success) {
+            return {
+                success: true,
+                data: result.data.map(row => new Product(row))
+            };
+        }
+        return result;
+    }
+}
+
+module.exports = { InventoryRepository };
@@ -0,0 +1,233 @@
+const { db } = require('./connection.js');
+const { Order, CheckoutError } = require('../models/Order.ts');
+const { Product } = require('../models/Product.ts');
+const { Discount, RedemptionError } = require('../models/Discount.ts');
+const { InventoryMovement, MovementType } = require('../models/InventoryMovement.ts');
+const { InventoryRepository } = require('./InventoryRepository.js');
+
+/**
+ * Repository para pedidos (orders e order_items)
+ * SEMPRE retorna objetos Order Model
+ */
+class OrderRepository {
+    constructor() {
+        this.inventoryRepository = new InventoryRepository();
+    }
+
+    /**
+     * Converte a linha do pedido e as linhas de itens em objeto Order
+     */
+    _toOrderModel(orderData, itemRows) {
+        if (!orderData) return null;
+        return new Order({ ...orderData, items: itemRows });
+    }
+
+    /**
+     * Busca pedido por ID com seus itens
+     * @param {number} id - ID do pedido
+     * @returns {Promise<Order|null>} Objeto Order ou null
+     */
+    async findById(id) {
+        const orderResult = await db.select('SELECT * FROM orders WHERE id = ?', [id]);
+        if (!orderResult.success || orderResult.data.length === 0) {
+            return null;
+        }
+
+        const itemsResult = await db.select('SELECT * FROM order_items WHERE order_id = ? ORDER BY id ASC', [id]);
+        if (!itemsResult.success) {
+            return null;
+        }
+
+        return this._toOrderModel(orderResult.data[0], itemsResult.data);
+    }
+
+    /**
+     * Fecha um pedido em uma única transação: bloqueia as linhas dos produtos
+     * (SELECT ... FOR UPDATE, em ordem de id para evitar deadlock), confere o
+     * estoque, monta o pedido com os produtos lidos sob bloqueio, resgata os
+     * cupons do pedido, grava pedido e itens e baixa o estoque com movimentações
+     * de venda. Se alguma linha deixaria o estoque negativo ou algum cupom não
+     * pode ser resgatado, nada é gravado.
+     * @param {Array<{productId: number, quantity: number}>} requested - Itens pedidos
+     * @param {Function} buildOrder - Recebe [{ product, quantity }] e retorna o Order precificado
+     * @param {number|null} cartId - Carrinho de origem; seus itens são removidos no mesmo commit
+     * @param {Date} date - Data do pedido, para a vigência dos cupons
+     * @returns {Promise<Object>} { success, data?: Order, reason?: string, productIds?, shortages?, coupons? }
+     */
+    async checkout(requested, buildOrder, cartId = null, date = new Date()) {
+        if (!Array.isArray(requested) || requested.length === 0) {
+            return { success: false, reason: CheckoutError.EMPTY };
+        }
+
+        const quantities = new Map();
+        requested.forEach(item => {
+            quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+        });
+        const ids = [...quantities.keys()].sort((a, b) => a - b);
+        const placeholders = ids.map(() => '?').join(', ');
+
+        const result = await db.transaction(async (connection) => {
+            const [locked] = await connection.execute(
+                `SELECT id, stock_quantity FROM products WHERE id IN (${placeholders}) AND is_active = TRUE ORDER BY id FOR UPDATE`,
+                ids
+            );
+
+            const found = new Set(locked.map(row => row.id));
+            const missing = ids.filter(id => !found.has(id));
+            if (missing.length > 0) {
+                return { success: false, reason: CheckoutError.PRODUCT_NOT_FOUND, productIds: missing };
+            }
+
+            const [rows] = await connection.execute(`
+                SELECT
+                    p.id,
+                    p.name,
+                    p.price,
+                    p.description,
+                    p.image_url,
+                    p.sku,
+                    p.stock_quantity,
+                    p.weight_kg,
+                    p.reorder_threshold,
+                    p.created_at,
+                    p.updated_at,
+                    c.name as category,
+                    c.display_name as category_display_name,
+                    c.icon as category_icon
+                FROM products p
+                INNER JOIN categories c ON p.category_id = c.id
+                WHERE p.id IN (${placeholders})
+            `, ids);
+            const products = new Map(rows.map(row => [row.id, new Product(row)]));
+
+            const shortages = ids
+                .map(id => products.get(id))
+                .filter(product => product.stock_quantity - quantities.get(product.id) < 0)
+                .map(product => ({
+                    productId: product.id,
+                    name: product.name,
+                    requested: quantities.get(product.id),
+                    available: product.stock_quantity
+                }));
+
+            if (shortages.length > 0) {
+                return { success: false, reason: CheckoutError.INSUFFICIENT_STOCK, shortages };
+            }
+
+            const order = buildOrder(ids.map(id => ({ product: products.get(id), quantity: quantities.get(id) })));
+            if (!order.isValid()) {
+                throw new Error('Pedido inválido');
+            }
+
+            const redemption = await this._redeemCoupons(connection, order, date);
+            if (!redemption.success) {
+                return redemption;
+            }
+
+            const [inserted] = await connection.execute(
+                `INSERT INTO orders (cart_id, status, subtotal, discount_total, total, coupon_codes, adjustments)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    order.cart_id,
+                    order.status,
+                    order.subtotal,
+                    order.discount_total,
+                    order.total,
+                    JSON.stringify(order.coupon_codes),
+                    JSON.stringify(order.adjustments)
+                ]
+            );
+            order.id = inserted.insertId;
+
+            for (const item of order.items) {
+                const [itemInserted] = await connection.execute(
+                    `INSERT INTO order_items (order_id, product_id, product_name, sku, quantity, unit_price, final_unit_price, line_total, adjustments)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        order.id,
+                        item.product_id,
+                        item.product_name,
+                        item.sku,
+                        item.quantity,
+                        item.unit_price,
+                        item.final_unit_price,
+                        item.line_total,
+                        JSON.stringify(item.adjustments)
+                    ]
+                );
+                item.id = itemInserted.insertId;
+
+                const sale = InventoryMovement.fromAmount(item.product_id, MovementType.SALE, item.quantity, {
+                    order_id: order.id,
+                    note: `Pedido #${order.id}`
+                });
+                const movement = await this.inventoryRepository.applyMovement(connection, sale);
+                if (!movement.success) {
+                    throw new Error(`Falha ao baixar estoque do produto ${item.product_id}: ${movement.reason}`);
+                }
+            }
+
+            if (cartId) {
+                await connection.execute('DELETE FROM cart_items WHERE cart_id = ?', [cartId]);
+            }
+
+            return { success: true, data: order };
+        });
+
+        return result.success ? result.result : result;
+    }
+
+    /**
+     * Resgata os cupons do pedido dentro da transação do checkout, com a mesma
+     * regra do DiscountRepository.redeemCoupon: as linhas dos cupons ficam
+     * bloqueadas (SELECT ... FOR UPDATE) até o commit e cada código precisa
+     * existir, estar vigente e ter usos restantes. Só os cupons que entraram
+     * no preço do pedido consomem um uso (ex.: cupom com pedido mínimo não
+     * atingido não conta).
+     * @param {Object} connection - Conexão da transação
+     * @param {Order} order - Pedido precificado, com coupon_codes e ajustes
+     * @param {Date} date - Data do resgate
+     * @returns {Promise<Object>} { success, reason?, coupons?: [{ code, reason }] }
+     */
+    async _redeemCoupons(connection, order, date) {
+        const codes = [...new Set(order.coupon_codes.map(code => code.toUpperCase()))];
+        if (codes.length === 0) {
+            return { success: true };
+        }
+
+        const [rows] = await connection.execute(
+            `SELECT * FROM discounts WHERE code IN (${codes.map(() => '?').join(', ')}) AND type = 'coupon' ORDER BY id FOR UPDATE`,
+            codes
+        );
+        const coupons = new Map(rows.map(row => [String(row.code).toUpperCase(), new Discount(row)]));
+
+        const refused = codes
+            .map(code => ({
+                code,
+                reason: coupons.has(code) ? coupons.get(code).getRedemptionError(date) : RedemptionError.NOT_FOUND
+            }))
+            .filter(coupon => coupon.reason !== null);
+
+        if (refused.length > 0) {
+            return { success: false, reason: CheckoutError.COUPON_UNAVAILABLE, coupons: refused };
+        }
+
+        const appliedIds = new Set([
+            ...order.adjustments.map(adj => adj.discountId),
+            ...order.items.flatMap(item => item.adjustments.map(adj => adj.discountId))
+        ]);
+
+        for (const coupon of coupons.values()) {
+            if (appliedIds.has(coupon.id)) {
+                await connection.execute(
+                    'UPDATE discounts SET usage_count = usage_count + 1 WHERE id = ?',
+                    [coupon.id]
+                );
+            }
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = { OrderRepository };
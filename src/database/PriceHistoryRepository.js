@@ -0,0 +1,80 @@
+const { db } = require('./connection.js');
+const { PriceHistoryEntry } = require('../models/PriceHistory.ts');
+
+/**
+ * Repository para o histórico de preços (price_history)
+ * As linhas são gravadas pelo trigger tr_product_price_history; a aplicação
+ * informa usuário e motivo pelas variáveis de sessão @price_change_user e
+ * @price_change_reason (sem elas o trigger usa USER() e 'Atualização manual')
+ * SEMPRE retorna objetos PriceHistoryEntry Model
+ */
+class PriceHistoryRepository {
+
+    /**
+     * Converte dados do banco para objeto PriceHistoryEntry
+     */
+    _toEntryModel(dbData) {
+        if (!dbData) return null;
+        return new PriceHistoryEntry(dbData);
+    }
+
+    /**
+     * Executa a operação na conexão da transação com usuário e motivo definidos
+     * para o trigger. As variáveis são limpas em seguida, porque a conexão
+     * volta para o pool e seria reaproveitada por outras requisições.
+     * @param {Object} connection - Conexão da transação (DatabaseManager.transaction)
+     * @param {Object} context - { user, reason } da alteração
+     * @param {Function} operation - Função async que recebe a conexão
+     */
+    async runWithChangeContext(connection, context, operation) {
+        await connection.execute(
+            'SET @price_change_user = ?, @price_change_reason = ?',
+            [context.user || null, context.reason || null]
+        );
+
+        try {
+            return await operation(connection);
+        } finally {
+            await connection.execute('SET @price_change_user = NULL, @price_change_reason = NULL');
+        }
+    }
+
+    /**
+     * Busca as alterações de preço de um produto, da mais antiga para a mais recente
+     * @param {number} productId - ID do produto
+     * @param {Object} range - { from, to } (Date, opcionais) para filtrar por data
+     * @returns {Promise<Object>} Resultado com array de objetos PriceHistoryEntry
+     */
+    async findByProduct(productId, range = {}) {
+        const conditions = ['product_id = ?'];
+        const params = [productId];
+
+        if (range.from) {
+            conditions.push('created_at >= ?');
+            params.push(range.from);
+        }
+
+        if (range.to) {
+            conditions.push('created_at <= ?');
+            params.push(range.to);
+        }
+
+        const query = `
+            SELECT id, product_id, old_price, new_price, change_reason, changed_by, created_at
+            FROM price_history
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY created_at ASC, id ASC
+        `;
+
+        const result = await db.select(query, params);
+        if (result.success) {
+            return {
+                success: true,
+                data: result.data.map(row => this._toEntryModel(row))
+            };
+        }
+        return result;
+    }
+}
+
+module.exports = { PriceHistoryRepository };
@@ -0,0 +1,136 @@
+/**
+ * Query builder da listagem de produtos ativos
+ * Os filtros (CategoryFilter, SearchFilter, ...) contribuem fragmentos de WHERE
+ * com seus parâmetros; o ProductRepository executa a consulta montada, de modo
+ * que filtragem e paginação (LIMIT/OFFSET) rodam no MySQL
+ */
+class ProductQuery {
+    constructor() {
+        this.conditions = ['p.is_active = TRUE'];
+        this.params = [];
+        this.orderings = [];
+        this.seek = null;
+        this.limitValue = null;
+        this.offsetValue = 0;
+    }
+
+    /**
+     * Adiciona uma condição (combinada com AND), ex.: where('p.price >= ?', [10])
+     * @param {string} clause - Fragmento SQL com placeholders "?"
+     * @param {Array} params - Valores dos placeholders, na ordem
+     * @returns {ProductQuery} O próprio builder
+     */
+    where(clause, params = []) {
+        this.conditions.push(`(${clause})`);
+        this.params.push(...params);
+        return this;
+    }
+
+    /**
+     * Adiciona um critério de ordenação, ex.: orderBy('p.price', 'DESC').
+     * A coluna deve vir de uma lista fixa (nunca da requisição); sem critérios
+     * a ordem é pelo nome. O ID é sempre o desempate final.
+     * @param {string} column - Coluna qualificada, ex.: p.price
+     * @param {string} direction - ASC ou DESC
+     * @returns {ProductQuery} O próprio builder
+     */
+    orderBy(column, direction = 'ASC') {
+        this.orderings.push(`${column} ${direction === 'DESC' ? 'DESC' : 'ASC'}`);
+        return this;
+    }
+
+    /**
+     * Paginação por keyset: apenas produtos depois da posição informada na
+     * ordenação atual. As chaves devem ser as mesmas (e na mesma ordem) do
+     * orderBy; o ID é o desempate, como no ORDER BY. Não afeta o buildCount.
+     * @param {Array<{column: string, direction: string, value: *}>} keys - Critérios com o valor do cursor
+     * @param {number} id - ID do último produto da página anterior
+     * @returns {ProductQuery} O próprio builder
+     */
+    seekAfter(keys, id) {
+        // (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... OR (k1 = v1 AND ... AND p.id > id)
+        const all = [...keys, { column: 'p.id', direction: 'ASC', value: id }];
+        const branches = [];
+        const params = [];
+
+        all.forEach((key, i) => {
+            const equal = all.slice(0, i).map(previous => `${previous.column} = ?`);
+            branches.push([...equal, `${key.column} ${key.direction === 'DESC' ? '<' : '>'} ?`].join(' AND '));
+            params.push(...all.slice(0, i).map(previous => previous.value), key.value);
+        });
+
+        this.seek = { clause: branches.map(branch => `(${branch})`).join(' OR '), params };
+        return this;
+    }
+
+    /**
+     * Limita a quantidade de produtos retornados (null = sem limite)
+     */
+    limit(limit) {
+        const value = parseInt(limit);
+        this.limitValue = Number.isInteger(value) && value >= 0 ? value : null;
+        return this;
+    }
+
+    /**
+     * Pula os primeiros produtos (usado junto com limit)
+     */
+    offset(offset) {
+        const value = parseInt(offset);
+        this.offsetValue = Number.isInteger(value) && value > 0 ? value : 0;
+        return this;
+    }
+
+    /**
+     * Cláusula WHERE com todas as condições
+     */
+    _whereClause() {
+        return `WHERE ${this.conditions.join(' AND ')}`;
+    }
+
+    /**
+     * Cláusula ORDER BY, com o ID como desempate
+     */
+    _orderClause() {
+        const orderings = this.orderings.length > 0 ? this.orderings : ['p.name ASC'];
+        return `ORDER BY ${[...orderings, 'p.id ASC'].join(', ')}`;
+    }
+
+    /**
+     * Consulta da página de produtos. LIMIT/OFFSET são interpolados como
+     * inteiros porque o pool.execute do mysql2 não aceita "?" nessas cláusulas.
+     * @param {string} select - SELECT ... FROM ... JOIN ... do ProductRepository
+     * @returns {{ query: string, params: Array }}
+     */
+    build(select) {
+        const pagination = this.limitValue !== null
+            ? `LIMIT ${this.limitValue} OFFSET ${this.offsetValue}`
+            : '';
+        const where = this.seek
+            ? `${this._whereClause()} AND (${this.seek.clause})`
+            : this._whereClause();
+
+        return {
+            query: `${select} ${where} ${this._orderClause()} ${pagination}`,
+            params: this.seek ? [...this.params, ...this.seek.params] : [...this.params]
+        };
+    }
+
+    /**
+     * Consulta do total de produtos que atendem às condições (sem paginação)
+     * @returns {{ query: string, params: Array }}
+     */
+    buildCount() {
+        return {
+            query: `
+                SELECT COUNT(*) as total
+                FROM products p
+                INNER JOIN categories c ON p.category_id = c.id
+                ${this._whereClause()}
+            `,
+            params: [...this.params]
+        };
+    }
+}
+
+module.exports = { ProductQuery };
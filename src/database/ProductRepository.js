@@ -1,5 +1,9 @@
 const { db } = require('./connection.js');
-const { Product } = require('../models/Product.ts');
+const { Product, ProductError } = require('../models/Product.ts');
+const { InventoryMovement, MovementType } = require('../models/InventoryMovement.ts');
+const { InventoryRepository } = require('./InventoryRepository.js');
+const { PriceHistoryRepository } = require('./PriceHistoryRepository.js');
+const { BulkPriceError } = require('../models/BulkPriceUpdate.ts');
 
 /**
  * Repository para operações de produtos no banco de dados
@@ -7,6 +11,10 @@ const { Product } = require('../models/Product.ts');
  * SEMPRE retorna e recebe objetos Product Model
  */
 class ProductRepository {
+    constructor() {
+        this.inventoryRepository = new InventoryRepository();
+        this.priceHistoryRepository = new PriceHistoryRepository();
+    }
     
     /**
      * Converte dados do banco para objeto Product
@@ -25,11 +33,10 @@ class ProductRepository {
     }
 
     /**
-     * Busca todos os produtos ativos
-     * @returns {Promise<Product[]>} Array de objetos Product
+     * SELECT base da listagem de produtos, com os dados da categoria
      */
-    async findAll() {
-        const query = `
+    _listSelect() {
+        return `
             SELECT 
                 p.id,
                 p.name,
@@ -38,16 +45,25 @@ class ProductRepository {
                 p.image_url,
                 p.sku,
                 p.stock_quantity,
+                p.weight_kg,
+                p.reorder_threshold,
                 p.created_at,
                 p.updated_at,
+                p.version,
                 c.name as category,
                 c.display_name as category_display_name,
                 c.icon as category_icon
             FROM products p
             INNER JOIN categories c ON p.category_id = c.id
-            WHERE p.is_active = TRUE
-            ORDER BY p.name ASC
         `;
+    }
+
+    /**
+     * Busca todos os produtos ativos
+     * @returns {Promise<Product[]>} Array de objetos Product
+     */
+    async findAll() {
+        const query = `${this._listSelect()} WHERE p.is_active = TRUE ORDER BY p.name ASC`;
         
         const result = await db.select(query);
         if (result.success) {
@@ -59,6 +75,104 @@ class ProductRepository {
         return result;
     }
 
+    /**
+     * Todos os produtos ativos, só com ID, nome, SKU e categoria (seletores da interface)
+     * @returns {Promise<Object>} Resultado com array de objetos Product
+     */
+    async findOptions() {
+        const query = `
+            SELECT p.id, p.name, p.sku, c.name as category
+            FROM products p
+            INNER JOIN categories c ON p.category_id = c.id
+            WHERE p.is_active = TRUE
+            ORDER BY p.name ASC, p.id ASC
+        `;
+
+        const result = await db.select(query);
+        if (result.success) {
+            return {
+                success: true,
+                data: this._toProductModelArray(result.data)
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Confere se o nome ou o SKU já pertencem a outro produto. As colunas são
+     * UNIQUE na tabela inteira, então produtos removidos também contam.
+     * @param {Product} product - Produto a ser gravado
+     * @param {number|null} excludeId - Produto em edição (ignorado na busca)
+     * @returns {Promise<string|null>} duplicate_name, duplicate_sku ou null
+     */
+    async _findConflict(product, excludeId = null) {
+        const result = await db.select(
+            'SELECT name = ? as same_name FROM products WHERE (name = ? OR sku = ?) AND id <> ?',
+            [product.name, product.name, product.sku || null, excludeId || 0]
+        );
+
+        if (!result.success || result.data.length === 0) {
+            return null;
+        }
+
+        return result.data.some(row => row.same_name) ? ProductError.DUPLICATE_NAME : ProductError.DUPLICATE_SKU;
+    }
+
+    /**
+     * Motivo de recusa para o erro de chave única do INSERT/UPDATE, quando outra
+     * requisição grava o mesmo nome ou SKU entre o _findConflict e a escrita
+     * @param {Error} error - Erro do mysql2
+     * @returns {string|null} duplicate_name, duplicate_sku ou null para outros erros
+     */
+    _duplicateReason(error) {
+        if (error.code !== 'ER_DUP_ENTRY') {
+            return null;
+        }
+
+        // MariaDB: "for key 'sku'"; MySQL 8: "for key 'products.sku'"
+        return /for key '(products\.)?sku'/.test(error.sqlMessage || error.message)
+            ? ProductError.DUPLICATE_SKU
+            : ProductError.DUPLICATE_NAME;
+    }
+
+    /**
+     * Busca os produtos ativos que atendem às condições do ProductQuery,
+     * já paginados pelo MySQL
+     * @param {ProductQuery} productQuery - Condições e paginação montadas pelos filtros
+     * @returns {Promise<Object>} Resultado com array de objetos Product e total (sem paginação)
+     */
+    async findFiltered(productQuery) {
+        const page = productQuery.build(this._listSelect());
+        const count = productQuery.buildCount();
+
+        const [result, countResult] = await Promise.all([
+            db.select(page.query, page.params),
+            db.select(count.query, count.params)
+        ]);
+
+        if (!result.success) {
+            return result;
+        }
+        if (!countResult.success) {
+            return countResult;
+        }
+
+        return {
+            success: true,
+            data: this._toProductModelArray(result.data),
+            total: countResult.data[0].total
+        };
+    }
+
+    /**
+     * Quantidade de produtos ativos
+     * @returns {Promise<number>} Total de produtos ativos (0 em caso de erro)
+     */
+    async countActive() {
+        const result = await db.select('SELECT COUNT(*) as total FROM products WHERE is_active = TRUE');
+        return result.success ? result.data[0].total : 0;
+    }
+
     /**
      * Busca produto por ID
      * @param {number} id - ID do produto
@@ -74,8 +188,11 @@ class ProductRepository {
                 p.image_url,
                 p.sku,
                 p.stock_quantity,
+                p.weight_kg,
+                p.reorder_threshold,
                 p.created_at,
                 p.updated_at,
+                p.version,
                 c.name as category,
                 c.display_name as category_display_name,
                 c.icon as category_icon
@@ -93,6 +210,7 @@ class ProductRepository {
 
     /**
      * Busca produto por nome
+     * @deprecated Nomes mudam e não são únicos: use findById ou findBySku
      * @param {string} name - Nome do produto
      * @returns {Promise<Product|null>} Objeto Product ou null
      */
@@ -106,8 +224,11 @@ class ProductRepository {
                 p.image_url,
                 p.sku,
                 p.stock_quantity,
+                p.weight_kg,
+                p.reorder_threshold,
                 p.created_at,
                 p.updated_at,
+                p.version,
                 c.name as category,
                 c.display_name as category_display_name,
                 c.icon as category_icon
@@ -123,6 +244,41 @@ class ProductRepository {
         return null;
     }
 
+    /**
+     * Busca produto por SKU
+     * @param {string} sku - SKU do produto
+     * @returns {Promise<Product|null>} Objeto Product ou null
+     */
+    async findBySku(sku) {
+        const query = `
+            SELECT 
+                p.id,
+                p.name,
+                p.price,
+                p.description,
+                p.image_url,
+                p.sku,
+                p.stock_quantity,
+                p.weight_kg,
+                p.reorder_threshold,
+                p.created_at,
+                p.updated_at,
+                p.version,
+                c.name as category,
+                c.display_name as category_display_name,
+                c.icon as category_icon
+            FROM products p
+            INNER JOIN categories c ON p.category_id = c.id
+            WHERE p.sku = ? AND p.is_active = TRUE
+        `;
+        
+        const result = await db.select(query, [sku]);
+        if (result.success && result.data.length > 0) {
+            return this._toProductModel(result.data[0]);
+        }
+        return null;
+    }
+
     /**
      * Busca produtos por categoria
      * @param {string} categoryName - Nome da categoria
@@ -138,8 +294,11 @@ class ProductRepository {
                 p.image_url,
                 p.sku,
                 p.stock_quantity,
+                p.weight_kg,
+                p.reorder_threshold,
                 p.created_at,
                 p.updated_at,
+                p.version,
                 c.name as category,
                 c.display_name as category_display_name,
                 c.icon as category_icon
@@ -175,8 +334,11 @@ class ProductRepository {
                 p.image_url,
                 p.sku,
                 p.stock_quantity,
+                p.weight_kg,
+                p.reorder_threshold,
                 p.created_at,
                 p.updated_at,
+                p.version,
                 c.name as category,
                 c.display_name as category_display_name,
                 c.icon as category_icon
@@ -211,8 +373,11 @@ class ProductRepository {
                 p.image_url,
                 p.sku,
                 p.stock_quantity,
+                p.weight_kg,
+                p.reorder_threshold,
                 p.created_at,
                 p.updated_at,
+                p.version,
                 c.name as category,
                 c.display_name as category_display_name,
                 c.icon as category_icon
@@ -237,7 +402,7 @@ class ProductRepository {
     /**
      * Cria um novo produto
      * @param {Product} product - Objeto Product a ser criado
-     * @returns {Promise<Object>} Resultado da operação
+     * @returns {Promise<Object>} Resultado da operação (reason = duplicate_name ou duplicate_sku)
      */
     async create(product) {
         if (!(product instanceof Product)) {
@@ -257,10 +422,15 @@ class ProductRepository {
         }
         
         const categoryId = categoryResult.data[0].id;
+
+        const conflict = await this._findConflict(product);
+        if (conflict) {
+            return { success: false, reason: conflict };
+        }
         
         const query = `
-            INSERT INTO products (name, category_id, price, description, sku, stock_quantity)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO products (name, category_id, price, description, sku, stock_quantity, weight_kg, reorder_threshold)
+            VALUES (?, ?, ?, ?, ?, 0, ?, ?)
         `;
         
         const params = [
@@ -269,19 +439,50 @@ class ProductRepository {
             product.price,
             product.description || null,
             product.sku || null,
-            product.stock_quantity || 0
+            product.weight_kg || 0,
+            product.reorder_threshold
         ];
         
-        return await db.insert(query, params);
+        // O estoque inicial entra como movimentação de recebimento, na mesma transação
+        const result = await db.transaction(async (connection) => {
+            let inserted;
+            try {
+                [inserted] = await connection.execute(query, params);
+            } catch (error) {
+                const reason = this._duplicateReason(error);
+                if (reason) {
+                    return { success: false, reason };
+                }
+                throw error;
+            }
+
+            if (product.stock_quantity > 0) {
+                const receive = InventoryMovement.fromAmount(inserted.insertId, MovementType.RECEIVE, product.stock_quantity, {
+                    note: 'Estoque inicial'
+                });
+                const movement = await this.inventoryRepository.applyMovement(connection, receive);
+                if (!movement.success) {
+                    throw new Error(`Falha ao registrar o estoque inicial: ${movement.reason}`);
+                }
+            }
+
+            return { success: true, insertId: inserted.insertId, affectedRows: inserted.affectedRows };
+        });
+
+        return result.success ? result.result : result;
     }
 
     /**
      * Atualiza um produto existente
+     * O estoque não é alterado aqui: use movimentações (InventoryRepository)
      * @param {number} id - ID do produto a ser atualizado
      * @param {Product} product - Objeto Product com os novos dados
-     * @returns {Promise<Object>} Resultado da operação
+     * @param {Object} context - { user, reason } gravados no histórico se o preço mudar
+     * @param {number|null} expectedVersion - Controle de concorrência otimista: só atualiza
+     *        se a versão ainda for esta (affectedRows = 0 quando o produto mudou)
+     * @returns {Promise<Object>} Resultado da operação (reason = duplicate_name ou duplicate_sku)
      */
-    async update(id, product) {
+    async update(id, product, context = {}, expectedVersion = null) {
         if (!(product instanceof Product)) {
             return { success: false, error: 'Parâmetro deve ser um objeto Product' };
         }
@@ -299,11 +500,17 @@ class ProductRepository {
         }
         
         const categoryId = categoryResult.data[0].id;
+
+        const conflict = await this._findConflict(product, id);
+        if (conflict) {
+            return { success: false, reason: conflict };
+        }
         
         const query = `
             UPDATE products 
-            SET name = ?, category_id = ?, price = ?, description = ?, sku = ?, stock_quantity = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ? AND is_active = TRUE
+            SET name = ?, category_id = ?, price = ?, description = ?, sku = ?, weight_kg = ?, reorder_threshold = ?,
+                version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND is_active = TRUE${expectedVersion !== null ? ' AND version = ?' : ''}
         `;
         
         const params = [
@@ -312,26 +519,128 @@ class ProductRepository {
             product.price,
             product.description || null,
             product.sku || null,
-            product.stock_quantity || 0,
+            product.weight_kg || 0,
+            product.reorder_threshold,
             id
         ];
+
+        if (expectedVersion !== null) {
+            params.push(expectedVersion);
+        }
         
-        return await db.update(query, params);
+        return await this._updateWithContext(query, params, context);
+    }
+
+    /**
+     * Altera apenas o preço do produto
+     * @param {number} id - ID do produto
+     * @param {number} price - Novo preço (maior que zero)
+     * @param {Object} context - { user, reason } gravados no histórico de preços
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async updatePrice(id, price, context = {}) {
+        if (!(price > 0)) {
+            return { success: false, error: 'Preço deve ser maior que zero' };
+        }
+
+        const query = 'UPDATE products SET price = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_active = TRUE';
+        return await this._updateWithContext(query, [price, id], context);
+    }
+
+    /**
+     * Reajusta o preço de vários produtos em uma única transação. Os preços são
+     * relidos sob bloqueio (SELECT ... FOR UPDATE, em ordem de id) antes do
+     * cálculo; se algum novo preço não for maior que zero, nada é gravado.
+     * Cada produto alterado gera uma linha em price_history pelo trigger.
+     * @param {Array<Product>} products - Produtos selecionados pelo filtro
+     * @param {BulkPriceOperation} operation - Operação de reajuste
+     * @param {Object} context - { user, reason } gravados no histórico de preços
+     * @returns {Promise<Object>} { success, data?: BulkPriceChange[], reason?, changes? }
+     */
+    async bulkUpdatePrice(products, operation, context = {}) {
+        if (!operation.isValid()) {
+            return { success: false, reason: BulkPriceError.INVALID_OPERATION };
+        }
+
+        if (!Array.isArray(products) || products.length === 0) {
+            return { success: false, reason: BulkPriceError.NO_PRODUCTS };
+        }
+
+        const ids = products.map(product => product.id).sort((a, b) => a - b);
+        const placeholders = ids.map(() => '?').join(', ');
+
+        const result = await db.transaction(async (connection) => {
+            const [locked] = await connection.execute(
+                `SELECT id, price FROM products WHERE id IN (${placeholders}) AND is_active = TRUE ORDER BY id FOR UPDATE`,
+                ids
+            );
+
+            const prices = new Map(locked.map(row => [row.id, row.price]));
+            const current = products
+                .filter(product => prices.has(product.id))
+                .map(product => product.withChanges({ price: prices.get(product.id) }));
+
+            if (current.length === 0) {
+                return { success: false, reason: BulkPriceError.NO_PRODUCTS };
+            }
+
+            const changes = operation.diff(current);
+            const invalid = changes.filter(change => !change.isValid());
+            if (invalid.length > 0) {
+                return { success: false, reason: BulkPriceError.NON_POSITIVE_PRICE, changes: invalid };
+            }
+
+            await this.priceHistoryRepository.runWithChangeContext(connection, context, async () => {
+                for (const change of changes.filter(c => c.isChanged())) {
+                    await connection.execute(
+                        'UPDATE products SET price = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                        [change.new_price, change.product_id]
+                    );
+                }
+            });
+
+            return { success: true, data: changes };
+        });
+
+        return result.success ? result.result : result;
+    }
+
+    /**
+     * Executa o UPDATE com usuário e motivo visíveis para o trigger de histórico de preços
+     */
+    async _updateWithContext(query, params, context) {
+        const result = await db.transaction(connection =>
+            this.priceHistoryRepository.runWithChangeContext(connection, context, async () => {
+                try {
+                    const [updated] = await connection.execute(query, params);
+                    return { success: true, affectedRows: updated.affectedRows, changedRows: updated.changedRows };
+                } catch (error) {
+                    const reason = this._duplicateReason(error);
+                    if (reason) {
+                        return { success: false, reason };
+                    }
+                    throw error;
+                }
+            })
+        );
+
+        return result.success ? result.result : result;
     }
 
     /**
      * Remove um produto (soft delete)
      */
     async delete(id) {
-        const query = 'UPDATE products SET is_active = FALSE WHERE id = ?';
+        const query = 'UPDATE products SET is_active = FALSE WHERE id = ? AND is_active = TRUE';
         return await db.update(query, [id]);
     }
 
     /**
      * Remove produto por nome
+     * @deprecated Use delete (por ID); para remover pelo SKU, busque o produto com findBySku
      */
     async deleteByName(name) {
-        const query = 'UPDATE products SET is_active = FALSE WHERE name = ?';
+        const query = 'UPDATE products SET is_active = FALSE WHERE name = ? AND is_active = TRUE';
         return await db.update(query, [name]);
     }
 
@@ -442,6 +751,7 @@ class ProductRepository {
 
     /**
      * Verifica se produto existe
+     * @deprecated Verifica pelo nome; use findById ou findBySku
      */
     async exists(name) {
         const query = 'SELECT COUNT(*) as count FROM products WHERE name = ? AND is_active = TRUE';
@@ -0,0 +1,218 @@
+const { db } = require('./connection.js');
+const { ScheduledPriceChange, ScheduleStatus } = require('../models/ScheduledPriceChange.ts');
+const { PriceHistoryRepository } = require('./PriceHistoryRepository.js');
+
+/**
+ * Repository para a fila de alterações de preço agendadas (scheduled_price_changes)
+ * SEMPRE retorna e recebe objetos ScheduledPriceChange Model
+ */
+class ScheduledPriceChangeRepository {
+    constructor() {
+        this.priceHistoryRepository = new PriceHistoryRepository();
+    }
+
+    /**
+     * Converte dados do banco para objeto ScheduledPriceChange
+     */
+    _toChangeModel(dbData) {
+        if (!dbData) return null;
+        return new ScheduledPriceChange(dbData);
+    }
+
+    /**
+     * SELECT base com nome e SKU do produto
+     */
+    _baseSelect() {
+        return `
+            SELECT
+                s.id,
+                s.product_id,
+                s.new_price,
+                s.effective_at,
+                s.status,
+                s.created_by,
+                s.applied_at,
+                s.error,
+                s.created_at,
+                p.name as product_name,
+                p.sku as product_sku
+            FROM scheduled_price_changes s
+            INNER JOIN products p ON s.product_id = p.id
+        `;
+    }
+
+    /**
+     * Busca as alterações agendadas, das mais próximas para as mais distantes
+     * @param {string|null} status - Filtra pela situação (null = todas)
+     * @returns {Promise<Object>} Resultado com array de objetos ScheduledPriceChange
+     */
+    async findAll(status = null) {
+        const where = status ? 'WHERE s.status = ?' : '';
+        const query = `${this._baseSelect()} ${where} ORDER BY s.effective_at ASC, s.id ASC`;
+
+        const result = await db.select(query, status ? [status] : []);
+        if (result.success) {
+            return {
+                success: true,
+                data: result.data.map(row => this._toChangeModel(row))
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Busca alteração agendada por ID
+     * @param {number} id - ID da alteração
+     * @returns {Promise<ScheduledPriceChange|null>} Objeto ScheduledPriceChange ou null
+     */
+    async findById(id) {
+        const result = await db.select(`${this._baseSelect()} WHERE s.id = ?`, [id]);
+        if (result.success && result.data.length > 0) {
+            return this._toChangeModel(result.data[0]);
+        }
+        return null;
+    }
+
+    /**
+     * Alterações pendentes com vigência até a data informada, na ordem de vigência
+     * @param {Date} now - Data de referência (relógio do agendador)
+     * @returns {Promise<Object>} Resultado com array de objetos ScheduledPriceChange
+     */
+    async findDue(now) {
+        const query = `
+            ${this._baseSelect()}
+            WHERE s.status = ? AND s.effective_at <= ?
+            ORDER BY s.effective_at ASC, s.id ASC
+        `;
+
+        const result = await db.select(query, [ScheduleStatus.PENDING, now]);
+        if (result.success) {
+            return {
+                success: true,
+                data: result.data.map(row => this._toChangeModel(row))
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Agenda uma alteração de preço
+     * @param {ScheduledPriceChange} change - Alteração a ser agendada
+     * @param {Date} now - Data atual; a vigência precisa ser posterior a ela
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async create(change, now = new Date()) {
+        if (!(change instanceof ScheduledPriceChange)) {
+            return { success: false, error: 'Parâmetro deve ser um objeto ScheduledPriceChange' };
+        }
+
+        if (!change.isValid(now)) {
+            return { success: false, error: 'Dados do agendamento inválidos' };
+        }
+
+        const query = `
+            INSERT INTO scheduled_price_changes (product_id, new_price, effective_at, status, created_by)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        return await db.insert(query, [
+            change.product_id,
+            change.new_price,
+            change.effective_at,
+            ScheduleStatus.PENDING,
+            change.created_by
+        ]);
+    }
+
+    /**
+     * Muda a situação de uma alteração que ainda está pendente. Retorna
+     * affectedRows = 0 quando ela já foi aplicada ou cancelada, o que impede
+     * aplicar duas vezes ou aplicar uma alteração cancelada.
+     * @param {number} id - ID da alteração
+     * @param {string} status - Nova situação (applied ou cancelled)
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async resolve(id, status) {
+        const query = `
+            UPDATE scheduled_price_changes
+            SET status = ?, applied_at = IF(? = 'applied', CURRENT_TIMESTAMP, NULL)
+            WHERE id = ? AND status = ?
+        `;
+
+        return await db.update(query, [status, status, id, ScheduleStatus.PENDING]);
+    }
+
+    /**
+     * Aplica uma alteração pendente em uma única transação: bloqueia a alteração
+     * (SELECT ... FOR UPDATE, ainda pendente) e a linha do produto, altera o preço
+     * e só então marca a alteração como aplicada. Se o produto não puder ser
+     * alterado, nada é gravado e a alteração continua pendente.
+     * @param {number} id - ID da alteração
+     * @param {Object} context - { user, reason } gravados no histórico de preços
+     * @returns {Promise<Object>} Resultado da operação (affectedRows = 0 se não estava pendente)
+     */
+    async apply(id, context = {}) {
+        const result = await db.transaction(async (connection) => {
+            const [changes] = await connection.execute(
+                'SELECT product_id, new_price FROM scheduled_price_changes WHERE id = ? AND status = ? FOR UPDATE',
+                [id, ScheduleStatus.PENDING]
+            );
+
+            if (changes.length === 0) {
+                return { success: true, affectedRows: 0 };
+            }
+
+            const [products] = await connection.execute(
+                'SELECT id FROM products WHERE id = ? AND is_active = TRUE FOR UPDATE',
+                [changes[0].product_id]
+            );
+
+            if (products.length === 0) {
+                throw new Error('Produto não encontrado');
+            }
+
+            await this.priceHistoryRepository.runWithChangeContext(connection, context, () =>
+                connection.execute(
+                    'UPDATE products SET price = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [changes[0].new_price, changes[0].product_id]
+                )
+            );
+
+            await connection.execute(
+                'UPDATE scheduled_price_changes SET status = ?, applied_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [ScheduleStatus.APPLIED, id]
+            );
+
+            return { success: true, affectedRows: 1 };
+        });
+
+        return result.success ? result.result : result;
+    }
+
+    /**
+     * Marca como falha uma alteração que não pôde ser aplicada
+     * @param {number} id - ID da alteração
+     * @param {string} error - Motivo da falha
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async markFailed(id, error) {
+        const query = `
+            UPDATE scheduled_price_changes
+            SET status = ?, error = ?, applied_at = NULL
+            WHERE id = ?
+        `;
+
+        return await db.update(query, [ScheduleStatus.FAILED, String(error).slice(0, 255), id]);
+    }
+
+    /**
+     * Cancela uma alteração pendente
+     * @param {number} id - ID da alteração
+     * @returns {Promise<Object>} Resultado da operação (affectedRows = 0 se não estava pendente)
+     */
+    async cancel(id) {
+        return await this.resolve(id, ScheduleStatus.CANCELLED);
+    }
+}
+
+module.exports = { ScheduledPriceChangeRepository };
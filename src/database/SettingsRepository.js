@@ -0,0 +1,106 @@
+const { db } = require('./connection.js');
+const { StackingPolicy } = require('../models/StackingPolicy.ts');
+const { RoundingPolicy } = require('../models/RoundingPolicy.ts');
+
+const STACKING_POLICY_KEY = 'discount_stacking_policy';
+const ROUNDING_POLICY_KEY = 'price_rounding';
+
+/**
+ * Repository para as configurações da loja (tabela store_settings)
+ */
+class SettingsRepository {
+
+    /**
+     * Lê o valor de uma configuração (JSON)
+     * @param {string} key - Chave da configuração
+     * @returns {Promise<Object|null>} Valor da configuração ou null
+     */
+    async get(key) {
+        const result = await db.select('SELECT setting_value FROM store_settings WHERE setting_key = ?', [key]);
+
+        if (!result.success || result.data.length === 0) {
+            return null;
+        }
+
+        const value = result.data[0].setting_value;
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    /**
+     * Grava o valor de uma configuração (JSON)
+     * @param {string} key - Chave da configuração
+     * @param {Object} value - Valor a ser gravado
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async set(key, value) {
+        const query = `
+            INSERT INTO store_settings (setting_key, setting_value)
+            VALUES (?, ?)
+            ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)
+        `;
+
+        return await db.insert(query, [key, JSON.stringify(value)]);
+    }
+
+    /**
+     * Política de acúmulo de descontos da loja (compound sem limite quando não configurada)
+     * @returns {Promise<StackingPolicy>} Objeto StackingPolicy
+     */
+    async getStackingPolicy() {
+        const value = await this.get(STACKING_POLICY_KEY);
+        const policy = new StackingPolicy(value || {});
+        return policy.isValid() ? policy : new StackingPolicy();
+    }
+
+    /**
+     * Salva a política de acúmulo de descontos da loja
+     * @param {StackingPolicy} policy - Política a ser salva
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async saveStackingPolicy(policy) {
+        if (!(policy instanceof StackingPolicy)) {
+            return { success: false, error: 'Parâmetro deve ser um objeto StackingPolicy' };
+        }
+
+        if (!policy.isValid()) {
+            return { success: false, error: 'Política de acúmulo inválida' };
+        }
+
+        return await this.set(STACKING_POLICY_KEY, {
+            mode: policy.mode,
+            maxDiscountPercent: policy.maxDiscountPercent
+        });
+    }
+
+    /**
+     * Política de arredondamento de preços (half-up a cada etapa quando não configurada)
+     * @returns {Promise<RoundingPolicy>} Objeto RoundingPolicy
+     */
+    async getRoundingPolicy() {
+        const value = await this.get(ROUNDING_POLICY_KEY);
+        const policy = new RoundingPolicy(value || {});
+        return policy.isValid() ? policy : new RoundingPolicy();
+    }
+
+    /**
+     * Salva a política de arredondamento de preços
+     * @param {RoundingPolicy} policy - Política a ser salva
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    async saveRoundingPolicy(policy) {
+        if (!(policy instanceof RoundingPolicy)) {
+            return { success: false, error: 'Parâmetro deve ser um objeto RoundingPolicy' };
+        }
+
+        if (!policy.isValid()) {
+            return { success: false, error: 'Política de arredondamento inválida' };
+        }
+
+        return await this.set(ROUNDING_POLICY_KEY, {
+            mode: policy.mode,
+            scope: policy.scope
+        });
+    }
+}
+
+module.exports = { SettingsRepository };
@@ -0,0 +1,118 @@
+const { db } = require('./connection.js');
+const { SettingsRepository } = require('./SettingsRepository.js');
+const { ShippingRules } = require('../models/ShippingRules.ts');
+
+const FREE_SHIPPING_KEY = 'shipping_free_above';
+
+/**
+ * Repository para as regras de frete (shipping_rates, shipping_weight_ranges,
+ * shipping_cep_ranges e o frete grátis em store_settings)
+ * SEMPRE retorna objetos ShippingRules Model
+ */
+class ShippingRepository {
+    constructor() {
+        this.settingsRepository = new SettingsRepository();
+    }
+
+    /**
+     * Taxas por unidade de cada categoria
+     */
+    async _findCategoryRates() {
+        const query = `
+            SELECT c.name as category, sr.rate
+            FROM shipping_rates sr
+            INNER JOIN categories c ON sr.category_id = c.id
+            WHERE sr.is_active = TRUE
+        `;
+
+        const result = await db.select(query);
+        if (!result.success) return result;
+
+        const rates = {};
+        result.data.forEach(row => {
+            rates[row.category] = parseFloat(row.rate);
+        });
+        return { success: true, data: rates };
+    }
+
+    /**
+     * Faixas de peso ativas, da menor para a maior
+     */
+    async _findWeightRanges() {
+        const query = `
+            SELECT min_weight_kg, max_weight_kg, surcharge
+            FROM shipping_weight_ranges
+            WHERE is_active = TRUE
+            ORDER BY min_weight_kg ASC
+        `;
+
+        const result = await db.select(query);
+        if (!result.success) return result;
+
+        return {
+            success: true,
+            data: result.data.map(row => ({
+                minWeightKg: parseFloat(row.min_weight_kg),
+                maxWeightKg: row.max_weight_kg !== null ? parseFloat(row.max_weight_kg) : null,
+                surcharge: parseFloat(row.surcharge)
+            }))
+        };
+    }
+
+    /**
+     * Faixas de CEP ativas
+     */
+    async _findCepRanges() {
+        const query = `
+            SELECT region, cep_start, cep_end, surcharge
+            FROM shipping_cep_ranges
+            WHERE is_active = TRUE
+            ORDER BY cep_start ASC
+        `;
+
+        const result = await db.select(query);
+        if (!result.success) return result;
+
+        return {
+            success: true,
+            data: result.data.map(row => ({
+                region: row.region,
+                cepStart: row.cep_start,
+                cepEnd: row.cep_end,
+                surcharge: parseFloat(row.surcharge)
+            }))
+        };
+    }
+
+    /**
+     * Carrega as regras de frete cadastradas
+     * @returns {Promise<Object>} Resultado com objeto ShippingRules
+     */
+    async getRules() {
+        const [rates, weightRanges, cepRanges, freeShipping] = await Promise.all([
+            this._findCategoryRates(),
+            this._findWeightRanges(),
+            this._findCepRanges(),
+            this.settingsRepository.get(FREE_SHIPPING_KEY)
+        ]);
+
+        const failed = [rates, weightRanges, cepRanges].find(result => !result.success);
+        if (failed) {
+            return failed;
+        }
+
+        const amount = freeShipping ? parseFloat(freeShipping.amount) : NaN;
+
+        return {
+            success: true,
+            data: new ShippingRules({
+                categoryRates: rates.data,
+                weightRanges: weightRanges.data,
+                cepRanges: cepRanges.data,
+                freeShippingAbove: isNaN(amount) ? null : amount
+            })
+        };
+    }
+}
+
+module.exports = { ShippingRepository };
@@ -0,0 +1,40 @@
+const { db } = require('./connection.js');
+const { TaxRules } = require('../models/TaxRules.ts');
+
+/**
+ * Repository para as alíquotas de impostos (tabela tax_rates)
+ * SEMPRE retorna objetos TaxRules Model
+ */
+class TaxRepository {
+
+    /**
+     * Carrega as alíquotas ativas
+     * @returns {Promise<Object>} Resultado com objeto TaxRules
+     */
+    async getRules() {
+        const query = `
+            SELECT c.name as category, t.uf, t.tax_type, t.rate
+            FROM tax_rates t
+            INNER JOIN categories c ON t.category_id = c.id
+            WHERE t.is_active = TRUE
+            ORDER BY c.name ASC, t.uf ASC
+        `;
+
+        const result = await db.select(query);
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            data: new TaxRules(result.data.map(row => ({
+                category: row.category,
+                uf: row.uf || null,
+                kind: row.tax_type,
+                rate: parseFloat(row.rate)
+            })))
+        };
+    }
+}
+
+module.exports = { TaxRepository };
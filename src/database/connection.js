@@ -116,6 +116,9 @@ class DatabaseManager {
 
     /**
      * Executa uma transação
+     * Aceita uma lista de operações { query, params } ou uma função async que
+     * recebe a conexão da transação (para SELECT ... FOR UPDATE e validações).
+     * Se a função lançar um erro, a transação é desfeita.
      */
     async transaction(operations) {
         const connection = await this.pool.getConnection();
@@ -123,6 +126,12 @@ class DatabaseManager {
         try {
             await connection.beginTransaction();
             
+            if (typeof operations === 'function') {
+                const result = await operations(connection);
+                await connection.commit();
+                return { success: true, result };
+            }
+            
             const results = [];
             for (const operation of operations) {
                 const [result] = await connection.execute(operation.query, operation.params || []);
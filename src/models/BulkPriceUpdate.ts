@@ -0,0 +1,193 @@
+import { Money } from './Money';
+
+/**
+ * Operações de reajuste de preço em massa
+ */
+export const BulkPriceOperationType = {
+    INCREASE_PERCENT: 'increase_percent' as const,  // +X%
+    DECREASE_PERCENT: 'decrease_percent' as const,  // -X%
+    SET: 'set' as const,                            // Preço fixo
+    ROUND_90: 'round_90' as const                   // Final ,90 (ex.: 12,35 -> 12,90)
+} as const;
+
+export type BulkPriceOperationTypeValue = typeof BulkPriceOperationType[keyof typeof BulkPriceOperationType];
+
+/**
+ * Motivos pelos quais o reajuste em massa é recusado
+ */
+export const BulkPriceError = {
+    INVALID_OPERATION: 'invalid_operation' as const,
+    NO_PRODUCTS: 'no_products' as const,
+    NON_POSITIVE_PRICE: 'non_positive_price' as const
+} as const;
+
+export type BulkPriceErrorValue = typeof BulkPriceError[keyof typeof BulkPriceError];
+
+/**
+ * Produto mínimo para o cálculo do reajuste
+ */
+export interface BulkPriceProduct {
+    id: number | null;
+    name: string;
+    sku?: string;
+    category?: string;
+    price: number;
+}
+
+/**
+ * Preço antes e depois do reajuste de um produto
+ */
+export class BulkPriceChange {
+    public product_id: number | null;
+    public name: string;
+    public sku: string | null;
+    public category: string | null;
+    public old_price: number;
+    public new_price: number;
+
+    constructor(product: BulkPriceProduct, newPrice: number) {
+        this.product_id = product.id;
+        this.name = product.name;
+        this.sku = product.sku || null;
+        this.category = product.category || null;
+        this.old_price = product.price;
+        this.new_price = newPrice;
+    }
+
+    /**
+     * Indica se o preço muda (produtos sem mudança não são gravados)
+     */
+    isChanged(): boolean {
+        return this.new_price !== this.old_price;
+    }
+
+    /**
+     * Respeita o CHECK (price > 0) da tabela products
+     */
+    isValid(): boolean {
+        return this.new_price > 0;
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            product_id: this.product_id,
+            name: this.name,
+            sku: this.sku,
+            category: this.category,
+            old_price: this.old_price,
+            new_price: this.new_price,
+            change: Money.fromDecimal(this.new_price).subtract(Money.fromDecimal(this.old_price)).toNumber(),
+            changed: this.isChanged()
+        };
+    }
+}
+
+/**
+ * Interface para dados da operação
+ */
+export interface BulkPriceOperationData {
+    type?: string;
+    value?: number | string | null;
+}
+
+/**
+ * Operação de reajuste aplicada a cada produto selecionado pelo filtro
+ */
+export class BulkPriceOperation {
+    public type: string;
+    public value: number | null;
+
+    constructor(data: BulkPriceOperationData = {}) {
+        this.type = data.type || '';
+        this.value = data.value !== undefined && data.value !== null && data.value !== ''
+            ? parseFloat(String(data.value))
+            : null;
+    }
+
+    /**
+     * Valida o tipo e o valor: percentuais maiores que zero (redução abaixo
+     * de 100%), preço fixo maior que zero e arredondamento sem valor
+     */
+    isValid(): boolean {
+        const value = this.value;
+
+        switch (this.type) {
+            case BulkPriceOperationType.INCREASE_PERCENT:
+                return value !== null && value > 0;
+            case BulkPriceOperationType.DECREASE_PERCENT:
+                return value !== null && value > 0 && value < 100;
+            case BulkPriceOperationType.SET:
+                return value !== null && value > 0;
+            case BulkPriceOperationType.ROUND_90:
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Calcula o novo preço, arredondado half-up em centavos
+     */
+    apply(price: number): number {
+        const current = Money.fromDecimal(price);
+        const value = this.value || 0;
+
+        switch (this.type) {
+            case BulkPriceOperationType.INCREASE_PERCENT:
+                return current.add(current.multiply(value / 100)).round().toNumber();
+            case BulkPriceOperationType.DECREASE_PERCENT:
+                return current.subtract(current.multiply(value / 100)).round().toNumber();
+            case BulkPriceOperationType.SET:
+                return Money.fromDecimal(value).round().toNumber();
+            case BulkPriceOperationType.ROUND_90: {
+                // Sobe para o próximo final ,90; preços que já terminam em ,90 ficam iguais
+                const cents = Math.round(current.round().toNumber() * 100);
+                const reais = Math.floor(cents / 100) + (cents % 100 > 90 ? 1 : 0);
+                return Money.fromCents(reais * 100 + 90).toNumber();
+            }
+            default:
+                return price;
+        }
+    }
+
+    /**
+     * Antes e depois para cada produto
+     */
+    diff(products: BulkPriceProduct[]): BulkPriceChange[] {
+        return products.map(product => new BulkPriceChange(product, this.apply(product.price)));
+    }
+
+    /**
+     * Descrição legível, usada como motivo padrão no histórico de preços
+     */
+    getDescription(): string {
+        const value = this.value !== null ? this.value : 0;
+
+        switch (this.type) {
+            case BulkPriceOperationType.INCREASE_PERCENT:
+                return `Aumento de ${value}%`;
+            case BulkPriceOperationType.DECREASE_PERCENT:
+                return `Redução de ${value}%`;
+            case BulkPriceOperationType.SET:
+                return `Preço fixo de R$ ${value.toFixed(2)}`;
+            case BulkPriceOperationType.ROUND_90:
+                return 'Arredondamento para final ,90';
+            default:
+                return this.type;
+        }
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            type: this.type,
+            value: this.value,
+            description: this.getDescription()
+        };
+    }
+}
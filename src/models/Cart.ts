@@ -0,0 +1,77 @@
+import { Product } from './Product';
+
+/**
+ * Linha do carrinho: produto e quantidade
+ */
+export interface CartItem {
+    product: Product;
+    quantity: number;
+}
+
+/**
+ * Interface para dados do carrinho
+ */
+export interface CartData {
+    id?: number | null;
+    items?: CartItem[];
+    created_at?: string | null;
+    updated_at?: string | null;
+}
+
+/**
+ * Modelo de carrinho de compras
+ */
+export class Cart {
+    public id: number | null;
+    public items: CartItem[];
+    public created_at: string | null;
+    public updated_at: string | null;
+
+    constructor(data: CartData = {}) {
+        this.id = data.id || null;
+        this.items = data.items || [];
+        this.created_at = data.created_at || null;
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Verifica se a quantidade informada é um inteiro positivo
+     */
+    static isValidQuantity(quantity: unknown): boolean {
+        return Number.isInteger(quantity) && (quantity as number) > 0;
+    }
+
+    /**
+     * Quantidade total de unidades no carrinho
+     */
+    getItemCount(): number {
+        return this.items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    /**
+     * Indica se o carrinho não tem itens
+     */
+    isEmpty(): boolean {
+        return this.items.length === 0;
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            id: this.id,
+            items: this.items.map(item => ({
+                productId: item.product.id,
+                name: item.product.name,
+                sku: item.product.sku,
+                category: item.product.category,
+                price: item.product.price,
+                quantity: item.quantity
+            })),
+            itemCount: this.getItemCount(),
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+    }
+}
@@ -0,0 +1,63 @@
+import { Product } from './Product';
+import { Money } from './Money';
+import { RoundingPolicy } from './RoundingPolicy';
+
+/**
+ * Linha a ser precificada no carrinho: produto, quantidade e preço unitário
+ * já calculado pela cadeia PriceCalc do produto
+ */
+export interface CartLine {
+    product: Product;
+    quantity: number;
+    unitPrice: Money;
+}
+
+/**
+ * Etapa do cálculo do total do carrinho registrada por um decorator (modo explain)
+ */
+export interface CartStep {
+    /** Nome do decorator (ou BasicCartPrice para o subtotal das linhas) */
+    decorator: string;
+    /** Parâmetros com que o decorator foi configurado */
+    params: Record<string, unknown>;
+    /** Total recebido da camada interna */
+    inputTotal: number;
+    /** Total entregue para a camada externa */
+    outputTotal: number;
+    /** Indica se o decorator se aplicou ao carrinho */
+    applied: boolean;
+    /** Motivo pelo qual o decorator foi ignorado, quando applied = false */
+    reason?: string;
+}
+
+/**
+ * Interface para cálculo do total de um carrinho.
+ * Equivalente ao PriceCalc, mas sobre todas as linhas do carrinho, o que permite
+ * descontos que dependem de quantidade ou do valor do pedido.
+ */
+export interface CartCalc {
+    /**
+     * Calcula o total do carrinho
+     * @param lines - As linhas do carrinho
+     * @returns O total em reais, com o arredondamento final da política
+     */
+    total(lines: CartLine[]): number;
+
+    /**
+     * Calcula o total da etapa em centavos, usado pelas camadas externas
+     * @param lines - As linhas do carrinho
+     */
+    money(lines: CartLine[]): Money;
+
+    /**
+     * Política de arredondamento da cadeia
+     */
+    getRounding(): RoundingPolicy;
+
+    /**
+     * Explica o cálculo do total etapa por etapa
+     * @param lines - As linhas do carrinho
+     * @returns As etapas na ordem de aplicação, da mais interna para a mais externa
+     */
+    explain(lines: CartLine[]): CartStep[];
+}
@@ -0,0 +1,304 @@
+/**
+ * Tipos de desconto suportados pela tabela discounts
+ */
+export const DiscountType = {
+    CATEGORY: 'category' as const,
+    COUPON: 'coupon' as const,
+    PRODUCT: 'product' as const,
+    BULK: 'bulk' as const,               // Carrinho: desconto por faixa de quantidade
+    BUY_X_GET_Y: 'buy_x_get_y' as const  // Carrinho: leve X, ganhe Y
+} as const;
+
+/**
+ * Tipos aplicados no carrinho, sobre as linhas, e não no preço de um produto isolado
+ */
+export const CART_DISCOUNT_TYPES: string[] = [DiscountType.BULK, DiscountType.BUY_X_GET_Y];
+
+export type DiscountTypeValue = typeof DiscountType[keyof typeof DiscountType];
+
+/**
+ * Motivos pelos quais um cupom não pode ser resgatado
+ */
+export const RedemptionError = {
+    NOT_FOUND: 'not_found' as const,
+    INACTIVE: 'inactive' as const,
+    NOT_STARTED: 'not_started' as const,
+    EXPIRED: 'expired' as const,
+    EXHAUSTED: 'exhausted' as const
+} as const;
+
+export type RedemptionErrorValue = typeof RedemptionError[keyof typeof RedemptionError];
+
+/**
+ * Interface para dados do desconto
+ */
+export interface DiscountData {
+    id?: number | null;
+    name?: string;
+    type?: string;
+    code?: string | null;
+    category?: string | null;
+    product_id?: number | string | null;
+    product_name?: string | null;
+    product_sku?: string | null;
+    percentage?: number | string;
+    fixed_amount?: number | string;
+    is_active?: boolean | number;
+    start_date?: string | Date | null;
+    end_date?: string | Date | null;
+    usage_limit?: number | string | null;
+    usage_count?: number | string;
+    min_quantity?: number | string | null;
+    buy_quantity?: number | string | null;
+    get_quantity?: number | string | null;
+    min_order_value?: number | string | null;
+    include_subcategories?: boolean | number;
+    subcategories?: string[];
+    created_at?: string | null;
+    updated_at?: string | null;
+}
+
+/**
+ * Converte inteiros opcionais (null/undefined/'' = não informado)
+ */
+function parseOptionalInt(value: number | string | null | undefined): number | null {
+    return value !== undefined && value !== null && value !== '' ? parseInt(String(value)) : null;
+}
+
+/**
+ * Modelo de desconto persistido
+ */
+export class Discount {
+    public id: number | null;
+    public name: string;
+    public type: string;
+    public code: string | null;
+    public category: string | null;
+    public product_id: number | null;
+    public product_name: string | null;
+    public product_sku: string | null;
+    public percentage: number;
+    public fixed_amount: number;
+    public is_active: boolean;
+    public start_date: string | Date | null;
+    public end_date: string | Date | null;
+    public usage_limit: number | null;
+    public usage_count: number;
+    public min_quantity: number | null;
+    public buy_quantity: number | null;
+    public get_quantity: number | null;
+    public min_order_value: number | null;
+    public include_subcategories: boolean;
+    /** Subcategorias alcançadas quando include_subcategories (preenchidas pelo DiscountRepository) */
+    public subcategories: string[];
+    public created_at: string | null;
+    public updated_at: string | null;
+
+    constructor(data: DiscountData = {}) {
+        this.id = data.id || null;
+        this.name = data.name || '';
+        this.type = data.type || '';
+        this.code = data.code ? String(data.code).trim() : null;
+        this.category = data.category || null;
+        this.product_id = data.product_id ? parseInt(String(data.product_id)) : null;
+        this.product_name = data.product_name || null;
+        this.product_sku = data.product_sku || null;
+        this.percentage = parseFloat(String(data.percentage)) || 0;
+        this.fixed_amount = parseFloat(String(data.fixed_amount)) || 0;
+        this.is_active = data.is_active !== undefined ? Boolean(data.is_active) : true;
+        this.start_date = data.start_date || null;
+        this.end_date = data.end_date || null;
+        this.usage_limit = data.usage_limit !== undefined && data.usage_limit !== null
+            ? parseInt(String(data.usage_limit))
+            : null;
+        this.usage_count = parseInt(String(data.usage_count)) || 0;
+        this.min_quantity = parseOptionalInt(data.min_quantity);
+        this.buy_quantity = parseOptionalInt(data.buy_quantity);
+        this.get_quantity = parseOptionalInt(data.get_quantity);
+        this.min_order_value = data.min_order_value !== undefined && data.min_order_value !== null && data.min_order_value !== ''
+            ? parseFloat(String(data.min_order_value))
+            : null;
+        this.include_subcategories = Boolean(data.include_subcategories);
+        this.subcategories = data.subcategories || [];
+        this.created_at = data.created_at || null;
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Retorna o percentual como fração (10 -> 0.1), formato usado pelos decorators
+     */
+    getFraction(): number {
+        return this.percentage / 100;
+    }
+
+    /**
+     * Indica se o desconto é de valor fixo. Como na procedure
+     * sp_apply_discount_to_product, o percentual tem precedência quando informado.
+     */
+    isFixedAmount(): boolean {
+        return this.percentage <= 0 && this.fixed_amount > 0;
+    }
+
+    /**
+     * Verifica se o desconto está vigente na data informada: ativo, dentro da
+     * janela start_date/end_date e com usos disponíveis (critérios da view v_active_discounts)
+     */
+    isActiveAt(date: Date): boolean {
+        return this.getAvailabilityError(date) === null;
+    }
+
+    /**
+     * Indica se é um cupom nomeado, que só vale para quem informar o código
+     */
+    hasCode(): boolean {
+        return this.type === DiscountType.COUPON && Boolean(this.code);
+    }
+
+    /**
+     * Indica se o desconto é aplicado no carrinho (faixa de quantidade,
+     * leve X ganhe Y ou cupom com pedido mínimo)
+     */
+    isCartLevel(): boolean {
+        return CART_DISCOUNT_TYPES.includes(this.type) ||
+            (this.type === DiscountType.COUPON && this.min_order_value !== null);
+    }
+
+    /**
+     * Motivo pelo qual o cupom não pode ser resgatado na data informada,
+     * ou null quando o resgate é permitido
+     */
+    getRedemptionError(date: Date): RedemptionErrorValue | null {
+        if (this.type !== DiscountType.COUPON) {
+            return RedemptionError.INACTIVE;
+        }
+
+        return this.getAvailabilityError(date);
+    }
+
+    /**
+     * Verifica status, janela de datas e limite de uso do desconto
+     */
+    private getAvailabilityError(date: Date): RedemptionErrorValue | null {
+        if (!this.is_active) {
+            return RedemptionError.INACTIVE;
+        }
+
+        if (this.start_date && new Date(this.start_date).getTime() > date.getTime()) {
+            return RedemptionError.NOT_STARTED;
+        }
+
+        if (this.end_date && new Date(this.end_date).getTime() < date.getTime()) {
+            return RedemptionError.EXPIRED;
+        }
+
+        if (this.usage_limit !== null && this.usage_count >= this.usage_limit) {
+            return RedemptionError.EXHAUSTED;
+        }
+
+        return null;
+    }
+
+    /**
+     * Usos restantes do cupom (null quando não há limite)
+     */
+    getRemainingUses(): number | null {
+        return this.usage_limit === null ? null : Math.max(0, this.usage_limit - this.usage_count);
+    }
+
+    /**
+     * Valida se o desconto tem dados obrigatórios e coerentes com o tipo
+     */
+    isValid(): boolean {
+        if (!this.name || !Object.values(DiscountType).includes(this.type as DiscountTypeValue)) {
+            return false;
+        }
+
+        if (this.percentage < 0 || this.percentage > 100 || this.fixed_amount < 0) {
+            return false;
+        }
+
+        // Leve X ganhe Y sem percentual: os itens ganhos saem de graça
+        if (this.percentage === 0 && this.fixed_amount === 0 && this.type !== DiscountType.BUY_X_GET_Y) {
+            return false;
+        }
+
+        if (this.type === DiscountType.BULK && (this.min_quantity === null || isNaN(this.min_quantity) || this.min_quantity < 2)) {
+            return false;
+        }
+
+        if (this.type === DiscountType.BUY_X_GET_Y &&
+            !(this.buy_quantity !== null && this.buy_quantity >= 1 && this.get_quantity !== null && this.get_quantity >= 1)) {
+            return false;
+        }
+
+        if (this.min_order_value !== null &&
+            (this.type !== DiscountType.COUPON || isNaN(this.min_order_value) || this.min_order_value <= 0)) {
+            return false;
+        }
+
+        if (this.type === DiscountType.CATEGORY && !this.category) {
+            return false;
+        }
+
+        if (this.include_subcategories && this.type !== DiscountType.CATEGORY) {
+            return false;
+        }
+
+        if (this.type === DiscountType.PRODUCT && !this.product_id) {
+            return false;
+        }
+
+        if (this.code && this.type !== DiscountType.COUPON) {
+            return false;
+        }
+
+        if (this.usage_limit !== null && (isNaN(this.usage_limit) || this.usage_limit < 0)) {
+            return false;
+        }
+
+        if (this.start_date && this.end_date &&
+            new Date(this.start_date).getTime() > new Date(this.end_date).getTime()) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Cria uma cópia do desconto com novos dados
+     */
+    withChanges(changes: Partial<DiscountData>): Discount {
+        return new Discount({ ...this.toJSON(), ...changes });
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            id: this.id,
+            name: this.name,
+            type: this.type,
+            code: this.code,
+            category: this.category,
+            product_id: this.product_id,
+            product_name: this.product_name,
+            product_sku: this.product_sku,
+            percentage: this.percentage,
+            fixed_amount: this.fixed_amount,
+            is_active: this.is_active,
+            start_date: this.start_date,
+            end_date: this.end_date,
+            usage_limit: this.usage_limit,
+            usage_count: this.usage_count,
+            min_quantity: this.min_quantity,
+            buy_quantity: this.buy_quantity,
+            get_quantity: this.get_quantity,
+            min_order_value: this.min_order_value,
+            include_subcategories: this.include_subcategories,
+            subcategories: this.subcategories,
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+    }
+}
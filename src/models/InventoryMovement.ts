@@ -0,0 +1,121 @@
+/**
+ * Tipos de movimentação de estoque
+ */
+export const MovementType = {
+    RECEIVE: 'receive' as const,   // Entrada de mercadoria (reposição)
+    ADJUST: 'adjust' as const,     // Ajuste de inventário, positivo ou negativo
+    DAMAGE: 'damage' as const,     // Avaria / perda
+    SALE: 'sale' as const,         // Venda (checkout de pedido)
+    RETURN: 'return' as const      // Devolução de cliente
+} as const;
+
+export type MovementTypeValue = typeof MovementType[keyof typeof MovementType];
+
+/**
+ * Motivos pelos quais uma movimentação é recusada
+ */
+export const InventoryError = {
+    PRODUCT_NOT_FOUND: 'product_not_found' as const,
+    INSUFFICIENT_STOCK: 'insufficient_stock' as const
+} as const;
+
+/**
+ * Tipos que aumentam o estoque; DAMAGE e SALE diminuem e ADJUST vale nos dois sentidos
+ */
+const INBOUND_TYPES: string[] = [MovementType.RECEIVE, MovementType.RETURN];
+const OUTBOUND_TYPES: string[] = [MovementType.DAMAGE, MovementType.SALE];
+
+/**
+ * Interface para dados da movimentação
+ */
+export interface InventoryMovementData {
+    id?: number | null;
+    product_id?: number | string | null;
+    product_name?: string | null;
+    type?: string;
+    quantity?: number | string;
+    balance_after?: number | string | null;
+    order_id?: number | string | null;
+    note?: string | null;
+    created_by?: string | null;
+    created_at?: string | null;
+}
+
+/**
+ * Movimentação de estoque (tabela inventory_movements)
+ * quantity é a variação do saldo, com sinal: entradas positivas, saídas negativas.
+ * O stock_quantity do produto é o saldo dessas variações.
+ */
+export class InventoryMovement {
+    public id: number | null;
+    public product_id: number | null;
+    public product_name: string | null;
+    public type: string;
+    public quantity: number;
+    public balance_after: number | null;
+    public order_id: number | null;
+    public note: string | null;
+    public created_by: string | null;
+    public created_at: string | null;
+
+    constructor(data: InventoryMovementData = {}) {
+        this.id = data.id || null;
+        this.product_id = data.product_id ? parseInt(String(data.product_id)) : null;
+        this.product_name = data.product_name || null;
+        this.type = data.type || '';
+        this.quantity = Number(data.quantity);
+        this.balance_after = data.balance_after !== undefined && data.balance_after !== null
+            ? parseInt(String(data.balance_after))
+            : null;
+        this.order_id = data.order_id ? parseInt(String(data.order_id)) : null;
+        this.note = data.note || null;
+        this.created_by = data.created_by || null;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Cria a movimentação a partir da quantidade informada pelo usuário:
+     * positiva para entradas e saídas (o sinal vem do tipo) e com sinal para ajustes
+     */
+    static fromAmount(productId: number, type: string, amount: number, data: InventoryMovementData = {}): InventoryMovement {
+        const quantity = OUTBOUND_TYPES.includes(type) ? -amount : amount;
+        return new InventoryMovement({ ...data, product_id: productId, type, quantity });
+    }
+
+    /**
+     * Valida tipo, produto e o sinal da quantidade de acordo com o tipo
+     */
+    isValid(): boolean {
+        if (!this.product_id || !Object.values(MovementType).includes(this.type as MovementTypeValue)) {
+            return false;
+        }
+
+        if (!Number.isInteger(this.quantity) || this.quantity === 0) {
+            return false;
+        }
+
+        if (INBOUND_TYPES.includes(this.type) && this.quantity < 0) {
+            return false;
+        }
+
+        return !(OUTBOUND_TYPES.includes(this.type) && this.quantity > 0);
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            id: this.id,
+            product_id: this.product_id,
+            product_name: this.product_name,
+            type: this.type,
+            quantity: this.quantity,
+            balance_after: this.balance_after,
+            order_id: this.order_id,
+            note: this.note,
+            created_by: this.created_by,
+            created_at: this.created_at
+        };
+    }
+}
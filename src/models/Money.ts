@@ -0,0 +1,154 @@
+/**
+ * Modos de arredondamento para centavos
+ */
+export const RoundingMode = {
+    HALF_UP: 'half-up' as const,     // 0,5 centavo arredonda para cima (como o DECIMAL do MySQL)
+    HALF_EVEN: 'half-even' as const  // 0,5 centavo arredonda para o par mais próximo (arredondamento bancário)
+} as const;
+
+export type RoundingModeValue = typeof RoundingMode[keyof typeof RoundingMode];
+
+/**
+ * Casas usadas para descartar o ruído de ponto flutuante nas frações de centavo
+ */
+const FRACTION_SCALE = 1e6;
+
+/**
+ * Valor monetário em centavos.
+ * Somas e subtrações de valores arredondados são exatas (centavos inteiros);
+ * multiplicações podem gerar frações de centavo até o arredondamento explícito.
+ */
+export class Money {
+    public readonly cents: number;
+
+    private constructor(cents: number) {
+        const normalized = Math.round(cents * FRACTION_SCALE) / FRACTION_SCALE;
+        this.cents = normalized === 0 ? 0 : normalized;
+    }
+
+    /**
+     * Cria a partir de centavos
+     */
+    static fromCents(cents: number): Money {
+        return new Money(cents);
+    }
+
+    /**
+     * Cria a partir de reais. Strings (ex.: DECIMAL(10,2) vindo do banco)
+     * são convertidas sem passar por ponto flutuante; valores inválidos viram zero.
+     */
+    static fromDecimal(value: number | string | null | undefined): Money {
+        if (typeof value === 'number') {
+            return isFinite(value) ? new Money(value * 100) : Money.zero();
+        }
+
+        const match = String(value ?? '').trim().match(/^(-?)(\d*)(?:\.(\d*))?$/);
+        if (!match || (!match[2] && !match[3])) {
+            return Money.zero();
+        }
+
+        const [, sign, integer, fraction = ''] = match;
+        const digits = fraction.padEnd(2, '0');
+        const cents = parseInt(integer || '0') * 100 + parseInt(digits.slice(0, 2));
+        const rest = digits.length > 2 ? parseFloat(`0.${digits.slice(2)}`) : 0;
+
+        return new Money((sign ? -1 : 1) * (cents + rest));
+    }
+
+    /**
+     * Valor zero
+     */
+    static zero(): Money {
+        return new Money(0);
+    }
+
+    /**
+     * Soma uma lista de valores
+     */
+    static sum(values: Money[]): Money {
+        return values.reduce((total, value) => total.add(value), Money.zero());
+    }
+
+    add(other: Money): Money {
+        return new Money(this.cents + other.cents);
+    }
+
+    subtract(other: Money): Money {
+        return new Money(this.cents - other.cents);
+    }
+
+    /**
+     * Multiplica por um fator (ex.: 0.1 para 10%), sem arredondar
+     */
+    multiply(factor: number): Money {
+        return new Money(this.cents * factor);
+    }
+
+    /**
+     * Divide por um divisor (ex.: quantidade para a média), sem arredondar
+     */
+    divide(divisor: number): Money {
+        return new Money(this.cents / divisor);
+    }
+
+    max(other: Money): Money {
+        return this.cents >= other.cents ? this : other;
+    }
+
+    min(other: Money): Money {
+        return this.cents <= other.cents ? this : other;
+    }
+
+    compareTo(other: Money): number {
+        return Math.sign(this.cents - other.cents);
+    }
+
+    equals(other: Money): boolean {
+        return this.cents === other.cents;
+    }
+
+    isZero(): boolean {
+        return this.cents === 0;
+    }
+
+    /**
+     * Arredonda para centavos inteiros segundo o modo informado
+     */
+    round(mode: string = RoundingMode.HALF_UP): Money {
+        const sign = this.cents < 0 ? -1 : 1;
+        const absolute = Math.abs(this.cents);
+        const floor = Math.floor(absolute);
+        const fraction = absolute - floor;
+
+        let rounded: number;
+        if (fraction > 0.5) {
+            rounded = floor + 1;
+        } else if (fraction < 0.5) {
+            rounded = floor;
+        } else if (mode === RoundingMode.HALF_EVEN) {
+            rounded = floor % 2 === 0 ? floor : floor + 1;
+        } else {
+            rounded = floor + 1;
+        }
+
+        return new Money(sign * rounded);
+    }
+
+    /**
+     * Valor em reais (número), para a API e para exibição
+     */
+    toNumber(): number {
+        return parseFloat((this.cents / 100).toFixed(8));
+    }
+
+    /**
+     * Valor em reais com duas casas (ex.: "35.90"), arredondado half-up
+     */
+    toString(): string {
+        return this.round().toNumber().toFixed(2);
+    }
+
+    toJSON(): number {
+        return this.toNumber();
+    }
+}
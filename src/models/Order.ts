@@ -0,0 +1,178 @@
+import { Money } from './Money';
+
+/**
+ * Status do pedido
+ */
+export const OrderStatus = {
+    PLACED: 'placed' as const,
+    CANCELLED: 'cancelled' as const
+} as const;
+
+export type OrderStatusValue = typeof OrderStatus[keyof typeof OrderStatus];
+
+/**
+ * Motivos pelos quais o checkout é recusado
+ */
+export const CheckoutError = {
+    EMPTY: 'empty' as const,
+    PRODUCT_NOT_FOUND: 'product_not_found' as const,
+    INSUFFICIENT_STOCK: 'insufficient_stock' as const,
+    COUPON_UNAVAILABLE: 'coupon_unavailable' as const
+} as const;
+
+export type CheckoutErrorValue = typeof CheckoutError[keyof typeof CheckoutError];
+
+/**
+ * Desconto aplicado, congelado no pedido no momento do checkout
+ */
+export interface FrozenAdjustment {
+    decorator: string;
+    discountId: number | null;
+    discountName: string;
+    amount: number;
+}
+
+/**
+ * Linha do pedido, com os preços congelados no checkout
+ */
+export interface OrderItemData {
+    id?: number | null;
+    product_id: number;
+    product_name: string;
+    sku?: string | null;
+    quantity: number | string;
+    unit_price: number | string;
+    final_unit_price: number | string;
+    line_total: number | string;
+    adjustments?: FrozenAdjustment[] | string | null;
+}
+
+/**
+ * Interface para dados do pedido
+ */
+export interface OrderData {
+    id?: number | null;
+    cart_id?: number | null;
+    status?: string;
+    subtotal?: number | string;
+    discount_total?: number | string;
+    total?: number | string;
+    coupon_codes?: string[] | string | null;
+    adjustments?: FrozenAdjustment[] | string | null;
+    items?: OrderItemData[];
+    created_at?: string | null;
+    updated_at?: string | null;
+}
+
+/**
+ * Converte colunas JSON, que podem chegar como texto conforme o driver
+ */
+function parseJsonList<T>(value: T[] | string | null | undefined): T[] {
+    if (!value) return [];
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Linha do pedido
+ */
+export class OrderItem {
+    public id: number | null;
+    public product_id: number;
+    public product_name: string;
+    public sku: string | null;
+    public quantity: number;
+    public unit_price: number;
+    public final_unit_price: number;
+    public line_total: number;
+    public adjustments: FrozenAdjustment[];
+
+    constructor(data: OrderItemData) {
+        this.id = data.id || null;
+        this.product_id = parseInt(String(data.product_id));
+        this.product_name = data.product_name;
+        this.sku = data.sku || null;
+        this.quantity = parseInt(String(data.quantity));
+        this.unit_price = Money.fromDecimal(data.unit_price).toNumber();
+        this.final_unit_price = Money.fromDecimal(data.final_unit_price).toNumber();
+        this.line_total = Money.fromDecimal(data.line_total).toNumber();
+        this.adjustments = parseJsonList(data.adjustments);
+    }
+
+    toJSON(): Record<string, any> {
+        return {
+            id: this.id,
+            product_id: this.product_id,
+            product_name: this.product_name,
+            sku: this.sku,
+            quantity: this.quantity,
+            unit_price: this.unit_price,
+            final_unit_price: this.final_unit_price,
+            line_total: this.line_total,
+            adjustments: this.adjustments
+        };
+    }
+}
+
+/**
+ * Modelo de pedido
+ * Guarda os preços e descontos calculados no checkout, que não mudam
+ * quando produtos ou descontos são alterados depois
+ */
+export class Order {
+    public id: number | null;
+    public cart_id: number | null;
+    public status: string;
+    public subtotal: number;
+    public discount_total: number;
+    public total: number;
+    public coupon_codes: string[];
+    public adjustments: FrozenAdjustment[];
+    public items: OrderItem[];
+    public created_at: string | null;
+    public updated_at: string | null;
+
+    constructor(data: OrderData = {}) {
+        this.id = data.id || null;
+        this.cart_id = data.cart_id || null;
+        this.status = data.status || OrderStatus.PLACED;
+        this.subtotal = Money.fromDecimal(data.subtotal || 0).toNumber();
+        this.discount_total = Money.fromDecimal(data.discount_total || 0).toNumber();
+        this.total = Money.fromDecimal(data.total || 0).toNumber();
+        this.coupon_codes = parseJsonList(data.coupon_codes);
+        this.adjustments = parseJsonList(data.adjustments);
+        this.items = (data.items || []).map(item => new OrderItem(item));
+        this.created_at = data.created_at || null;
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Valida se o pedido tem itens e totais coerentes
+     */
+    isValid(): boolean {
+        if (this.items.length === 0 || !Object.values(OrderStatus).includes(this.status as OrderStatusValue)) {
+            return false;
+        }
+
+        if (this.items.some(item => !Number.isInteger(item.quantity) || item.quantity <= 0 || item.line_total < 0)) {
+            return false;
+        }
+
+        return this.total >= 0 && this.total <= this.subtotal;
+    }
+
+    toJSON(): Record<string, any> {
+        return {
+            id: this.id,
+            cart_id: this.cart_id,
+            status: this.status,
+            subtotal: this.subtotal,
+            discount_total: this.discount_total,
+            total: this.total,
+            coupon_codes: this.coupon_codes,
+            adjustments: this.adjustments,
+            items: this.items.map(item => item.toJSON()),
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+    }
+}
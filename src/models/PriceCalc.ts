@@ -1,4 +1,27 @@
 import { Product } from './Product';
+import { TaxLine } from './TaxRules';
+import { Money } from './Money';
+import { RoundingPolicy } from './RoundingPolicy';
+
+/**
+ * Etapa do cálculo de preço registrada por um decorator (modo explain)
+ */
+export interface PriceStep {
+    /** Nome do decorator (ou BasicPrice para o preço de partida) */
+    decorator: string;
+    /** Parâmetros com que o decorator foi configurado */
+    params: Record<string, unknown>;
+    /** Preço recebido da camada interna */
+    inputPrice: number;
+    /** Preço entregue para a camada externa */
+    outputPrice: number;
+    /** Indica se o decorator se aplicou ao produto */
+    applied: boolean;
+    /** Motivo pelo qual o decorator foi ignorado, quando applied = false */
+    reason?: string;
+    /** Impostos detalhados pela etapa (TaxDecorator) */
+    taxes?: TaxLine[];
+}
 
 /**
  * Interface para cálculo de preços de produtos
@@ -7,7 +30,27 @@ export interface PriceCalc {
     /**
      * Calcula o preço total de um produto
      * @param p - O produto para calcular o preço
-     * @returns O preço total como número decimal
+     * @returns O preço total em reais, com o arredondamento final da política
      */
     total(p: Product): number;
-}
\ No newline at end of file
+
+    /**
+     * Calcula o preço da etapa em centavos, usado pelas camadas externas
+     * @param p - O produto para calcular o preço
+     * @returns O preço arredondado por etapa (ou ainda com frações de centavo,
+     * quando a política arredonda só no final)
+     */
+    money(p: Product): Money;
+
+    /**
+     * Política de arredondamento da cadeia
+     */
+    getRounding(): RoundingPolicy;
+
+    /**
+     * Explica o cálculo do preço etapa por etapa
+     * @param p - O produto para calcular o preço
+     * @returns As etapas na ordem de aplicação, da mais interna para a mais externa
+     */
+    explain(p: Product): PriceStep[];
+}
@@ -0,0 +1,80 @@
+import { Money } from './Money';
+
+/**
+ * Interface para dados de uma alteração de preço
+ */
+export interface PriceHistoryData {
+    id?: number | null;
+    product_id?: number | string | null;
+    old_price?: number | string;
+    new_price?: number | string;
+    change_reason?: string | null;
+    changed_by?: string | null;
+    created_at?: string | Date | null;
+}
+
+/**
+ * Quem alterou o preço e por quê, repassado ao trigger tr_product_price_history
+ */
+export interface PriceChangeContext {
+    user?: string | null;
+    reason?: string | null;
+}
+
+/**
+ * Alteração de preço registrada na tabela price_history
+ */
+export class PriceHistoryEntry {
+    public id: number | null;
+    public product_id: number | null;
+    public old_price: number;
+    public new_price: number;
+    public change_reason: string | null;
+    public changed_by: string | null;
+    public created_at: string | Date | null;
+
+    constructor(data: PriceHistoryData = {}) {
+        this.id = data.id || null;
+        this.product_id = data.product_id ? parseInt(String(data.product_id)) : null;
+        this.old_price = Money.fromDecimal(data.old_price || 0).toNumber();
+        this.new_price = Money.fromDecimal(data.new_price || 0).toNumber();
+        this.change_reason = data.change_reason || null;
+        this.changed_by = data.changed_by || null;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Variação do preço em reais (negativa quando o preço caiu)
+     */
+    getChange(): number {
+        return Money.fromDecimal(this.new_price).subtract(Money.fromDecimal(this.old_price)).toNumber();
+    }
+
+    /**
+     * Variação percentual em relação ao preço anterior, com uma casa decimal
+     */
+    getChangePercent(): number {
+        if (this.old_price === 0) {
+            return 0;
+        }
+
+        return Math.round((this.getChange() / this.old_price) * 1000) / 10;
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            id: this.id,
+            product_id: this.product_id,
+            old_price: this.old_price,
+            new_price: this.new_price,
+            change: this.getChange(),
+            change_percent: this.getChangePercent(),
+            change_reason: this.change_reason,
+            changed_by: this.changed_by,
+            created_at: this.created_at
+        };
+    }
+}
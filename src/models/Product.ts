@@ -1,5 +1,9 @@
+import { Money } from './Money';
+import { ProductCategory } from './ProductCategory';
+
 /**
- * Enum para categorias de produtos (compatível com Node.js)
+ * Categorias iniciais, criadas pelo schema.sql (compatível com Node.js)
+ * As categorias válidas ficam na tabela categories (CategoryRepository)
  */
 export const Category = {
     ELETRONICOS: 'eletronicos' as const,
@@ -7,7 +11,20 @@ export const Category = {
     ALIMENTOS: 'alimentos' as const
 } as const;
 
-export type CategoryType = typeof Category[keyof typeof Category];
+/**
+ * Identificador de uma categoria cadastrada (ex.: "livros")
+ */
+export type CategoryType = string;
+
+/**
+ * Motivos pelos quais o cadastro ou a edição do produto é recusado
+ */
+export const ProductError = {
+    DUPLICATE_NAME: 'duplicate_name' as const,
+    DUPLICATE_SKU: 'duplicate_sku' as const
+} as const;
+
+export type ProductErrorValue = typeof ProductError[keyof typeof ProductError];
 
 /**
  * Interface para dados do produto
@@ -20,9 +37,12 @@ export interface ProductData {
     description?: string;
     sku?: string;
     stock_quantity?: number | string;
+    weight_kg?: number | string;
+    reorder_threshold?: number | string | null;
     image_url?: string;
     created_at?: string | null;
     updated_at?: string | null;
+    version?: number | string | null;
     is_active?: boolean;
     category_display_name?: string;
     category_icon?: string;
@@ -39,9 +59,12 @@ export class Product {
     public description: string;
     public sku: string;
     public stock_quantity: number;
+    public weight_kg: number;
+    public reorder_threshold: number | null;
     public image_url: string;
     public created_at: string | null;
     public updated_at: string | null;
+    public version: number | null;
     public is_active: boolean;
     public category_display_name: string;
     public category_icon: string;
@@ -50,13 +73,21 @@ export class Product {
         this.id = data.id || null;
         this.name = data.name || '';
         this.category = data.category || '';
-        this.price = parseFloat(String(data.price)) || 0;
+        this.price = Money.fromDecimal(data.price).round().toNumber();
         this.description = data.description || '';
         this.sku = data.sku || '';
         this.stock_quantity = parseInt(String(data.stock_quantity)) || 0;
+        // Peso não numérico fica NaN para ser recusado pelo isValid
+        this.weight_kg = data.weight_kg !== undefined && data.weight_kg !== null && data.weight_kg !== ''
+            ? parseFloat(String(data.weight_kg))
+            : 0;
+        this.reorder_threshold = data.reorder_threshold !== undefined && data.reorder_threshold !== null && data.reorder_threshold !== ''
+            ? parseInt(String(data.reorder_threshold))
+            : null;
         this.image_url = data.image_url || '';
         this.created_at = data.created_at || null;
         this.updated_at = data.updated_at || null;
+        this.version = parseInt(String(data.version)) || null;
         this.is_active = data.is_active !== undefined ? data.is_active : true;
         
         // Dados da categoria (quando join é feito)
@@ -71,6 +102,20 @@ export class Product {
         return `Product(id=${this.id}, name=${this.name}, price=R$${this.price.toFixed(2)}, category=${this.category})`;
     }
 
+    /**
+     * Preço em centavos, para cálculos sem erro de ponto flutuante
+     */
+    getPrice(): Money {
+        return Money.fromDecimal(this.price);
+    }
+
+    /**
+     * Indica se o estoque chegou ao ponto de reposição (sem ponto definido, nunca)
+     */
+    isLowStock(): boolean {
+        return this.reorder_threshold !== null && this.stock_quantity <= this.reorder_threshold;
+    }
+
     /**
      * Verifica se o produto está na categoria especificada
      */
@@ -90,9 +135,15 @@ export class Product {
             description: this.description,
             sku: this.sku,
             stock_quantity: this.stock_quantity,
+            weight_kg: this.weight_kg,
+            reorder_threshold: this.reorder_threshold,
+            low_stock: this.isLowStock(),
             image_url: this.image_url,
+            category_display_name: this.getCategoryDisplayName(),
+            category_icon: this.category_icon || null,
             created_at: this.created_at,
-            updated_at: this.updated_at
+            updated_at: this.updated_at,
+            version: this.version
         };
     }
 
@@ -109,6 +160,8 @@ export class Product {
         if (this.description) data.description = this.description;
         if (this.sku) data.sku = this.sku;
         if (this.stock_quantity !== undefined) data.stock_quantity = this.stock_quantity;
+        if (this.weight_kg) data.weight_kg = this.weight_kg;
+        if (this.reorder_threshold !== null) data.reorder_threshold = this.reorder_threshold;
         if (this.image_url) data.image_url = this.image_url;
 
         return data;
@@ -116,35 +169,41 @@ export class Product {
 
     /**
      * Valida se o produto tem dados obrigatórios
+     * @param categories - Categorias cadastradas (CategoryRepository.findNames); sem a
+     *        lista, só o formato da categoria é conferido e o banco recusa as inexistentes
      */
-    isValid(): boolean {
+    isValid(categories: string[] | null = null): boolean {
         return Boolean(this.name) && 
-               Boolean(this.category) && 
+               ProductCategory.isValidName(this.category) && 
                this.price > 0 &&
-               Object.values(Category).includes(this.category as CategoryType);
+               Number.isFinite(this.weight_kg) && this.weight_kg >= 0 &&
+               (this.reorder_threshold === null || (Number.isInteger(this.reorder_threshold) && this.reorder_threshold >= 0)) &&
+               (categories === null || categories.includes(this.category));
     }
 
     /**
      * Cria uma cópia do produto com novos dados
      */
     withChanges(changes: Partial<ProductData>): Product {
-        return new Product({ ...this.toJSON(), ...changes });
+        const data = this.toJSON();
+        if (changes.category !== undefined && changes.category !== this.category) {
+            // Nome e ícone da categoria antiga não valem para a nova
+            data.category_display_name = '';
+            data.category_icon = '';
+        }
+        return new Product({ ...data, ...changes });
     }
 
     /**
-     * Retorna o nome de exibição da categoria
+     * Retorna o nome de exibição da categoria (display_name da tabela categories,
+     * carregado pelo join do ProductRepository)
      */
     getCategoryDisplayName(): string {
-        const categoryNames: Record<string, string> = {
-            [Category.ELETRONICOS]: 'Eletrônicos',
-            [Category.LIVROS]: 'Livros',
-            [Category.ALIMENTOS]: 'Alimentos'
-        };
-        return categoryNames[this.category] || this.category;
+        return this.category_display_name || this.category;
     }
 }
 
 // Para compatibilidade com CommonJS
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Product, Category };
+    module.exports = { Product, Category, ProductError };
 }
\ No newline at end of file
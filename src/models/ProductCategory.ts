@@ -0,0 +1,246 @@
+/**
+ * Motivos pelos quais uma alteração de categoria é recusada
+ */
+export const CategoryError = {
+    DUPLICATE_NAME: 'duplicate_name' as const,
+    IN_USE: 'in_use' as const,
+    HAS_CHILDREN: 'has_children' as const,
+    PARENT_NOT_FOUND: 'parent_not_found' as const,
+    INVALID_PARENT: 'invalid_parent' as const   // A categoria pai seria ela mesma ou uma subcategoria
+} as const;
+
+export type CategoryErrorValue = typeof CategoryError[keyof typeof CategoryError];
+
+/**
+ * Identificador da categoria: minúsculas, dígitos, "-" e "_" (ex.: "eletronicos")
+ */
+const CATEGORY_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+/**
+ * Interface para dados da categoria
+ */
+export interface ProductCategoryData {
+    id?: number | null;
+    name?: string;
+    display_name?: string;
+    description?: string | null;
+    icon?: string | null;
+    parent_id?: number | string | null;
+    product_count?: number | string;
+    created_at?: string | Date | null;
+    updated_at?: string | Date | null;
+}
+
+/**
+ * Categoria de produtos cadastrada na tabela categories
+ */
+export class ProductCategory {
+    public id: number | null;
+    public name: string;
+    public display_name: string;
+    public description: string | null;
+    public icon: string | null;
+    public parent_id: number | null;
+    public product_count: number;
+    public created_at: string | Date | null;
+    public updated_at: string | Date | null;
+
+    constructor(data: ProductCategoryData = {}) {
+        this.id = data.id || null;
+        this.name = (data.name || '').trim().toLowerCase();
+        this.display_name = (data.display_name || '').trim();
+        this.description = data.description || null;
+        this.icon = data.icon || null;
+        this.parent_id = data.parent_id ? parseInt(String(data.parent_id)) : null;
+        this.product_count = parseInt(String(data.product_count)) || 0;
+        this.created_at = data.created_at || null;
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Valida o formato do identificador da categoria
+     */
+    static isValidName(name: unknown): boolean {
+        return typeof name === 'string' && CATEGORY_NAME_PATTERN.test(name);
+    }
+
+    /**
+     * Valida identificador, nome de exibição e ícone
+     */
+    isValid(): boolean {
+        return ProductCategory.isValidName(this.name) &&
+            this.display_name.length > 0 && this.display_name.length <= 100 &&
+            (this.icon === null || this.icon.length <= 50) &&
+            (this.parent_id === null || this.parent_id !== this.id);
+    }
+
+    /**
+     * Cria uma cópia da categoria com novos dados
+     */
+    withChanges(changes: Partial<ProductCategoryData>): ProductCategory {
+        return new ProductCategory({ ...this.toJSON(), ...changes });
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            id: this.id,
+            name: this.name,
+            display_name: this.display_name,
+            description: this.description,
+            icon: this.icon,
+            parent_id: this.parent_id,
+            product_count: this.product_count,
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+    }
+}
+
+/**
+ * Hierarquia das categorias (ex.: Eletrônicos > Celulares > Acessórios),
+ * montada a partir da lista completa de categorias
+ */
+export class CategoryTree {
+    private byId = new Map<number, ProductCategory>();
+    private byName = new Map<string, ProductCategory>();
+    private childrenById = new Map<number | null, ProductCategory[]>();
+
+    constructor(categories: ProductCategory[] = []) {
+        categories.forEach(category => {
+            this.byId.set(category.id as number, category);
+            this.byName.set(category.name, category);
+        });
+
+        categories.forEach(category => {
+            // Categorias com pai inexistente ficam na raiz
+            const parentId = category.parent_id !== null && this.byId.has(category.parent_id) ? category.parent_id : null;
+            const siblings = this.childrenById.get(parentId) || [];
+            siblings.push(category);
+            this.childrenById.set(parentId, siblings);
+        });
+    }
+
+    /**
+     * Categoria pelo identificador
+     */
+    get(name: string): ProductCategory | undefined {
+        return this.byName.get(name);
+    }
+
+    /**
+     * Categoria pelo ID
+     */
+    getById(id: number): ProductCategory | undefined {
+        return this.byId.get(id);
+    }
+
+    /**
+     * Identificadores de todas as categorias
+     */
+    names(): string[] {
+        return Array.from(this.byName.keys());
+    }
+
+    /**
+     * Subcategorias diretas (null = categorias raiz)
+     */
+    childrenOf(id: number | null): ProductCategory[] {
+        return this.childrenById.get(id) || [];
+    }
+
+    /**
+     * Identificadores da categoria e de todas as suas subcategorias, em qualquer nível
+     */
+    subtreeOf(name: string): string[] {
+        const root = this.byName.get(name);
+        if (!root) {
+            return [name];
+        }
+
+        const names: string[] = [];
+        const visit = (category: ProductCategory) => {
+            if (names.includes(category.name)) return;
+            names.push(category.name);
+            this.childrenOf(category.id).forEach(visit);
+        };
+        visit(root);
+
+        return names;
+    }
+
+    /**
+     * Identificadores das subcategorias, em qualquer nível (sem a própria categoria)
+     */
+    descendantsOf(name: string): string[] {
+        return this.subtreeOf(name).slice(1);
+    }
+
+    /**
+     * Categorias da raiz até a categoria informada (inclusive)
+     */
+    pathOf(name: string): ProductCategory[] {
+        const path: ProductCategory[] = [];
+        const seen = new Set<number>();
+        let current = this.byName.get(name);
+
+        while (current && !seen.has(current.id as number)) {
+            seen.add(current.id as number);
+            path.unshift(current);
+            current = current.parent_id !== null ? this.byId.get(current.parent_id) : undefined;
+        }
+
+        return path;
+    }
+
+    /**
+     * Caminho legível, ex.: "Eletrônicos > Celulares > Acessórios"
+     */
+    getPathName(name: string): string {
+        const path = this.pathOf(name);
+        return path.length > 0 ? path.map(category => category.display_name).join(' > ') : name;
+    }
+
+    /**
+     * Indica se a categoria pode ficar sob o pai informado: o pai não pode ser
+     * ela mesma nem uma de suas subcategorias (o que criaria um ciclo)
+     */
+    canMove(categoryId: number | null, parentId: number | null): boolean {
+        if (parentId === null) {
+            return true;
+        }
+
+        const seen = new Set<number>();
+        let current = this.byId.get(parentId);
+
+        while (current && !seen.has(current.id as number)) {
+            if (current.id === categoryId) {
+                return false;
+            }
+            seen.add(current.id as number);
+            current = current.parent_id !== null ? this.byId.get(current.parent_id) : undefined;
+        }
+
+        return this.byId.has(parentId);
+    }
+
+    /**
+     * Árvore aninhada para a API, a partir da categoria informada ou das raízes
+     */
+    toJSON(name: string | null = null): Record<string, any>[] {
+        const node = (category: ProductCategory): Record<string, any> => ({
+            ...category.toJSON(),
+            path: this.getPathName(category.name),
+            children: this.childrenOf(category.id).map(node)
+        });
+
+        if (name === null) {
+            return this.childrenOf(null).map(node);
+        }
+
+        const root = this.byName.get(name);
+        return root ? [node(root)] : [];
+    }
+}
@@ -0,0 +1,238 @@
+import { Product } from './Product';
+
+/**
+ * Campos aceitos no parâmetro sort da listagem de produtos
+ */
+export const ProductSortField = {
+    NAME: 'name' as const,
+    PRICE: 'price' as const,
+    FINAL_PRICE: 'final_price' as const,    // Preço com descontos, calculado pelo PricingService
+    CREATED_AT: 'created_at' as const
+} as const;
+
+export type ProductSortFieldValue = typeof ProductSortField[keyof typeof ProductSortField];
+
+/**
+ * Coluna de cada campo no SELECT de produtos (null = calculado fora do banco)
+ */
+const SORT_COLUMNS: Record<ProductSortFieldValue, string | null> = {
+    name: 'p.name',
+    price: 'p.price',
+    final_price: null,
+    created_at: 'p.created_at'
+};
+
+const SORT_LABELS: Record<ProductSortFieldValue, string> = {
+    name: 'nome',
+    price: 'preço',
+    final_price: 'preço final',
+    created_at: 'data de cadastro'
+};
+
+export type SortDirection = 'ASC' | 'DESC';
+
+/**
+ * Critério de ordenação
+ */
+export interface SortKey {
+    field: ProductSortFieldValue;
+    direction: SortDirection;
+}
+
+/**
+ * Posição de um produto na ordenação (valores dos critérios + ID), base do
+ * cursor da paginação por keyset
+ */
+export interface SortPosition {
+    values: (number | string)[];
+    id: number;
+}
+
+/**
+ * Critério de keyset para o ProductQuery: coluna, direção e valor do cursor
+ */
+export interface SeekKey {
+    column: string;
+    direction: SortDirection;
+    value: number | string | Date;
+}
+
+/**
+ * Ordenação da listagem de produtos, ex.: "-price,name" (preço decrescente e,
+ * no empate, nome crescente). O ID é sempre o desempate final.
+ */
+export class ProductSort {
+    public keys: SortKey[];
+
+    constructor(keys: SortKey[] = [{ field: ProductSortField.NAME, direction: 'ASC' }]) {
+        this.keys = keys;
+    }
+
+    /**
+     * Campos aceitos
+     */
+    static getFields(): ProductSortFieldValue[] {
+        return Object.values(ProductSortField);
+    }
+
+    /**
+     * Interpreta o parâmetro sort: campos separados por vírgula, com "-" para
+     * ordem decrescente. Campos fora da lista ou repetidos são recusados.
+     */
+    static parse(value: unknown): { sort: ProductSort } | { error: string } {
+        if (typeof value !== 'string' || value.trim() === '') {
+            return { error: 'Informe sort, ex.: -price,name' };
+        }
+
+        const keys: SortKey[] = [];
+
+        for (const part of value.split(',').map(item => item.trim())) {
+            const direction: SortDirection = part.startsWith('-') ? 'DESC' : 'ASC';
+            const field = part.replace(/^[-+]/, '');
+
+            if (!(ProductSort.getFields() as string[]).includes(field)) {
+                return { error: `Campo de ordenação inválido: "${field}" (campos: ${ProductSort.getFields().join(', ')})` };
+            }
+
+            if (keys.some(key => key.field === field)) {
+                return { error: `Campo de ordenação repetido: "${field}"` };
+            }
+
+            keys.push({ field: field as ProductSortFieldValue, direction });
+        }
+
+        return { sort: new ProductSort(keys) };
+    }
+
+    /**
+     * Coluna SQL do campo (null para o preço final)
+     */
+    static columnFor(field: ProductSortFieldValue): string | null {
+        return SORT_COLUMNS[field];
+    }
+
+    /**
+     * Indica se a ordenação pode ser feita pelo banco (não usa o preço final)
+     */
+    isSqlSortable(): boolean {
+        return this.keys.every(key => ProductSort.columnFor(key.field) !== null);
+    }
+
+    /**
+     * Indica se algum critério usa o preço final
+     */
+    usesFinalPrice(): boolean {
+        return this.keys.some(key => key.field === ProductSortField.FINAL_PRICE);
+    }
+
+    /**
+     * Posição do produto na ordenação; created_at vira milissegundos
+     */
+    positionOf(product: Product, finalPrice: (product: Product) => number = product => product.price): SortPosition {
+        const value = (field: ProductSortFieldValue): number | string => {
+            switch (field) {
+                case ProductSortField.PRICE:
+                    return product.price;
+                case ProductSortField.FINAL_PRICE:
+                    return finalPrice(product);
+                case ProductSortField.CREATED_AT:
+                    return product.created_at ? new Date(product.created_at).getTime() : 0;
+                default:
+                    return product.name;
+            }
+        };
+
+        return { values: this.keys.map(key => value(key.field)), id: product.id || 0 };
+    }
+
+    /**
+     * Compara duas posições: negativo quando a primeira vem antes
+     */
+    compare(a: SortPosition, b: SortPosition): number {
+        for (let i = 0; i < this.keys.length; i++) {
+            const left = a.values[i];
+            const right = b.values[i];
+            const order = typeof left === 'string' && typeof right === 'string'
+                ? left.localeCompare(right, 'pt-BR', { sensitivity: 'base' })
+                : (left as number) - (right as number);
+
+            if (order !== 0) {
+                return this.keys[i].direction === 'DESC' ? -order : order;
+            }
+        }
+        return a.id - b.id;
+    }
+
+    /**
+     * Ordena em memória, com o preço final informado por finalPrice
+     */
+    sort(products: Product[], finalPrice: (product: Product) => number = product => product.price): Product[] {
+        return products
+            .map(product => ({ product, position: this.positionOf(product, finalPrice) }))
+            .sort((a, b) => this.compare(a.position, b.position))
+            .map(item => item.product);
+    }
+
+    /**
+     * Indica se a posição tem a forma desta ordenação (ex.: vinda de um cursor)
+     */
+    isValidPosition(position: unknown): position is SortPosition {
+        const candidate = position as SortPosition;
+        return !!candidate && Number.isInteger(candidate.id) && Array.isArray(candidate.values) &&
+            candidate.values.length === this.keys.length &&
+            this.keys.every((key, i) => key.field === ProductSortField.NAME
+                ? typeof candidate.values[i] === 'string'
+                : Number.isFinite(candidate.values[i]));
+    }
+
+    /**
+     * Cursor opaco da paginação por keyset: a ordenação e a posição (valores dos
+     * critérios + ID) do último produto da página, em base64url
+     */
+    encodeCursor(position: SortPosition): string {
+        return Buffer.from(JSON.stringify({ sort: this.toString(), values: position.values, id: position.id })).toString('base64url');
+    }
+
+    /**
+     * Posição do cursor, ou null quando ele é inválido ou foi gerado com outra ordenação
+     */
+    decodeCursor(cursor: unknown): SortPosition | null {
+        try {
+            const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            const position = { values: data.values, id: data.id };
+            return data.sort === this.toString() && this.isValidPosition(position) ? position : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Critérios de keyset para continuar depois da posição (apenas ordenações
+     * feitas pelo banco; created_at volta a ser Date)
+     */
+    seekKeys(position: SortPosition): SeekKey[] {
+        return this.keys.map((key, i) => ({
+            column: ProductSort.columnFor(key.field) as string,
+            direction: key.direction,
+            value: key.field === ProductSortField.CREATED_AT
+                ? new Date(position.values[i] as number)
+                : position.values[i]
+        }));
+    }
+
+    /**
+     * Descrição legível, ex.: "Ordenação: preço (decrescente), nome"
+     */
+    getDescription(): string {
+        return `Ordenação: ${this.keys
+            .map(key => `${SORT_LABELS[key.field]}${key.direction === 'DESC' ? ' (decrescente)' : ''}`)
+            .join(', ')}`;
+    }
+
+    /**
+     * Forma do parâmetro sort, ex.: "-price,name"
+     */
+    toString(): string {
+        return this.keys.map(key => `${key.direction === 'DESC' ? '-' : ''}${key.field}`).join(',');
+    }
+}
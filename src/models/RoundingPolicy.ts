@@ -0,0 +1,82 @@
+import { Money, RoundingMode, RoundingModeValue } from './Money';
+
+/**
+ * Momento do arredondamento na cadeia de preços
+ */
+export const RoundingScope = {
+    STEP: 'step' as const,  // A cada decorator (como sp_apply_discount_to_product)
+    END: 'end' as const     // Apenas no preço final
+} as const;
+
+export type RoundingScopeValue = typeof RoundingScope[keyof typeof RoundingScope];
+
+/**
+ * Interface para dados da política de arredondamento
+ */
+export interface RoundingPolicyData {
+    mode?: string;
+    scope?: string;
+}
+
+/**
+ * Política de arredondamento de preços da loja
+ * Padrão: half-up a cada etapa, o mesmo resultado da procedure sp_apply_discount_to_product
+ */
+export class RoundingPolicy {
+    public mode: string;
+    public scope: string;
+
+    constructor(data: RoundingPolicyData = {}) {
+        this.mode = data.mode || RoundingMode.HALF_UP;
+        this.scope = data.scope || RoundingScope.STEP;
+    }
+
+    /**
+     * Arredondamento de uma etapa intermediária (só quando o escopo é por etapa)
+     */
+    step(value: Money): Money {
+        return this.scope === RoundingScope.STEP ? value.round(this.mode) : value;
+    }
+
+    /**
+     * Arredondamento do preço final (sempre)
+     */
+    finalize(value: Money): Money {
+        return value.round(this.mode);
+    }
+
+    /**
+     * Valida o modo e o escopo
+     */
+    isValid(): boolean {
+        return Object.values(RoundingMode).includes(this.mode as RoundingModeValue) &&
+            Object.values(RoundingScope).includes(this.scope as RoundingScopeValue);
+    }
+
+    /**
+     * Descrição legível da política
+     */
+    getDescription(): string {
+        const modeNames: Record<string, string> = {
+            [RoundingMode.HALF_UP]: 'Meio para cima',
+            [RoundingMode.HALF_EVEN]: 'Meio para o par'
+        };
+        const scopeNames: Record<string, string> = {
+            [RoundingScope.STEP]: 'a cada etapa',
+            [RoundingScope.END]: 'no final'
+        };
+
+        return `${modeNames[this.mode] || this.mode}, ${scopeNames[this.scope] || this.scope}`;
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            mode: this.mode,
+            scope: this.scope,
+            description: this.getDescription()
+        };
+    }
+}
@@ -0,0 +1,114 @@
+import { Money } from './Money';
+
+/**
+ * Situação de uma alteração de preço agendada
+ */
+export const ScheduleStatus = {
+    PENDING: 'pending' as const,       // Aguardando a data de vigência
+    APPLIED: 'applied' as const,       // Preço já alterado
+    CANCELLED: 'cancelled' as const,   // Cancelada antes de ser aplicada
+    FAILED: 'failed' as const          // Não pôde ser aplicada (ex.: produto removido)
+} as const;
+
+export type ScheduleStatusValue = typeof ScheduleStatus[keyof typeof ScheduleStatus];
+
+/**
+ * Motivo gravado no price_history para alterações aplicadas pelo agendador
+ */
+export const SCHEDULED_CHANGE_REASON = 'scheduled';
+
+/**
+ * Interface para dados da alteração agendada
+ */
+export interface ScheduledPriceChangeData {
+    id?: number | null;
+    product_id?: number | string | null;
+    product_name?: string | null;
+    product_sku?: string | null;
+    new_price?: number | string;
+    effective_at?: string | Date | null;
+    status?: string;
+    created_by?: string | null;
+    applied_at?: string | Date | null;
+    error?: string | null;
+    created_at?: string | Date | null;
+}
+
+/**
+ * Alteração de preço agendada para uma data futura (tabela scheduled_price_changes)
+ */
+export class ScheduledPriceChange {
+    public id: number | null;
+    public product_id: number | null;
+    public product_name: string | null;
+    public product_sku: string | null;
+    public new_price: number;
+    public effective_at: Date | null;
+    public status: string;
+    public created_by: string | null;
+    public applied_at: string | Date | null;
+    public error: string | null;
+    public created_at: string | Date | null;
+
+    constructor(data: ScheduledPriceChangeData = {}) {
+        this.id = data.id || null;
+        this.product_id = data.product_id ? parseInt(String(data.product_id)) : null;
+        this.product_name = data.product_name || null;
+        this.product_sku = data.product_sku || null;
+        this.new_price = Money.fromDecimal(data.new_price).round().toNumber();
+        this.effective_at = data.effective_at ? new Date(data.effective_at) : null;
+        this.status = data.status || ScheduleStatus.PENDING;
+        this.created_by = data.created_by || null;
+        this.applied_at = data.applied_at || null;
+        this.error = data.error || null;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Indica se a alteração está pendente e já atingiu a data de vigência
+     */
+    isDue(now: Date): boolean {
+        return this.status === ScheduleStatus.PENDING &&
+            this.effective_at !== null &&
+            this.effective_at.getTime() <= now.getTime();
+    }
+
+    /**
+     * Valida produto, preço e data de vigência; novas alterações
+     * precisam ter vigência posterior à data informada
+     */
+    isValid(now: Date | null = null): boolean {
+        if (!this.product_id || !(this.new_price > 0)) {
+            return false;
+        }
+
+        if (!this.effective_at || isNaN(this.effective_at.getTime())) {
+            return false;
+        }
+
+        if (!Object.values(ScheduleStatus).includes(this.status as ScheduleStatusValue)) {
+            return false;
+        }
+
+        return now === null || this.effective_at.getTime() > now.getTime();
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            id: this.id,
+            product_id: this.product_id,
+            product_name: this.product_name,
+            product_sku: this.product_sku,
+            new_price: this.new_price,
+            effective_at: this.effective_at,
+            status: this.status,
+            created_by: this.created_by,
+            applied_at: this.applied_at,
+            error: this.error,
+            created_at: this.created_at
+        };
+    }
+}
@@ -0,0 +1,123 @@
+import { Category } from './Product';
+
+/**
+ * Faixa de peso total do pedido com o acréscimo de frete correspondente
+ */
+export interface WeightRange {
+    minWeightKg: number;
+    /** Limite superior (exclusivo); null = sem limite */
+    maxWeightKg: number | null;
+    surcharge: number;
+}
+
+/**
+ * Faixa de CEP de destino com o acréscimo de frete correspondente
+ */
+export interface CepRange {
+    region: string;
+    cepStart: string;
+    cepEnd: string;
+    surcharge: number;
+}
+
+/**
+ * Interface para dados das regras de frete
+ */
+export interface ShippingRulesData {
+    categoryRates?: Record<string, number>;
+    weightRanges?: WeightRange[];
+    cepRanges?: CepRange[];
+    freeShippingAbove?: number | null;
+}
+
+/**
+ * Taxas por categoria usadas quando não há regras cadastradas
+ */
+const DEFAULT_CATEGORY_RATES: Record<string, number> = {
+    [Category.ELETRONICOS]: 25.00, // Produtos eletrônicos são mais pesados
+    [Category.LIVROS]: 10.00,      // Livros têm frete moderado
+    [Category.ALIMENTOS]: 15.00    // Alimentos podem precisar refrigeração
+};
+
+/**
+ * Regras de frete da loja: taxa por unidade de cada categoria, tabelas
+ * opcionais de acréscimo por peso e por CEP e frete grátis acima de um valor
+ */
+export class ShippingRules {
+    public categoryRates: Record<string, number>;
+    public weightRanges: WeightRange[];
+    public cepRanges: CepRange[];
+    public freeShippingAbove: number | null;
+
+    constructor(data: ShippingRulesData = {}) {
+        this.categoryRates = { ...(data.categoryRates || {}) };
+        this.weightRanges = data.weightRanges || [];
+        this.cepRanges = data.cepRanges || [];
+        this.freeShippingAbove = data.freeShippingAbove !== undefined && data.freeShippingAbove !== null
+            ? data.freeShippingAbove
+            : null;
+    }
+
+    /**
+     * Regras padrão: apenas as taxas por categoria, sem tabelas nem frete grátis
+     */
+    static defaults(): ShippingRules {
+        return new ShippingRules({ categoryRates: DEFAULT_CATEGORY_RATES });
+    }
+
+    /**
+     * Normaliza o CEP para 8 dígitos (aceita "01310-100"); null se inválido
+     */
+    static normalizeCep(cep: string): string | null {
+        const digits = String(cep || '').replace(/\D/g, '');
+        return digits.length === 8 ? digits : null;
+    }
+
+    /**
+     * Taxa de frete por unidade da categoria (0 quando não configurada)
+     */
+    rateFor(category: string): number {
+        return this.categoryRates[category] || 0;
+    }
+
+    /**
+     * Acréscimo da faixa de peso em que o peso total se encaixa (0 se nenhuma)
+     */
+    weightSurchargeFor(weightKg: number): number {
+        const range = this.weightRanges.find(r =>
+            weightKg >= r.minWeightKg && (r.maxWeightKg === null || weightKg < r.maxWeightKg)
+        );
+        return range ? range.surcharge : 0;
+    }
+
+    /**
+     * Faixa de CEP que contém o destino, ou null
+     */
+    findCepRange(cep: string): CepRange | null {
+        const normalized = ShippingRules.normalizeCep(cep);
+        if (!normalized) {
+            return null;
+        }
+
+        return this.cepRanges.find(r => normalized >= r.cepStart && normalized <= r.cepEnd) || null;
+    }
+
+    /**
+     * Indica se o valor das mercadorias dá direito a frete grátis
+     */
+    isFreeShipping(amount: number): boolean {
+        return this.freeShippingAbove !== null && amount >= this.freeShippingAbove;
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            categoryRates: this.categoryRates,
+            weightRanges: this.weightRanges,
+            cepRanges: this.cepRanges,
+            freeShippingAbove: this.freeShippingAbove
+        };
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Modos de combinação de múltiplos descontos
+ */
+export const StackingMode = {
+    COMPOUND: 'compound' as const,   // Sequencial: 10% e depois 5% = 14,5%
+    ADDITIVE: 'additive' as const,   // Soma: 10% + 5% = 15%
+    BEST: 'best' as const            // Apenas o maior desconto
+} as const;
+
+export type StackingModeValue = typeof StackingMode[keyof typeof StackingMode];
+
+/**
+ * Interface para dados da política de acúmulo de descontos
+ */
+export interface StackingPolicyData {
+    mode?: string;
+    maxDiscountPercent?: number | string | null;
+}
+
+/**
+ * Política de acúmulo de descontos da loja
+ * Define como os descontos se combinam e o desconto total máximo permitido
+ */
+export class StackingPolicy {
+    public mode: string;
+    public maxDiscountPercent: number | null;
+
+    constructor(data: StackingPolicyData = {}) {
+        this.mode = data.mode || StackingMode.COMPOUND;
+        this.maxDiscountPercent = data.maxDiscountPercent !== undefined &&
+            data.maxDiscountPercent !== null && data.maxDiscountPercent !== ''
+            ? parseFloat(String(data.maxDiscountPercent))
+            : null;
+    }
+
+    /**
+     * Valida o modo e o limite (entre 0 e 100)
+     */
+    isValid(): boolean {
+        if (!Object.values(StackingMode).includes(this.mode as StackingModeValue)) {
+            return false;
+        }
+
+        return this.maxDiscountPercent === null ||
+            (!isNaN(this.maxDiscountPercent) && this.maxDiscountPercent >= 0 && this.maxDiscountPercent <= 100);
+    }
+
+    /**
+     * Descrição legível da política
+     */
+    getDescription(): string {
+        const modeNames: Record<string, string> = {
+            [StackingMode.COMPOUND]: 'Composto',
+            [StackingMode.ADDITIVE]: 'Somado',
+            [StackingMode.BEST]: 'Maior desconto'
+        };
+        const modeName = modeNames[this.mode] || this.mode;
+
+        return this.maxDiscountPercent !== null
+            ? `${modeName} (máx. ${this.maxDiscountPercent}%)`
+            : modeName;
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): Record<string, any> {
+        return {
+            mode: this.mode,
+            maxDiscountPercent: this.maxDiscountPercent,
+            description: this.getDescription()
+        };
+    }
+}
@@ -0,0 +1,124 @@
+import { Money, RoundingMode } from './Money';
+
+/**
+ * Tributos suportados: ICMS (mercadorias) e ISS (serviços)
+ */
+export const TaxKind = {
+    ICMS: 'icms' as const,
+    ISS: 'iss' as const
+} as const;
+
+export type TaxKindValue = typeof TaxKind[keyof typeof TaxKind];
+
+/**
+ * Exibição do preço: com o imposto somado (inclusive) ou sem (exclusive).
+ * Nos dois modos o imposto é detalhado separadamente.
+ */
+export const TaxDisplay = {
+    INCLUSIVE: 'inclusive' as const,
+    EXCLUSIVE: 'exclusive' as const
+} as const;
+
+export type TaxDisplayValue = typeof TaxDisplay[keyof typeof TaxDisplay];
+
+/**
+ * Unidades federativas aceitas como destino
+ */
+export const BRAZILIAN_UFS = [
+    'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+    'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'
+];
+
+/**
+ * Alíquota de um tributo para uma categoria; uf null vale para todos os
+ * estados sem alíquota própria
+ */
+export interface TaxRate {
+    category: string;
+    uf: string | null;
+    kind: string;
+    /** Alíquota em percentual (18 = 18%) */
+    rate: number;
+}
+
+/**
+ * Imposto calculado, detalhado para o documento fiscal
+ */
+export interface TaxLine {
+    kind: string;
+    uf: string;
+    rate: number;
+    base: number;
+    amount: number;
+}
+
+/**
+ * Tabela de alíquotas por categoria e UF de destino
+ */
+export class TaxRules {
+    public rates: TaxRate[];
+
+    constructor(rates: TaxRate[] = []) {
+        this.rates = rates;
+    }
+
+    /**
+     * Verifica se a UF é válida
+     */
+    static isValidUf(uf: string): boolean {
+        return BRAZILIAN_UFS.includes(String(uf || '').toUpperCase());
+    }
+
+    /**
+     * Alíquotas que incidem sobre a categoria no destino: para cada tributo,
+     * a alíquota da UF tem precedência sobre a alíquota geral
+     */
+    ratesFor(category: string, uf: string): TaxRate[] {
+        const destination = uf.toUpperCase();
+        const byKind = new Map<string, TaxRate>();
+
+        this.rates
+            .filter(r => r.category === category && (r.uf === null || r.uf === destination))
+            .forEach(r => {
+                const current = byKind.get(r.kind);
+                if (!current || (current.uf === null && r.uf !== null)) {
+                    byKind.set(r.kind, r);
+                }
+            });
+
+        return Array.from(byKind.values()).filter(r => r.rate > 0);
+    }
+
+    /**
+     * Calcula os impostos da categoria no destino sobre a base informada,
+     * arredondados para centavos
+     */
+    calculate(category: string, uf: string, base: Money, mode: string = RoundingMode.HALF_UP): TaxLine[] {
+        return this.ratesFor(category, uf).map(r => ({
+            kind: r.kind,
+            uf: uf.toUpperCase(),
+            rate: r.rate,
+            base: base.toNumber(),
+            amount: base.multiply(r.rate / 100).round(mode).toNumber()
+        }));
+    }
+
+    /**
+     * Valida as alíquotas (tributo conhecido, UF válida, entre 0 e 100)
+     */
+    isValid(): boolean {
+        return this.rates.every(r =>
+            Boolean(r.category) &&
+            Object.values(TaxKind).includes(r.kind as TaxKindValue) &&
+            (r.uf === null || TaxRules.isValidUf(r.uf)) &&
+            r.rate >= 0 && r.rate <= 100
+        );
+    }
+
+    /**
+     * Retorna objeto para ser enviado na API
+     */
+    toJSON(): TaxRate[] {
+        return this.rates;
+    }
+}
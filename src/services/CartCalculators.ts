@@ -0,0 +1,298 @@
+import { CartCalc, CartLine, CartStep } from '../models/CartCalc';
+import { Money } from '../models/Money';
+import { RoundingPolicy } from '../models/RoundingPolicy';
+
+/**
+ * Implementação básica da interface CartCalc
+ * Retorna o subtotal das linhas (preço unitário x quantidade)
+ */
+export class BasicCartPrice implements CartCalc {
+    private rounding: RoundingPolicy;
+
+    constructor(rounding: RoundingPolicy = new RoundingPolicy()) {
+        this.rounding = rounding;
+    }
+
+    total(lines: CartLine[]): number {
+        return this.getRounding().finalize(this.money(lines)).toNumber();
+    }
+
+    money(lines: CartLine[]): Money {
+        return Money.sum(lines.map(line => line.unitPrice.multiply(line.quantity)));
+    }
+
+    getRounding(): RoundingPolicy {
+        return this.rounding;
+    }
+
+    explain(lines: CartLine[]): CartStep[] {
+        const subtotal = this.money(lines).toNumber();
+        return [{
+            decorator: 'BasicCartPrice',
+            params: {},
+            inputTotal: subtotal,
+            outputTotal: subtotal,
+            applied: true
+        }];
+    }
+}
+
+/**
+ * Classe abstrata CartDecorator: decorators que abatem um desconto do
+ * total do carrinho calculado pela camada interna
+ */
+export abstract class CartDecorator implements CartCalc {
+    protected inner: CartCalc;
+
+    constructor(inner: CartCalc) {
+        this.inner = inner;
+    }
+
+    /**
+     * Valor do desconto sobre as linhas, dado o total da camada interna
+     */
+    protected abstract discount(lines: CartLine[], innerTotal: Money): Money;
+
+    /**
+     * Parâmetros de configuração do decorator, usados no modo explain
+     */
+    protected abstract getParams(): Record<string, unknown>;
+
+    /**
+     * Motivo pelo qual o decorator não se aplica ao carrinho, ou null se ele se aplica
+     */
+    protected getSkipReason(lines: CartLine[], innerTotal: Money): string | null {
+        return null;
+    }
+
+    money(lines: CartLine[]): Money {
+        const innerTotal = this.inner.money(lines);
+        if (this.getSkipReason(lines, innerTotal) !== null) {
+            return innerTotal;
+        }
+
+        return innerTotal.subtract(this.discount(lines, innerTotal)).max(Money.zero());
+    }
+
+    total(lines: CartLine[]): number {
+        return this.getRounding().finalize(this.money(lines)).toNumber();
+    }
+
+    getRounding(): RoundingPolicy {
+        return this.inner.getRounding();
+    }
+
+    explain(lines: CartLine[]): CartStep[] {
+        const steps = this.inner.explain(lines);
+        const innerTotal = this.inner.money(lines);
+        const skipReason = this.getSkipReason(lines, innerTotal);
+
+        const step: CartStep = {
+            decorator: this.constructor.name,
+            params: this.getParams(),
+            inputTotal: innerTotal.toNumber(),
+            outputTotal: this.money(lines).toNumber(),
+            applied: skipReason === null
+        };
+
+        if (skipReason !== null) {
+            step.reason = skipReason;
+        }
+
+        steps.push(step);
+        return steps;
+    }
+}
+
+/**
+ * Produtos a que um desconto de carrinho se aplica: uma categoria,
+ * um produto ou, sem nenhum dos dois, todos os produtos
+ */
+export interface CartScope {
+    category?: string | null;
+    productId?: number | null;
+}
+
+/**
+ * Verifica se a linha está no escopo do desconto
+ */
+export function matchesScope(line: CartLine, scope: CartScope): boolean {
+    if (scope.productId) {
+        return line.product.id === scope.productId;
+    }
+
+    if (scope.category) {
+        return line.product.category.toLowerCase() === scope.category.toLowerCase();
+    }
+
+    return true;
+}
+
+/**
+ * Valor de um desconto sobre uma base: percentual (fração) tem precedência,
+ * senão valor fixo por unidade, limitado à base
+ */
+function discountOn(base: Money, units: number, percent: number, amount: number, rounding: RoundingPolicy): Money {
+    if (percent > 0) {
+        return rounding.step(base.multiply(percent));
+    }
+
+    return Money.fromDecimal(amount).multiply(units).min(base);
+}
+
+/**
+ * Faixa de quantidade: a partir de minQuantity unidades (até maxQuantity - 1,
+ * quando há uma faixa seguinte no mesmo escopo) cada unidade tem o desconto
+ */
+export interface QuantityTier {
+    minQuantity: number;
+    maxQuantity?: number | null;
+    percent?: number;
+    amount?: number;
+}
+
+/**
+ * Decorator de desconto por faixa de quantidade (atacado): linhas no escopo
+ * com quantidade dentro da faixa recebem desconto percentual ou por unidade
+ */
+export class QuantityTierDiscount extends CartDecorator {
+    private tier: QuantityTier;
+    private scope: CartScope;
+
+    constructor(inner: CartCalc, tier: QuantityTier, scope: CartScope = {}) {
+        super(inner);
+        this.tier = tier;
+        this.scope = scope;
+    }
+
+    protected discount(lines: CartLine[]): Money {
+        return Money.sum(this.matchingLines(lines).map(line => discountOn(
+            line.unitPrice.multiply(line.quantity),
+            line.quantity,
+            this.tier.percent || 0,
+            this.tier.amount || 0,
+            this.getRounding()
+        )));
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return {
+            minQuantity: this.tier.minQuantity,
+            maxQuantity: this.tier.maxQuantity ?? null,
+            percent: this.tier.percent ?? null,
+            amount: this.tier.amount ?? null,
+            category: this.scope.category ?? null,
+            productId: this.scope.productId ?? null
+        };
+    }
+
+    protected getSkipReason(lines: CartLine[]): string | null {
+        return this.matchingLines(lines).length > 0
+            ? null
+            : `Nenhum item com quantidade na faixa a partir de ${this.tier.minQuantity} unidades`;
+    }
+
+    private matchingLines(lines: CartLine[]): CartLine[] {
+        const max = this.tier.maxQuantity;
+        return lines.filter(line =>
+            matchesScope(line, this.scope) &&
+            line.quantity >= this.tier.minQuantity &&
+            (max === undefined || max === null || line.quantity < max)
+        );
+    }
+}
+
+/**
+ * Decorator "leve X, ganhe Y": a cada buy + get unidades de uma linha no escopo,
+ * get unidades recebem o desconto (percent = 1 as torna gratuitas)
+ */
+export class BuyXGetY extends CartDecorator {
+    private buy: number;
+    private get: number;
+    private percent: number;
+    private amount: number;
+    private scope: CartScope;
+
+    constructor(inner: CartCalc, buy: number, get: number, scope: CartScope = {}, percent: number = 1, amount: number = 0) {
+        super(inner);
+        this.buy = buy;
+        this.get = get;
+        this.scope = scope;
+        this.percent = percent;
+        this.amount = amount;
+    }
+
+    /**
+     * Unidades da linha que recebem o desconto
+     */
+    rewardedUnits(line: CartLine): number {
+        if (!matchesScope(line, this.scope)) {
+            return 0;
+        }
+
+        return Math.floor(line.quantity / (this.buy + this.get)) * this.get;
+    }
+
+    protected discount(lines: CartLine[]): Money {
+        return Money.sum(lines.map(line => {
+            const units = this.rewardedUnits(line);
+            return units > 0
+                ? discountOn(line.unitPrice.multiply(units), units, this.percent, this.amount, this.getRounding())
+                : Money.zero();
+        }));
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return {
+            buy: this.buy,
+            get: this.get,
+            percent: this.percent,
+            amount: this.amount,
+            category: this.scope.category ?? null,
+            productId: this.scope.productId ?? null
+        };
+    }
+
+    protected getSkipReason(lines: CartLine[]): string | null {
+        return lines.some(line => this.rewardedUnits(line) > 0)
+            ? null
+            : `Nenhum item com ${this.buy + this.get} ou mais unidades`;
+    }
+}
+
+/**
+ * Decorator de cupom com pedido mínimo: aplica o desconto percentual ou de
+ * valor fixo sobre o total do carrinho quando ele atinge o valor mínimo
+ */
+export class MinimumOrderCoupon extends CartDecorator {
+    private minOrderValue: number;
+    private percent: number;
+    private amount: number;
+
+    constructor(inner: CartCalc, minOrderValue: number, percent: number = 0, amount: number = 0) {
+        super(inner);
+        this.minOrderValue = minOrderValue;
+        this.percent = percent;
+        this.amount = amount;
+    }
+
+    protected discount(lines: CartLine[], innerTotal: Money): Money {
+        return discountOn(innerTotal, 1, this.percent, this.amount, this.getRounding());
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return { minOrderValue: this.minOrderValue, percent: this.percent, amount: this.amount };
+    }
+
+    protected getSkipReason(lines: CartLine[], innerTotal: Money): string | null {
+        const minimum = Money.fromDecimal(this.minOrderValue);
+        return innerTotal.compareTo(minimum) >= 0
+            ? null
+            : `Pedido abaixo do mínimo de R$ ${minimum.toString()}`;
+    }
+}
+
+/**
+ * Fábrica de decorator de carrinho: recebe a camada interna e retorna a decorada
+ */
+export type CartDecoratorFactory = (inner: CartCalc) => CartCalc;
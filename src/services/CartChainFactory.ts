@@ -0,0 +1,115 @@
+import { CartCalc } from '../models/CartCalc';
+import { Discount, DiscountType } from '../models/Discount';
+import { RoundingPolicy } from '../models/RoundingPolicy';
+import { Clock, SystemClock } from './Clock';
+import {
+    BasicCartPrice,
+    QuantityTierDiscount,
+    BuyXGetY,
+    MinimumOrderCoupon,
+    CartScope,
+    CartDecoratorFactory
+} from './CartCalculators';
+
+/**
+ * Camada da cadeia do carrinho: o desconto de origem e a fábrica do decorator que o aplica
+ */
+export interface CartDiscountLayer {
+    discount: Discount;
+    decorate: CartDecoratorFactory;
+}
+
+/**
+ * Factory que monta a cadeia de decorators do carrinho a partir dos
+ * descontos de carrinho (Discount.isCartLevel) da tabela discounts
+ */
+export class CartChainFactory {
+    /**
+     * Cria o CartCalc correspondente aos descontos informados, encadeados
+     * sobre o subtotal das linhas (BasicCartPrice)
+     */
+    static fromDiscounts(
+        discounts: Discount[],
+        clock: Clock = new SystemClock(),
+        couponCodes: string[] = [],
+        rounding: RoundingPolicy = new RoundingPolicy()
+    ): CartCalc {
+        return CartChainFactory.layers(discounts, clock, couponCodes)
+            .reduce((calc: CartCalc, layer) => layer.decorate(calc), new BasicCartPrice(rounding));
+    }
+
+    /**
+     * Retorna as camadas da cadeia, na ordem de aplicação: faixas de quantidade,
+     * leve X ganhe Y e, por último, cupons com pedido mínimo (sobre o total já
+     * com os descontos anteriores). Mesmos critérios de vigência e de código
+     * do DiscountChainFactory.
+     */
+    static layers(discounts: Discount[], clock: Clock = new SystemClock(), couponCodes: string[] = []): CartDiscountLayer[] {
+        const now = clock.now();
+        const codes = couponCodes.map(code => code.trim().toUpperCase());
+        const active = discounts.filter(d =>
+            d.isCartLevel() && d.isActiveAt(now) && (!d.hasCode() || codes.includes(String(d.code).toUpperCase()))
+        );
+
+        const tiers = active.filter(d => d.type === DiscountType.BULK);
+        const layers: CartDiscountLayer[] = tiers.map(d => ({
+            discount: d,
+            decorate: CartChainFactory.tierFor(d, tiers)
+        }));
+
+        active
+            .filter(d => d.type === DiscountType.BUY_X_GET_Y)
+            .forEach(d => {
+                const percent = d.percentage > 0 ? d.getFraction() : (d.fixed_amount > 0 ? 0 : 1);
+                layers.push({
+                    discount: d,
+                    decorate: (inner: CartCalc) => new BuyXGetY(
+                        inner, d.buy_quantity as number, d.get_quantity as number, CartChainFactory.scopeOf(d), percent, d.fixed_amount
+                    )
+                });
+            });
+
+        active
+            .filter(d => d.type === DiscountType.COUPON)
+            .forEach(d => {
+                layers.push({
+                    discount: d,
+                    decorate: (inner: CartCalc) => new MinimumOrderCoupon(
+                        inner, d.min_order_value as number, d.getFraction(), d.fixed_amount
+                    )
+                });
+            });
+
+        return layers;
+    }
+
+    /**
+     * Escopo do desconto: produto, categoria ou todos os produtos
+     */
+    private static scopeOf(discount: Discount): CartScope {
+        return { category: discount.category, productId: discount.product_id };
+    }
+
+    /**
+     * Faixa de quantidade do desconto. Faixas do mesmo escopo são exclusivas:
+     * cada uma vale até a quantidade mínima da faixa seguinte, então só a
+     * maior faixa atingida se aplica à linha.
+     */
+    private static tierFor(discount: Discount, tiers: Discount[]): CartDecoratorFactory {
+        const min = discount.min_quantity as number;
+        const next = tiers
+            .filter(d => d.category === discount.category && d.product_id === discount.product_id)
+            .map(d => d.min_quantity as number)
+            .filter(quantity => quantity > min)
+            .sort((a, b) => a - b)[0];
+
+        const tier = {
+            minQuantity: min,
+            maxQuantity: next !== undefined ? next : null,
+            percent: discount.getFraction(),
+            amount: discount.fixed_amount
+        };
+
+        return (inner: CartCalc) => new QuantityTierDiscount(inner, tier, CartChainFactory.scopeOf(discount));
+    }
+}
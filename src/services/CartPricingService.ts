@@ -0,0 +1,128 @@
+import { Cart } from '../models/Cart';
+import { CartCalc, CartLine, CartStep } from '../models/CartCalc';
+import { Discount } from '../models/Discount';
+import { RoundingPolicy } from '../models/RoundingPolicy';
+import { Money } from '../models/Money';
+import { CartChainFactory, CartDiscountLayer } from './CartChainFactory';
+import { PricingService, PricingOptions, PriceAdjustment } from './PricingService';
+import { SystemClock } from './Clock';
+
+/**
+ * Linha precificada do carrinho
+ */
+export interface CartPricedLine {
+    productId: number | null;
+    name: string;
+    sku: string;
+    quantity: number;
+    unitPrice: number;
+    finalUnitPrice: number;
+    lineTotal: number;
+    /** Descontos do produto que formaram o finalUnitPrice */
+    adjustments: PriceAdjustment[];
+}
+
+/**
+ * Ajuste feito no total do carrinho por um desconto de carrinho
+ */
+export interface CartAdjustment {
+    decorator: string;
+    discountId: number | null;
+    discountName: string;
+    amount: number;
+    totalAfter: number;
+}
+
+/**
+ * Resultado do cálculo do total do carrinho
+ */
+export interface CartPricingResult {
+    cartId: number | null;
+    lines: CartPricedLine[];
+    subtotal: number;
+    adjustments: CartAdjustment[];
+    total: number;
+    steps: CartStep[];
+}
+
+/**
+ * Serviço de precificação do carrinho
+ * Cada linha é precificada pela cadeia PriceCalc do produto (PricingService)
+ * e o total passa pela cadeia de descontos de carrinho (CartCalc)
+ */
+export class CartPricingService {
+    private pricing: PricingService;
+    private layers: CartDiscountLayer[];
+    private calculator: CartCalc;
+
+    constructor(discounts: Discount[] = [], options: PricingOptions = {}) {
+        const clock = options.clock || new SystemClock();
+        const couponCodes = options.couponCodes || [];
+        this.pricing = new PricingService(discounts, options);
+        this.layers = CartChainFactory.layers(discounts, clock, couponCodes);
+        this.calculator = CartChainFactory.fromDiscounts(
+            discounts, clock, couponCodes, options.rounding || new RoundingPolicy()
+        );
+    }
+
+    /**
+     * Linhas do carrinho com o preço unitário calculado pela cadeia do produto
+     */
+    lines(cart: Cart): CartLine[] {
+        return cart.items.map(item => ({
+            product: item.product,
+            quantity: item.quantity,
+            unitPrice: Money.fromDecimal(this.pricing.total(item.product))
+        }));
+    }
+
+    /**
+     * Total do carrinho com todos os descontos aplicados
+     */
+    total(cart: Cart): number {
+        return this.calculator.total(this.lines(cart));
+    }
+
+    /**
+     * Calcula o total do carrinho detalhando as linhas e, em ordem,
+     * os descontos de carrinho que alteraram o total
+     */
+    price(cart: Cart): CartPricingResult {
+        const lines = this.lines(cart);
+        const steps = this.calculator.explain(lines);
+        const adjustments: CartAdjustment[] = [];
+
+        // steps[0] é o subtotal (BasicCartPrice), seguido de uma etapa por camada
+        this.layers.forEach((layer, index) => {
+            const step = steps[index + 1];
+
+            if (step.applied && step.outputTotal !== step.inputTotal) {
+                adjustments.push({
+                    decorator: step.decorator,
+                    discountId: layer.discount.id,
+                    discountName: layer.discount.name,
+                    amount: Money.fromDecimal(step.outputTotal).subtract(Money.fromDecimal(step.inputTotal)).toNumber(),
+                    totalAfter: step.outputTotal
+                });
+            }
+        });
+
+        return {
+            cartId: cart.id,
+            lines: lines.map(line => ({
+                productId: line.product.id,
+                name: line.product.name,
+                sku: line.product.sku,
+                quantity: line.quantity,
+                unitPrice: line.product.price,
+                finalUnitPrice: line.unitPrice.toNumber(),
+                lineTotal: line.unitPrice.multiply(line.quantity).toNumber(),
+                adjustments: this.pricing.price(line.product).adjustments
+            })),
+            subtotal: steps[0].outputTotal,
+            adjustments,
+            total: this.calculator.total(lines),
+            steps
+        };
+    }
+}
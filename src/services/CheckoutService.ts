@@ -0,0 +1,57 @@
+import { Cart, CartItem } from '../models/Cart';
+import { Order } from '../models/Order';
+import { Money } from '../models/Money';
+import { CartPricingService } from './CartPricingService';
+
+/**
+ * Serviço de checkout: transforma os itens de um carrinho em pedido,
+ * congelando o preço final de cada linha e os descontos aplicados
+ */
+export class CheckoutService {
+    private pricing: CartPricingService;
+    private couponCodes: string[];
+
+    constructor(pricing: CartPricingService, couponCodes: string[] = []) {
+        this.pricing = pricing;
+        this.couponCodes = couponCodes.map(code => code.trim().toUpperCase());
+    }
+
+    /**
+     * Monta o pedido a partir dos itens (produtos já lidos com o estoque bloqueado)
+     * @param items - Produtos e quantidades do pedido
+     * @param cartId - Carrinho de origem, quando o pedido vem de um carrinho
+     */
+    createOrder(items: CartItem[], cartId: number | null = null): Order {
+        const result = this.pricing.price(new Cart({ id: cartId, items }));
+        const discountTotal = Money.fromDecimal(result.subtotal).subtract(Money.fromDecimal(result.total));
+
+        return new Order({
+            cart_id: cartId,
+            subtotal: result.subtotal,
+            discount_total: discountTotal.toNumber(),
+            total: result.total,
+            coupon_codes: this.couponCodes,
+            adjustments: result.adjustments.map(adj => ({
+                decorator: adj.decorator,
+                discountId: adj.discountId,
+                discountName: adj.discountName,
+                amount: adj.amount
+            })),
+            items: result.lines.map(line => ({
+                product_id: line.productId as number,
+                product_name: line.name,
+                sku: line.sku,
+                quantity: line.quantity,
+                unit_price: line.unitPrice,
+                final_unit_price: line.finalUnitPrice,
+                line_total: line.lineTotal,
+                adjustments: line.adjustments.map(adj => ({
+                    decorator: adj.decorator,
+                    discountId: adj.discountId,
+                    discountName: adj.discountName,
+                    amount: adj.amount
+                }))
+            }))
+        });
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * Relógio injetável, permite testar regras dependentes de data
+ * de forma determinística
+ */
+export interface Clock {
+    now(): Date;
+}
+
+/**
+ * Relógio do sistema (data/hora atual)
+ */
+export class SystemClock implements Clock {
+    now(): Date {
+        return new Date();
+    }
+}
+
+/**
+ * Relógio fixo em uma data, usado em simulações e testes
+ */
+export class FixedClock implements Clock {
+    private date: Date;
+
+    constructor(date: Date) {
+        this.date = new Date(date.getTime());
+    }
+
+    now(): Date {
+        return new Date(this.date.getTime());
+    }
+}
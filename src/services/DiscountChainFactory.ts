@@ -0,0 +1,111 @@
+import { PriceCalc } from '../models/PriceCalc';
+import { CategoryType } from '../models/Product';
+import { Discount, DiscountType } from '../models/Discount';
+import { StackingPolicy } from '../models/StackingPolicy';
+import { RoundingPolicy } from '../models/RoundingPolicy';
+import { Clock, SystemClock } from './Clock';
+import {
+    BasicPrice,
+    CategoryPercentOff,
+    CouponPercentOff,
+    CategoryFixedAmountOff,
+    CouponFixedAmountOff,
+    ProductFixedAmountOff,
+    ProductPercentOff,
+    StackedDiscounts,
+    DecoratorFactory
+} from './PriceCalculators';
+
+/**
+ * Camada da cadeia: o desconto de origem e a fábrica do decorator que o aplica
+ */
+export interface DiscountLayer {
+    discount: Discount;
+    decorate: DecoratorFactory;
+}
+
+/**
+ * Factory que monta a cadeia de decorators de preço a partir dos
+ * descontos persistidos na tabela discounts
+ */
+export class DiscountChainFactory {
+    /**
+     * Cria o PriceCalc correspondente aos descontos informados, combinados
+     * segundo a política de acúmulo (padrão: compound, sem limite) e arredondados
+     * segundo a política de arredondamento (padrão: half-up a cada etapa).
+     * Descontos de produto vêm primeiro, depois os de categoria e por último
+     * os cupons. Apenas descontos vigentes na data do relógio entram na cadeia;
+     * cupons com código só entram quando o código é informado em couponCodes.
+     * Descontos de carrinho (Discount.isCartLevel) ficam de fora: são aplicados
+     * pelo CartPricingService.
+     */
+    static fromDiscounts(
+        discounts: Discount[],
+        clock: Clock = new SystemClock(),
+        couponCodes: string[] = [],
+        policy: StackingPolicy = new StackingPolicy(),
+        rounding: RoundingPolicy = new RoundingPolicy()
+    ): PriceCalc {
+        const layers = DiscountChainFactory.layers(discounts, clock, couponCodes);
+        return new StackedDiscounts(new BasicPrice(rounding), layers.map(layer => layer.decorate), policy);
+    }
+
+    /**
+     * Retorna as camadas da cadeia, na ordem de aplicação
+     */
+    static layers(discounts: Discount[], clock: Clock = new SystemClock(), couponCodes: string[] = []): DiscountLayer[] {
+        const layers: DiscountLayer[] = [];
+
+        const now = clock.now();
+        const codes = couponCodes.map(code => code.trim().toUpperCase());
+        const active = discounts.filter(d => 
+            !d.isCartLevel() && d.isActiveAt(now) && (!d.hasCode() || codes.includes(String(d.code).toUpperCase()))
+        );
+        const order = [DiscountType.PRODUCT, DiscountType.CATEGORY, DiscountType.COUPON];
+
+        order.forEach(type => {
+            active
+                .filter(d => d.type === type)
+                .forEach(d => {
+                    const decorate = DiscountChainFactory.decoratorFor(d);
+                    if (decorate) {
+                        layers.push({ discount: d, decorate });
+                    }
+                });
+        });
+
+        return layers;
+    }
+
+    /**
+     * Retorna a fábrica do decorator correspondente ao desconto,
+     * ou null quando o desconto não tem decorator aplicável
+     */
+    private static decoratorFor(discount: Discount): DecoratorFactory | null {
+        const fixed = discount.isFixedAmount();
+
+        switch (discount.type) {
+            case DiscountType.CATEGORY: {
+                if (!discount.category) return null;
+                const category = discount.category as CategoryType;
+                // Com include_subcategories o desconto alcança toda a subárvore da categoria
+                const subcategories = discount.include_subcategories ? discount.subcategories : null;
+                return fixed
+                    ? (inner: PriceCalc) => new CategoryFixedAmountOff(inner, category, discount.fixed_amount, subcategories)
+                    : (inner: PriceCalc) => new CategoryPercentOff(inner, category, discount.getFraction(), subcategories);
+            }
+            case DiscountType.COUPON:
+                return fixed
+                    ? (inner: PriceCalc) => new CouponFixedAmountOff(inner, discount.fixed_amount)
+                    : (inner: PriceCalc) => new CouponPercentOff(inner, discount.getFraction());
+            case DiscountType.PRODUCT: {
+                const target = { id: discount.product_id, sku: discount.product_sku };
+                return fixed
+                    ? (inner: PriceCalc) => new ProductFixedAmountOff(inner, target, discount.fixed_amount)
+                    : (inner: PriceCalc) => new ProductPercentOff(inner, target, discount.getFraction());
+            }
+            default:
+                return null;
+        }
+    }
+}
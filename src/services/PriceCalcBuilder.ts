@@ -0,0 +1,457 @@
+import { PriceCalc } from '../models/PriceCalc';
+import { CategoryType } from '../models/Product';
+import { ProductCategory, CategoryTree } from '../models/ProductCategory';
+import { ShippingRules } from '../models/ShippingRules';
+import { TaxRules, TaxRate, TaxDisplay, TaxDisplayValue } from '../models/TaxRules';
+import { RoundingPolicy } from '../models/RoundingPolicy';
+import {
+    BasicPrice,
+    PriceDecorator,
+    CategoryPercentOff,
+    CouponPercentOff,
+    ProductPercentOff,
+    CategoryFixedAmountOff,
+    CouponFixedAmountOff,
+    ProductFixedAmountOff,
+    ShippingDecorator,
+    TaxDecorator
+} from './PriceCalculators';
+
+/**
+ * Descrição declarativa de uma camada da cadeia,
+ * ex.: { "type": "categoryPercentOff", "category": "livros", "percent": 0.1 }.
+ * Etapas por categoria aceitam "includeSubcategories": true para alcançar
+ * também as subcategorias, resolvidas pela árvore de categorias do builder.
+ */
+export interface PriceCalcStepConfig {
+    type: string;
+    [key: string]: unknown;
+}
+
+/**
+ * Descrição declarativa da cadeia completa, da camada mais interna para a mais externa
+ */
+export type PriceCalcConfig = PriceCalcStepConfig[];
+
+/**
+ * Definição de um tipo de decorator no registro: como validar a descrição,
+ * criar o decorator e convertê-lo de volta para a descrição
+ */
+export interface PriceCalcDefinition {
+    /** Tipo usado na descrição JSON */
+    type: string;
+    /** Nome da classe do decorator criado */
+    decorator: string;
+    /** Lista os erros da descrição (vazia quando válida) */
+    validate(config: PriceCalcStepConfig): string[];
+    /** Cria o decorator envolvendo a camada interna */
+    create(inner: PriceCalc, config: PriceCalcStepConfig): PriceDecorator;
+    /** Converte os parâmetros do decorator de volta para a descrição */
+    toConfig(params: Record<string, unknown>): PriceCalcStepConfig;
+}
+
+/**
+ * Valida o percentual como fração (0.1 = 10%)
+ */
+function validatePercent(config: PriceCalcStepConfig): string[] {
+    const percent = config.percent;
+    return typeof percent === 'number' && percent > 0 && percent <= 1
+        ? []
+        : ['"percent" deve ser uma fração entre 0 (exclusivo) e 1, ex.: 0.1 para 10%'];
+}
+
+/**
+ * Valida o valor fixo do desconto
+ */
+function validateAmount(config: PriceCalcStepConfig): string[] {
+    const amount = config.amount;
+    return typeof amount === 'number' && amount > 0
+        ? []
+        : ['"amount" deve ser um número maior que zero'];
+}
+
+/**
+ * Valida o formato da categoria alvo do desconto; a existência é conferida
+ * pelo PriceCalcBuilder com as categorias cadastradas
+ */
+function validateCategory(config: PriceCalcStepConfig): string[] {
+    const errors = ProductCategory.isValidName(config.category)
+        ? []
+        : ['"category" deve ser o identificador de uma categoria, ex.: livros'];
+
+    if (config.includeSubcategories !== undefined && typeof config.includeSubcategories !== 'boolean') {
+        errors.push('"includeSubcategories" deve ser true ou false');
+    }
+
+    const subcategories = config.subcategories;
+    if (subcategories !== undefined &&
+        !(Array.isArray(subcategories) && subcategories.every(name => ProductCategory.isValidName(name)))) {
+        errors.push('"subcategories" deve ser uma lista de identificadores de categoria');
+    }
+
+    return errors;
+}
+
+/**
+ * Subcategorias alcançadas pela etapa (null quando "includeSubcategories" não está ativo)
+ */
+function toSubcategories(config: PriceCalcStepConfig): CategoryType[] | null {
+    return config.includeSubcategories === true ? (config.subcategories as CategoryType[] | undefined) || [] : null;
+}
+
+/**
+ * Devolve categoria e, no modo "incluir subcategorias", as subcategorias resolvidas
+ */
+function fromCategory(params: Record<string, unknown>): Record<string, unknown> {
+    return params.includeSubcategories
+        ? { category: params.category, includeSubcategories: true, subcategories: params.subcategories }
+        : { category: params.category };
+}
+
+/**
+ * Valida o produto alvo do desconto (productId e/ou sku)
+ */
+function validateTarget(config: PriceCalcStepConfig): string[] {
+    const hasId = typeof config.productId === 'number' && config.productId > 0;
+    const hasSku = typeof config.sku === 'string' && config.sku.trim().length > 0;
+    return hasId || hasSku ? [] : ['Informe "productId" ou "sku" do produto'];
+}
+
+/**
+ * Valida as taxas por categoria e o frete grátis (ambos opcionais)
+ */
+function validateShipping(config: PriceCalcStepConfig): string[] {
+    const errors: string[] = [];
+    const rates = config.categoryRates;
+
+    if (rates !== undefined) {
+        const valid = rates !== null && typeof rates === 'object' &&
+            Object.values(rates).every(rate => typeof rate === 'number' && rate >= 0);
+        if (!valid) {
+            errors.push('"categoryRates" deve mapear categorias para taxas maiores ou iguais a zero');
+        }
+    }
+
+    const freeShippingAbove = config.freeShippingAbove;
+    if (freeShippingAbove !== undefined && freeShippingAbove !== null &&
+        !(typeof freeShippingAbove === 'number' && freeShippingAbove >= 0)) {
+        errors.push('"freeShippingAbove" deve ser um número maior ou igual a zero ou null');
+    }
+
+    return errors;
+}
+
+/**
+ * Valida a UF de destino, o modo de exibição e as alíquotas do imposto
+ */
+function validateTax(config: PriceCalcStepConfig): string[] {
+    const errors: string[] = [];
+
+    if (typeof config.uf !== 'string' || !TaxRules.isValidUf(config.uf)) {
+        errors.push('"uf" deve ser uma UF válida, ex.: SP');
+    }
+
+    if (config.display !== undefined && !Object.values(TaxDisplay).includes(config.display as TaxDisplayValue)) {
+        errors.push(`"display" deve ser: ${Object.values(TaxDisplay).join(', ')}`);
+    }
+
+    const rates = Array.isArray(config.rates) ? toTaxRates(config.rates) : null;
+    if (!rates || !new TaxRules(rates).isValid()) {
+        errors.push('"rates" deve ser uma lista de { category, uf?, kind: icms|iss, rate: 0 a 100 }');
+    }
+
+    return errors;
+}
+
+/**
+ * Alíquotas a partir da descrição (uf omitida = todos os estados)
+ */
+function toTaxRates(rates: any[]): TaxRate[] {
+    return rates.map(r => ({
+        category: r && r.category,
+        uf: r && r.uf ? String(r.uf).toUpperCase() : null,
+        kind: r && r.kind,
+        rate: r && r.rate
+    }));
+}
+
+/**
+ * Produto alvo a partir da descrição
+ */
+function toTarget(config: PriceCalcStepConfig): { id: number | null; sku: string | null } {
+    return {
+        id: typeof config.productId === 'number' ? config.productId : null,
+        sku: typeof config.sku === 'string' ? config.sku : null
+    };
+}
+
+/**
+ * Produto alvo na descrição, omitindo os campos não informados
+ */
+function fromTarget(params: Record<string, unknown>): Record<string, unknown> {
+    const target: Record<string, unknown> = {};
+    if (params.productId !== null && params.productId !== undefined) target.productId = params.productId;
+    if (params.sku !== null && params.sku !== undefined) target.sku = params.sku;
+    return target;
+}
+
+/**
+ * Tipos de decorator disponíveis por padrão
+ */
+const DEFAULT_DEFINITIONS: PriceCalcDefinition[] = [
+    {
+        type: 'categoryPercentOff',
+        decorator: 'CategoryPercentOff',
+        validate: config => [...validateCategory(config), ...validatePercent(config)],
+        create: (inner, config) => new CategoryPercentOff(inner, config.category as CategoryType, config.percent as number, toSubcategories(config)),
+        toConfig: params => ({ type: 'categoryPercentOff', ...fromCategory(params), percent: params.percent })
+    },
+    {
+        type: 'couponPercentOff',
+        decorator: 'CouponPercentOff',
+        validate: validatePercent,
+        create: (inner, config) => new CouponPercentOff(inner, config.percent as number),
+        toConfig: params => ({ type: 'couponPercentOff', percent: params.percent })
+    },
+    {
+        type: 'productPercentOff',
+        decorator: 'ProductPercentOff',
+        validate: config => [...validateTarget(config), ...validatePercent(config)],
+        create: (inner, config) => new ProductPercentOff(inner, toTarget(config), config.percent as number),
+        toConfig: params => ({ type: 'productPercentOff', ...fromTarget(params), percent: params.percent })
+    },
+    {
+        type: 'categoryFixedAmountOff',
+        decorator: 'CategoryFixedAmountOff',
+        validate: config => [...validateCategory(config), ...validateAmount(config)],
+        create: (inner, config) => new CategoryFixedAmountOff(inner, config.category as CategoryType, config.amount as number, toSubcategories(config)),
+        toConfig: params => ({ type: 'categoryFixedAmountOff', ...fromCategory(params), amount: params.amount })
+    },
+    {
+        type: 'couponFixedAmountOff',
+        decorator: 'CouponFixedAmountOff',
+        validate: validateAmount,
+        create: (inner, config) => new CouponFixedAmountOff(inner, config.amount as number),
+        toConfig: params => ({ type: 'couponFixedAmountOff', amount: params.amount })
+    },
+    {
+        type: 'productFixedAmountOff',
+        decorator: 'ProductFixedAmountOff',
+        validate: config => [...validateTarget(config), ...validateAmount(config)],
+        create: (inner, config) => new ProductFixedAmountOff(inner, toTarget(config), config.amount as number),
+        toConfig: params => ({ type: 'productFixedAmountOff', ...fromTarget(params), amount: params.amount })
+    },
+    {
+        type: 'shipping',
+        decorator: 'ShippingDecorator',
+        validate: validateShipping,
+        create: (inner, config) => new ShippingDecorator(inner, new ShippingRules({
+            categoryRates: (config.categoryRates as Record<string, number>) || ShippingRules.defaults().categoryRates,
+            freeShippingAbove: config.freeShippingAbove as number | null | undefined
+        })),
+        toConfig: params => ({
+            type: 'shipping',
+            categoryRates: params.categoryRates,
+            freeShippingAbove: params.freeShippingAbove
+        })
+    },
+    {
+        type: 'tax',
+        decorator: 'TaxDecorator',
+        validate: validateTax,
+        create: (inner, config) => new TaxDecorator(
+            inner,
+            new TaxRules(toTaxRates(config.rates as any[])),
+            config.uf as string,
+            (config.display as string) || TaxDisplay.EXCLUSIVE
+        ),
+        toConfig: params => ({ type: 'tax', uf: params.uf, display: params.display, rates: params.rates })
+    }
+];
+
+/**
+ * Registro dos tipos de decorator que podem ser usados na descrição declarativa
+ */
+export class PriceCalcRegistry {
+    private byType = new Map<string, PriceCalcDefinition>();
+    private byDecorator = new Map<string, PriceCalcDefinition>();
+
+    constructor(definitions: PriceCalcDefinition[] = DEFAULT_DEFINITIONS) {
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Registra (ou substitui) um tipo de decorator
+     */
+    register(definition: PriceCalcDefinition): void {
+        this.byType.set(definition.type, definition);
+        this.byDecorator.set(definition.decorator, definition);
+    }
+
+    /**
+     * Definição pelo tipo usado na descrição
+     */
+    get(type: string): PriceCalcDefinition | undefined {
+        return this.byType.get(type);
+    }
+
+    /**
+     * Definição pelo nome da classe do decorator
+     */
+    findByDecorator(decorator: string): PriceCalcDefinition | undefined {
+        return this.byDecorator.get(decorator);
+    }
+
+    /**
+     * Tipos registrados
+     */
+    getTypes(): string[] {
+        return Array.from(this.byType.keys());
+    }
+}
+
+/**
+ * Builder que monta a cadeia de decorators a partir de uma descrição JSON
+ * e converte uma cadeia existente de volta para a descrição
+ */
+export class PriceCalcBuilder {
+    private registry: PriceCalcRegistry;
+    private categories: string[] | null;
+    private tree: CategoryTree | null = null;
+
+    /**
+     * @param categories - Categorias cadastradas (CategoryRepository.findNames); quando
+     *        informadas, etapas com "category" só aceitam uma delas
+     */
+    constructor(registry: PriceCalcRegistry = new PriceCalcRegistry(), categories: string[] | null = null) {
+        this.registry = registry;
+        this.categories = categories;
+    }
+
+    /**
+     * Atualiza as categorias cadastradas (ex.: depois de criar uma categoria)
+     */
+    setCategories(categories: string[] | null): void {
+        this.categories = categories;
+    }
+
+    /**
+     * Atualiza a árvore de categorias (CategoryRepository.findTree), usada para
+     * validar as categorias e resolver as subcategorias das etapas com
+     * "includeSubcategories"
+     */
+    setCategoryTree(tree: CategoryTree | null): void {
+        this.tree = tree;
+        this.categories = tree ? tree.names() : null;
+    }
+
+    /**
+     * Preenche "subcategories" das etapas com "includeSubcategories" a partir da
+     * árvore atual; sem árvore vale a lista informada na própria etapa
+     */
+    private resolveSubcategories(step: PriceCalcStepConfig): PriceCalcStepConfig {
+        if (!this.tree || step.includeSubcategories !== true || typeof step.category !== 'string') {
+            return step;
+        }
+
+        return { ...step, subcategories: this.tree.descendantsOf(step.category) };
+    }
+
+    /**
+     * Valida a descrição e retorna a lista de erros (vazia quando válida)
+     */
+    validate(config: unknown): string[] {
+        if (!Array.isArray(config)) {
+            return ['A descrição deve ser uma lista de etapas'];
+        }
+
+        const errors: string[] = [];
+
+        config.forEach((step, index) => {
+            if (!step || typeof step !== 'object' || typeof step.type !== 'string') {
+                errors.push(`Etapa ${index + 1}: "type" é obrigatório`);
+                return;
+            }
+
+            const definition = this.registry.get(step.type);
+            if (!definition) {
+                errors.push(`Etapa ${index + 1}: tipo "${step.type}" desconhecido (tipos: ${this.registry.getTypes().join(', ')})`);
+                return;
+            }
+
+            definition.validate(step).forEach(error => errors.push(`Etapa ${index + 1} (${step.type}): ${error}`));
+
+            if (this.categories && typeof step.category === 'string' && ProductCategory.isValidName(step.category) &&
+                !this.categories.includes(step.category)) {
+                errors.push(`Etapa ${index + 1} (${step.type}): categoria "${step.category}" não cadastrada (categorias: ${this.categories.join(', ')})`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Monta a cadeia sobre o BasicPrice, na ordem da descrição, com a política
+     * de arredondamento informada. Lança erro com todas as mensagens de
+     * validação quando a descrição é inválida.
+     */
+    build(config: unknown, rounding: RoundingPolicy = new RoundingPolicy()): PriceCalc {
+        const errors = this.validate(config);
+        if (errors.length > 0) {
+            throw new Error(`Descrição de preço inválida: ${errors.join('; ')}`);
+        }
+
+        return (config as PriceCalcConfig).reduce(
+            (calc: PriceCalc, step) => this.registry.get(step.type)!.create(calc, this.resolveSubcategories(step)),
+            new BasicPrice(rounding)
+        );
+    }
+
+    /**
+     * Monta a cadeia a partir do texto JSON (ex.: conteúdo de arquivo ou coluna do banco)
+     */
+    fromJSON(json: string, rounding: RoundingPolicy = new RoundingPolicy()): PriceCalc {
+        let config: unknown;
+
+        try {
+            config = JSON.parse(json);
+        } catch (error: any) {
+            throw new Error(`Descrição de preço inválida: JSON malformado (${error.message})`);
+        }
+
+        return this.build(config, rounding);
+    }
+
+    /**
+     * Converte a cadeia de volta para a descrição, da camada mais interna para a mais externa
+     */
+    serialize(calc: PriceCalc): PriceCalcConfig {
+        const config: PriceCalcConfig = [];
+        let current = calc;
+
+        while (current instanceof PriceDecorator) {
+            const { decorator, params } = current.describe();
+            const definition = this.registry.findByDecorator(decorator);
+
+            if (!definition) {
+                throw new Error(`Decorator ${decorator} não pode ser serializado`);
+            }
+
+            config.unshift(definition.toConfig(params));
+            current = current.getInner();
+        }
+
+        if (!(current instanceof BasicPrice)) {
+            throw new Error('A cadeia deve começar em BasicPrice para ser serializada');
+        }
+
+        return config;
+    }
+
+    /**
+     * Converte a cadeia para texto JSON
+     */
+    toJSON(calc: PriceCalc): string {
+        return JSON.stringify(this.serialize(calc));
+    }
+}
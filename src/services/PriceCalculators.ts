@@ -1,13 +1,42 @@
-import { PriceCalc } from '../models/PriceCalc';
-import { Product, Category, CategoryType } from '../models/Product';
+import { PriceCalc, PriceStep } from '../models/PriceCalc';
+import { Product, CategoryType } from '../models/Product';
+import { StackingPolicy, StackingMode } from '../models/StackingPolicy';
+import { ShippingRules } from '../models/ShippingRules';
+import { TaxRules, TaxLine, TaxDisplay } from '../models/TaxRules';
+import { Money } from '../models/Money';
+import { RoundingPolicy } from '../models/RoundingPolicy';
 
 /**
  * Implementação básica da interface PriceCalc
- * Retorna o preço original do produto
+ * Retorna o preço original do produto e define a política de arredondamento da cadeia
  */
 export class BasicPrice implements PriceCalc {
+    private rounding: RoundingPolicy;
+
+    constructor(rounding: RoundingPolicy = new RoundingPolicy()) {
+        this.rounding = rounding;
+    }
+
     total(p: Product): number {
-        return p.price;
+        return this.money(p).toNumber();
+    }
+
+    money(p: Product): Money {
+        return p.getPrice();
+    }
+
+    getRounding(): RoundingPolicy {
+        return this.rounding;
+    }
+
+    explain(p: Product): PriceStep[] {
+        return [{
+            decorator: 'BasicPrice',
+            params: {},
+            inputPrice: p.price,
+            outputPrice: p.price,
+            applied: true
+        }];
     }
 }
 
@@ -27,34 +56,152 @@ export abstract class PriceDecorator implements PriceCalc {
      * Método abstrato que deve ser implementado pelas classes filhas
      * para definir como o preço será calculado
      * @param p - O produto para calcular o preço
-     * @returns O preço total como número decimal
+     * @returns O preço da etapa, arredondado segundo a política da cadeia
+     */
+    abstract money(p: Product): Money;
+
+    /**
+     * Preço final com o arredondamento final da política
      */
-    abstract total(p: Product): number;
+    total(p: Product): number {
+        return this.getRounding().finalize(this.money(p)).toNumber();
+    }
+
+    /**
+     * A política de arredondamento vem da raiz da cadeia (BasicPrice)
+     */
+    getRounding(): RoundingPolicy {
+        return this.inner.getRounding();
+    }
+
+    /**
+     * Explica o cálculo: etapas da cadeia interna seguidas da etapa deste decorator
+     * @param p - O produto para calcular o preço
+     * @returns As etapas na ordem de aplicação
+     */
+    explain(p: Product): PriceStep[] {
+        const steps = this.inner.explain(p);
+        const skipReason = this.getSkipReason(p);
+
+        const step: PriceStep = {
+            decorator: this.constructor.name,
+            params: this.getParams(),
+            inputPrice: this.inner.money(p).toNumber(),
+            outputPrice: this.money(p).toNumber(),
+            applied: skipReason === null
+        };
+
+        if (skipReason !== null) {
+            step.reason = skipReason;
+        }
+
+        steps.push(step);
+        return steps;
+    }
+
+    /**
+     * Camada interna envolvida por este decorator
+     */
+    getInner(): PriceCalc {
+        return this.inner;
+    }
+
+    /**
+     * Nome e parâmetros do decorator, usados para serializar a cadeia
+     */
+    describe(): { decorator: string; params: Record<string, unknown> } {
+        return { decorator: this.constructor.name, params: this.getParams() };
+    }
+
+    /**
+     * Parâmetros de configuração do decorator, usados no modo explain
+     */
+    protected abstract getParams(): Record<string, unknown>;
+
+    /**
+     * Motivo pelo qual o decorator não se aplica ao produto, ou null se ele se aplica
+     */
+    protected getSkipReason(p: Product): string | null {
+        return null;
+    }
+}
+
+/**
+ * Subtrai um percentual do preço como a procedure sp_apply_discount_to_product:
+ * o valor do desconto é arredondado (na política por etapa) e depois subtraído
+ */
+function subtractPercent(price: Money, percent: number, rounding: RoundingPolicy): Money {
+    const discount = rounding.step(price.multiply(percent));
+    return price.subtract(discount).max(Money.zero());
+}
+
+/**
+ * Categoria alvo dos decorators de categoria. Com subcategories (modo "incluir
+ * subcategorias") o desconto também vale para as subcategorias informadas.
+ */
+class CategoryTarget {
+    private category: CategoryType;
+    private subcategories: CategoryType[] | null;
+
+    constructor(category: CategoryType, subcategories: CategoryType[] | null = null) {
+        this.category = category;
+        this.subcategories = subcategories;
+    }
+
+    matches(p: Product): boolean {
+        return p.category === this.category ||
+            (this.subcategories !== null && this.subcategories.includes(p.category));
+    }
+
+    getParams(): Record<string, unknown> {
+        return this.subcategories === null
+            ? { category: this.category }
+            : { category: this.category, includeSubcategories: true, subcategories: this.subcategories };
+    }
+
+    getSkipReason(p: Product): string | null {
+        if (this.matches(p)) {
+            return null;
+        }
+
+        return this.subcategories === null
+            ? `Categoria do produto (${p.category}) diferente de ${this.category}`
+            : `Categoria do produto (${p.category}) fora de ${this.category} e suas subcategorias`;
+    }
 }
 
 /**
  * Decorator que aplica desconto percentual para uma categoria específica
+ * (e, opcionalmente, para as suas subcategorias)
  */
 export class CategoryPercentOff extends PriceDecorator {
-    private category: CategoryType;
+    private target: CategoryTarget;
     private percent: number;
 
-    constructor(inner: PriceCalc, category: CategoryType, percent: number) {
+    constructor(inner: PriceCalc, category: CategoryType, percent: number, subcategories: CategoryType[] | null = null) {
         super(inner);
-        this.category = category;
+        this.target = new CategoryTarget(category, subcategories);
         this.percent = percent;
     }
 
-    total(p: Product): number {
-        const basePrice = this.inner.total(p);
+    money(p: Product): Money {
+        const basePrice = this.inner.money(p);
         
-        // Aplica desconto apenas se a categoria do produto for igual à categoria do decorator
-        if (p.category === this.category) {
-            return basePrice * (1 - this.percent);
+        // Aplica desconto apenas se o produto estiver na categoria do decorator
+        if (this.target.matches(p)) {
+            return subtractPercent(basePrice, this.percent, this.getRounding());
         }
         
         return basePrice;
     }
+
+    protected getParams(): Record<string, unknown> {
+        return { ...this.target.getParams(), percent: this.percent };
+    }
+
+    protected getSkipReason(p: Product): string | null {
+        return this.target.getSkipReason(p);
+    }
 }
 
 /**
@@ -68,35 +215,366 @@ export class CouponPercentOff extends PriceDecorator {
         this.percent = percent;
     }
 
-    total(p: Product): number {
-        const basePrice = this.inner.total(p);
-        return basePrice * (1 - this.percent);
+    money(p: Product): Money {
+        return subtractPercent(this.inner.money(p), this.percent, this.getRounding());
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return { percent: this.percent };
+    }
+}
+
+/**
+ * Identificação de um produto específico, por id e/ou SKU
+ */
+export interface ProductTarget {
+    id?: number | null;
+    sku?: string | null;
+}
+
+/**
+ * Verifica se o produto corresponde ao alvo (id ou SKU)
+ */
+export function matchesProduct(p: Product, target: ProductTarget): boolean {
+    if (target.id && p.id === target.id) {
+        return true;
+    }
+
+    return Boolean(target.sku) && p.sku === target.sku;
+}
+
+/**
+ * Decorator que aplica desconto percentual a um único produto (por id ou SKU)
+ */
+export class ProductPercentOff extends PriceDecorator {
+    private target: ProductTarget;
+    private percent: number;
+
+    constructor(inner: PriceCalc, target: ProductTarget, percent: number) {
+        super(inner);
+        this.target = target;
+        this.percent = percent;
+    }
+
+    money(p: Product): Money {
+        const basePrice = this.inner.money(p);
+
+        if (matchesProduct(p, this.target)) {
+            return subtractPercent(basePrice, this.percent, this.getRounding());
+        }
+
+        return basePrice;
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return { productId: this.target.id ?? null, sku: this.target.sku ?? null, percent: this.percent };
+    }
+
+    protected getSkipReason(p: Product): string | null {
+        return matchesProduct(p, this.target) ? null : 'Produto diferente do alvo do desconto';
     }
 }
 
 /**
- * Decorator que adiciona uma taxa de frete baseada na categoria do produto
+ * Subtrai um valor fixo do preço sem deixá-lo negativo
+ */
+function subtractClamped(price: Money, amount: number): Money {
+    return price.subtract(Money.fromDecimal(amount)).max(Money.zero());
+}
+
+/**
+ * Decorator que aplica desconto de valor fixo para uma categoria específica
+ * (e, opcionalmente, para as suas subcategorias)
+ */
+export class CategoryFixedAmountOff extends PriceDecorator {
+    private target: CategoryTarget;
+    private amount: number;
+
+    constructor(inner: PriceCalc, category: CategoryType, amount: number, subcategories: CategoryType[] | null = null) {
+        super(inner);
+        this.target = new CategoryTarget(category, subcategories);
+        this.amount = amount;
+    }
+
+    money(p: Product): Money {
+        const basePrice = this.inner.money(p);
+
+        if (this.target.matches(p)) {
+            return subtractClamped(basePrice, this.amount);
+        }
+
+        return basePrice;
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return { ...this.target.getParams(), amount: this.amount };
+    }
+
+    protected getSkipReason(p: Product): string | null {
+        return this.target.getSkipReason(p);
+    }
+}
+
+/**
+ * Decorator que aplica desconto de valor fixo usando cupom
+ */
+export class CouponFixedAmountOff extends PriceDecorator {
+    private amount: number;
+
+    constructor(inner: PriceCalc, amount: number) {
+        super(inner);
+        this.amount = amount;
+    }
+
+    money(p: Product): Money {
+        return subtractClamped(this.inner.money(p), this.amount);
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return { amount: this.amount };
+    }
+}
+
+/**
+ * Decorator que aplica desconto de valor fixo a um único produto (por id ou SKU)
+ */
+export class ProductFixedAmountOff extends PriceDecorator {
+    private target: ProductTarget;
+    private amount: number;
+
+    constructor(inner: PriceCalc, target: ProductTarget, amount: number) {
+        super(inner);
+        this.target = target;
+        this.amount = amount;
+    }
+
+    money(p: Product): Money {
+        const basePrice = this.inner.money(p);
+
+        if (matchesProduct(p, this.target)) {
+            return subtractClamped(basePrice, this.amount);
+        }
+
+        return basePrice;
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return { productId: this.target.id ?? null, sku: this.target.sku ?? null, amount: this.amount };
+    }
+
+    protected getSkipReason(p: Product): string | null {
+        return matchesProduct(p, this.target) ? null : 'Produto diferente do alvo do desconto';
+    }
+}
+
+/**
+ * Decorator que adiciona a taxa de frete de uma unidade do produto,
+ * segundo as regras de frete (taxa por categoria e frete grátis acima de um valor).
+ * Acréscimos por peso e CEP dependem do pedido e ficam na cotação do ShippingService.
  */
 export class ShippingDecorator extends PriceDecorator {
-    total(p: Product): number {
-        const basePrice = this.inner.total(p);
-        let shippingCost = 0;
-
-        // Taxa de frete baseada na categoria
-        switch (p.category) {
-            case Category.ELETRONICOS:
-                shippingCost = 25.00; // Produtos eletrônicos são mais pesados
-                break;
-            case Category.LIVROS:
-                shippingCost = 10.00; // Livros têm frete moderado
-                break;
-            case Category.ALIMENTOS:
-                shippingCost = 15.00; // Alimentos podem precisar refrigeração
-                break;
+    private rules: ShippingRules;
+
+    constructor(inner: PriceCalc, rules: ShippingRules = ShippingRules.defaults()) {
+        super(inner);
+        this.rules = rules;
+    }
+
+    money(p: Product): Money {
+        return this.inner.money(p).add(Money.fromDecimal(this.getShippingCost(p)));
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return { categoryRates: this.rules.categoryRates, freeShippingAbove: this.rules.freeShippingAbove };
+    }
+
+    protected getSkipReason(p: Product): string | null {
+        if (this.rules.isFreeShipping(this.inner.money(p).toNumber())) {
+            return `Frete grátis acima de R$ ${this.rules.freeShippingAbove!.toFixed(2)}`;
+        }
+
+        return this.getShippingCost(p) > 0 ? null : `Sem frete configurado para a categoria ${p.category}`;
+    }
+
+    /**
+     * Taxa de frete da categoria, ou zero quando o preço dá direito a frete grátis
+     */
+    private getShippingCost(p: Product): number {
+        return this.rules.isFreeShipping(this.inner.money(p).toNumber()) ? 0 : this.rules.rateFor(p.category);
+    }
+}
+
+/**
+ * Decorator de impostos (ICMS/ISS) com alíquotas por categoria e UF de destino.
+ * Na exibição inclusive o imposto é somado ao preço; na exclusive o preço
+ * fica sem imposto. Nos dois casos os impostos são detalhados na etapa do explain.
+ */
+export class TaxDecorator extends PriceDecorator {
+    private rules: TaxRules;
+    private uf: string;
+    private display: string;
+
+    constructor(inner: PriceCalc, rules: TaxRules, uf: string, display: string = TaxDisplay.EXCLUSIVE) {
+        super(inner);
+        this.rules = rules;
+        this.uf = uf.toUpperCase();
+        this.display = display;
+    }
+
+    money(p: Product): Money {
+        const basePrice = this.inner.money(p);
+
+        if (this.display !== TaxDisplay.INCLUSIVE) {
+            return basePrice;
         }
 
-        return basePrice + shippingCost;
+        return basePrice.add(Money.sum(this.getTaxes(p).map(tax => Money.fromDecimal(tax.amount))));
+    }
+
+    /**
+     * Impostos sobre o preço da camada interna, em centavos (base e valores
+     * são sempre arredondados, pois vão para o documento fiscal)
+     */
+    getTaxes(p: Product): TaxLine[] {
+        const rounding = this.getRounding();
+        return this.rules.calculate(p.category, this.uf, rounding.finalize(this.inner.money(p)), rounding.mode);
+    }
+
+    explain(p: Product): PriceStep[] {
+        const steps = super.explain(p);
+        steps[steps.length - 1].taxes = this.getTaxes(p);
+        return steps;
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return { uf: this.uf, display: this.display, rates: this.rules.rates };
+    }
+
+    protected getSkipReason(p: Product): string | null {
+        return this.getTaxes(p).length > 0
+            ? null
+            : `Sem imposto configurado para a categoria ${p.category} em ${this.uf}`;
     }
 }
 
+/**
+ * Fábrica de decorator: envolve um PriceCalc com um desconto
+ */
+export type DecoratorFactory = (inner: PriceCalc) => PriceCalc;
+
+/**
+ * Composite que combina vários decorators de desconto segundo uma política
+ * de acúmulo: encadeados (compound), somados (additive) ou apenas o maior
+ * (best), respeitando o desconto total máximo da política, se houver.
+ */
+export class StackedDiscounts extends PriceDecorator {
+    private policy: StackingPolicy;
+    private chain: PriceCalc;
+    private individual: PriceCalc[];
+
+    constructor(inner: PriceCalc, factories: DecoratorFactory[], policy: StackingPolicy = new StackingPolicy()) {
+        super(inner);
+        this.policy = policy;
+        // Todos os descontos encadeados sobre o preço base (modo compound)
+        this.chain = factories.reduce((calc: PriceCalc, factory) => factory(calc), inner);
+        // Cada desconto isoladamente sobre o preço base (modos additive e best)
+        this.individual = factories.map(factory => factory(inner));
+    }
+
+    money(p: Product): Money {
+        const basePrice = this.inner.money(p);
+        return this.applyCap(basePrice, this.combine(p, basePrice));
+    }
+
+    /**
+     * Explica o cálculo: etapas internas, uma etapa por desconto e, por último,
+     * a etapa do limite máximo de desconto
+     */
+    explain(p: Product): PriceStep[] {
+        const steps = this.inner.explain(p);
+        const basePrice = this.inner.money(p);
+        const discountSteps = this.explainDiscounts(p, basePrice, steps.length);
+        const combined = discountSteps.length > 0
+            ? Money.fromDecimal(discountSteps[discountSteps.length - 1].outputPrice)
+            : basePrice;
+        const finalPrice = this.applyCap(basePrice, combined);
+
+        const capStep: PriceStep = {
+            decorator: this.constructor.name,
+            params: this.getParams(),
+            inputPrice: combined.toNumber(),
+            outputPrice: finalPrice.toNumber(),
+            applied: !finalPrice.equals(combined)
+        };
+
+        if (!capStep.applied) {
+            capStep.reason = this.policy.maxDiscountPercent === null
+                ? 'Sem limite máximo de desconto'
+                : 'Limite máximo de desconto não atingido';
+        }
+
+        return [...steps, ...discountSteps, capStep];
+    }
+
+    protected getParams(): Record<string, unknown> {
+        return { mode: this.policy.mode, maxDiscountPercent: this.policy.maxDiscountPercent };
+    }
+
+    /**
+     * Preço após combinar os descontos segundo o modo da política
+     */
+    private combine(p: Product, basePrice: Money): Money {
+        switch (this.policy.mode) {
+            case StackingMode.ADDITIVE: {
+                const totalDiscount = Money.sum(this.individual.map(calc => basePrice.subtract(calc.money(p))));
+                return basePrice.subtract(totalDiscount).max(Money.zero());
+            }
+            case StackingMode.BEST:
+                return this.individual.reduce((best, calc) => best.min(calc.money(p)), basePrice);
+            default:
+                return this.chain.money(p);
+        }
+    }
+
+    /**
+     * Etapas de cada desconto, coerentes com o modo da política
+     */
+    private explainDiscounts(p: Product, basePrice: Money, innerStepCount: number): PriceStep[] {
+        if (this.policy.mode !== StackingMode.ADDITIVE && this.policy.mode !== StackingMode.BEST) {
+            return this.chain.explain(p).slice(innerStepCount);
+        }
+
+        const prices = this.individual.map(calc => calc.money(p));
+        const bestIndex = prices.reduce((best, price, index) => price.compareTo(prices[best]) < 0 ? index : best, 0);
+        let running = basePrice;
+
+        return this.individual.map((calc, index) => {
+            const own = calc.explain(p)[innerStepCount];
+            const amount = basePrice.subtract(prices[index]);
+            const counts = this.policy.mode === StackingMode.ADDITIVE || index === bestIndex;
+            const step: PriceStep = { ...own, inputPrice: running.toNumber() };
+
+            if (counts) {
+                running = running.subtract(amount).max(Money.zero());
+            } else if (own.applied) {
+                step.applied = false;
+                step.reason = 'Desconto menor que o melhor desconto disponível';
+            }
+
+            step.outputPrice = running.toNumber();
+            return step;
+        });
+    }
 
+    /**
+     * Garante que o desconto total não passe do máximo da política
+     */
+    private applyCap(basePrice: Money, price: Money): Money {
+        if (this.policy.maxDiscountPercent === null) {
+            return price;
+        }
+
+        const floor = this.getRounding().step(basePrice.multiply(1 - this.policy.maxDiscountPercent / 100));
+        return price.max(floor);
+    }
+}
@@ -0,0 +1,135 @@
+import { PriceChangeContext } from '../models/PriceHistory';
+import { ScheduledPriceChange, SCHEDULED_CHANGE_REASON } from '../models/ScheduledPriceChange';
+import { Clock, SystemClock } from './Clock';
+
+/**
+ * Resultado das operações dos repositórios usados pelo agendador
+ */
+interface StoreResult {
+    success: boolean;
+    affectedRows?: number;
+    error?: string;
+}
+
+/**
+ * Fila de alterações agendadas (ScheduledPriceChangeRepository)
+ */
+export interface ScheduledChangeStore {
+    findDue(now: Date): Promise<StoreResult & { data?: ScheduledPriceChange[] }>;
+    /** Altera o preço e marca como aplicada atomicamente (affectedRows = 0 se não estava pendente) */
+    apply(id: number, context: PriceChangeContext): Promise<StoreResult>;
+    markFailed(id: number, error: string): Promise<StoreResult>;
+}
+
+/**
+ * Resumo de uma execução do agendador
+ */
+export interface SchedulerRun {
+    applied: number[];
+    failed: { id: number; error: string }[];
+}
+
+/**
+ * Agendador de alterações de preço, executado no próprio processo do servidor.
+ * A cada intervalo aplica, via ScheduledPriceChangeRepository.apply, as alterações
+ * pendentes cuja vigência já chegou segundo o relógio (injetável para testes e simulações).
+ */
+export class PriceScheduler {
+    private changes: ScheduledChangeStore;
+    private clock: Clock;
+    private timer: ReturnType<typeof setInterval> | null;
+    private running: boolean;
+
+    constructor(changes: ScheduledChangeStore, clock: Clock = new SystemClock()) {
+        this.changes = changes;
+        this.clock = clock;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Inicia a verificação periódica; a primeira execução é imediata para aplicar
+     * alterações que venceram enquanto o servidor estava parado
+     */
+    start(intervalMs: number = 60000): void {
+        if (this.timer) {
+            return;
+        }
+
+        const tick = () => {
+            this.runDue().catch(error => console.error('Erro no agendador de preços:', error));
+        };
+
+        this.timer = setInterval(tick, intervalMs);
+        // Não impede o processo de encerrar
+        if (typeof this.timer.unref === 'function') {
+            this.timer.unref();
+        }
+        tick();
+    }
+
+    /**
+     * Interrompe a verificação periódica
+     */
+    stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Aplica as alterações pendentes com vigência até agora, na ordem de vigência.
+     * Cada alteração só é aplicada se ainda estiver pendente (sob bloqueio), de
+     * modo que uma alteração cancelada nesse meio-tempo não é aplicada nem repetida.
+     */
+    async runDue(): Promise<SchedulerRun> {
+        const run: SchedulerRun = { applied: [], failed: [] };
+
+        if (this.running) {
+            return run;
+        }
+
+        this.running = true;
+        try {
+            const due = await this.changes.findDue(this.clock.now());
+            if (!due.success || !due.data) {
+                throw new Error(due.error || 'Erro ao buscar alterações agendadas');
+            }
+
+            for (const change of due.data) {
+                const error = await this.apply(change);
+                if (error === null) {
+                    run.applied.push(change.id as number);
+                } else if (error !== undefined) {
+                    run.failed.push({ id: change.id as number, error });
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        return run;
+    }
+
+    /**
+     * Aplica uma alteração. Retorna null quando aplicada, a mensagem de erro
+     * quando falhou (a alteração é marcada como falha) e undefined quando ela
+     * deixou de estar pendente.
+     */
+    private async apply(change: ScheduledPriceChange): Promise<string | null | undefined> {
+        const id = change.id as number;
+        const result = await this.changes.apply(id, {
+            user: change.created_by || 'scheduler',
+            reason: SCHEDULED_CHANGE_REASON
+        });
+
+        if (result.success) {
+            return result.affectedRows ? null : undefined;
+        }
+
+        const error = result.error || 'Erro ao atualizar produto';
+        await this.changes.markFailed(id, error);
+        return error;
+    }
+}
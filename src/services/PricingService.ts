@@ -0,0 +1,151 @@
+import { Product } from '../models/Product';
+import { PriceCalc, PriceStep } from '../models/PriceCalc';
+import { Discount } from '../models/Discount';
+import { StackingPolicy } from '../models/StackingPolicy';
+import { RoundingPolicy } from '../models/RoundingPolicy';
+import { Money } from '../models/Money';
+import { TaxRules, TaxLine, TaxDisplay } from '../models/TaxRules';
+import { DiscountChainFactory, DiscountLayer } from './DiscountChainFactory';
+import { Clock, SystemClock } from './Clock';
+import { TaxDecorator } from './PriceCalculators';
+
+/**
+ * Ajuste de preço feito por um decorator da cadeia
+ */
+export interface PriceAdjustment {
+    decorator: string;
+    discountId: number | null;
+    discountName: string;
+    amount: number;
+    priceAfter: number;
+}
+
+/**
+ * Resultado do cálculo de preço de um produto
+ */
+export interface PricingResult {
+    originalPrice: number;
+    finalPrice: number;
+    adjustments: PriceAdjustment[];
+    /** Impostos detalhados (vazio quando não há UF de destino) */
+    taxes: TaxLine[];
+    /** Exibição do imposto no finalPrice (null quando não há UF de destino) */
+    taxDisplay: string | null;
+    steps: PriceStep[];
+}
+
+/**
+ * Impostos a calcular: alíquotas, UF de destino e modo de exibição
+ */
+export interface TaxOptions {
+    rules: TaxRules;
+    uf: string;
+    display?: string;
+}
+
+/**
+ * Variação de preço de uma etapa, em reais
+ */
+function difference(step: PriceStep): number {
+    return Money.fromDecimal(step.outputPrice).subtract(Money.fromDecimal(step.inputPrice)).toNumber();
+}
+
+/**
+ * Opções do serviço de precificação
+ */
+export interface PricingOptions {
+    clock?: Clock;
+    couponCodes?: string[];
+    policy?: StackingPolicy;
+    rounding?: RoundingPolicy;
+    tax?: TaxOptions | null;
+}
+
+/**
+ * Serviço de precificação no servidor
+ * Centraliza a cadeia de decorators montada a partir dos descontos vigentes
+ */
+export class PricingService {
+    private layers: DiscountLayer[];
+    private calculator: PriceCalc;
+    private policy: StackingPolicy;
+    private taxDisplay: string | null;
+
+    constructor(discounts: Discount[] = [], options: PricingOptions = {}) {
+        const clock = options.clock || new SystemClock();
+        const couponCodes = options.couponCodes || [];
+        this.policy = options.policy || new StackingPolicy();
+        this.layers = DiscountChainFactory.layers(discounts, clock, couponCodes);
+        this.calculator = DiscountChainFactory.fromDiscounts(
+            discounts, clock, couponCodes, this.policy, options.rounding || new RoundingPolicy()
+        );
+        this.taxDisplay = null;
+
+        // Impostos incidem sobre o preço já com descontos
+        if (options.tax) {
+            this.taxDisplay = options.tax.display || TaxDisplay.EXCLUSIVE;
+            this.calculator = new TaxDecorator(this.calculator, options.tax.rules, options.tax.uf, this.taxDisplay);
+        }
+    }
+
+    /**
+     * Política de acúmulo usada no cálculo
+     */
+    getPolicy(): StackingPolicy {
+        return this.policy;
+    }
+
+    /**
+     * Preço final do produto com todos os descontos aplicados
+     */
+    total(product: Product): number {
+        return this.calculator.total(product);
+    }
+
+    /**
+     * Calcula o preço do produto detalhando, em ordem, os decorators
+     * que alteraram o valor e em quanto
+     */
+    price(product: Product): PricingResult {
+        const steps = this.calculator.explain(product);
+        const adjustments: PriceAdjustment[] = [];
+
+        // steps[0] é o BasicPrice, seguido de uma etapa por camada, da etapa
+        // do limite de desconto da política e, por último, da etapa de impostos
+        this.layers.forEach((layer, index) => {
+            const step = steps[index + 1];
+
+            if (step.applied && step.outputPrice !== step.inputPrice) {
+                adjustments.push({
+                    decorator: step.decorator,
+                    discountId: layer.discount.id,
+                    discountName: layer.discount.name,
+                    amount: difference(step),
+                    priceAfter: step.outputPrice
+                });
+            }
+        });
+
+        const capStep = steps[this.layers.length + 1];
+        if (capStep.applied) {
+            adjustments.push({
+                decorator: capStep.decorator,
+                discountId: null,
+                discountName: 'Limite máximo de desconto',
+                amount: difference(capStep),
+                priceAfter: capStep.outputPrice
+            });
+        }
+
+        const taxStep = this.taxDisplay !== null ? steps[this.layers.length + 2] : null;
+
+        return {
+            originalPrice: product.price,
+            finalPrice: this.calculator.total(product),
+            adjustments,
+            taxes: taxStep && taxStep.taxes ? taxStep.taxes : [],
+            taxDisplay: this.taxDisplay,
+            steps
+        };
+    }
+}
@@ -49,20 +49,24 @@ export abstract class FilterDecorator implements ProductFilter {
 
 /**
  * Decorator para filtrar produtos por categoria
+ * Com subcategories (CategoryTree.descendantsOf) inclui também as subcategorias
  */
 export class CategoryFilter extends FilterDecorator {
     private category: CategoryType | null;
+    private subcategories: CategoryType[] | null;
     
-    constructor(filter: ProductFilter, category: CategoryType | null = null) {
+    constructor(filter: ProductFilter, category: CategoryType | null = null, subcategories: CategoryType[] | null = null) {
         super(filter);
         this.category = category;
+        this.subcategories = subcategories;
     }
     
     /**
-     * Define a categoria para filtrar
+     * Define a categoria para filtrar (e, opcionalmente, suas subcategorias)
      */
-    setCategory(category: CategoryType | null): void {
+    setCategory(category: CategoryType | null, subcategories: CategoryType[] | null = null): void {
         this.category = category;
+        this.subcategories = subcategories;
     }
     
     protected applyFilter(products: Product[]): Product[] {
@@ -70,11 +74,17 @@ export class CategoryFilter extends FilterDecorator {
             return products; // Sem categoria selecionada, retorna todos
         }
         
-        return products.filter(product => product.category === this.category);
+        return products.filter(product => product.category === this.category ||
+            (this.subcategories !== null && this.subcategories.includes(product.category)));
     }
     
     protected getOwnDescription(): string {
-        return this.category ? `Categoria: ${this.category}` : 'Categoria: Todas';
+        if (!this.category) {
+            return 'Categoria: Todas';
+        }
+        return this.subcategories !== null
+            ? `Categoria: ${this.category} (com subcategorias)`
+            : `Categoria: ${this.category}`;
     }
 }
 
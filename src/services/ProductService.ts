@@ -1,6 +1,7 @@
 const { db } = require('../database/connection.js');
 const ProductRepository = require('../database/ProductRepository.js');
 import { Product, Category, CategoryType } from '../models/Product';
+import { Money } from '../models/Money';
 
 /**
  * Serviço para gerenciamento de produtos com integração MySQL
@@ -250,7 +251,8 @@ export class ProductService {
             if (statsResult.success && statsResult.data.length > 0) {
                 const data = statsResult.data[0];
                 stats.total = data.total_products || 0;
-                stats.averagePrice = parseFloat(data.average_price || 0);
+                // AVG do MySQL retorna mais casas decimais; arredonda para centavos
+                stats.averagePrice = Money.fromDecimal(data.average_price).round().toNumber();
                 stats.mostExpensive = data.most_expensive;
                 stats.cheapest = data.cheapest;
             }
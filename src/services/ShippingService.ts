@@ -0,0 +1,98 @@
+import { Product } from '../models/Product';
+import { ShippingRules } from '../models/ShippingRules';
+import { Money } from '../models/Money';
+
+/**
+ * Item a ser enviado: produto, quantidade e preço unitário já com descontos
+ */
+export interface ShippingItem {
+    product: Product;
+    quantity: number;
+    unitPrice: number;
+}
+
+/**
+ * Frete de um item (taxa da categoria x quantidade)
+ */
+export interface ShippingLine {
+    productId: number | null;
+    name: string;
+    category: string;
+    quantity: number;
+    rate: number;
+    amount: number;
+}
+
+/**
+ * Cotação de frete, separada do valor das mercadorias
+ */
+export interface ShippingQuote {
+    lines: ShippingLine[];
+    baseCost: number;
+    weightKg: number;
+    weightSurcharge: number;
+    cep: string | null;
+    region: string | null;
+    cepSurcharge: number;
+    merchandiseTotal: number;
+    freeShippingAbove: number | null;
+    freeShipping: boolean;
+    total: number;
+}
+
+/**
+ * Serviço de cotação de frete a partir das regras cadastradas
+ */
+export class ShippingService {
+    private rules: ShippingRules;
+
+    constructor(rules: ShippingRules = ShippingRules.defaults()) {
+        this.rules = rules;
+    }
+
+    /**
+     * Cota o frete dos itens para o CEP informado:
+     * soma das taxas por categoria x quantidade, mais o acréscimo da faixa
+     * de peso total e o da faixa de CEP; zera quando o valor das mercadorias
+     * atinge o mínimo do frete grátis
+     */
+    quote(items: ShippingItem[], cep: string | null = null): ShippingQuote {
+        const lines = items.map(item => {
+            const rate = this.rules.rateFor(item.product.category);
+            return {
+                productId: item.product.id,
+                name: item.product.name,
+                category: item.product.category,
+                quantity: item.quantity,
+                rate,
+                amount: Money.fromDecimal(rate).multiply(item.quantity).toNumber()
+            };
+        });
+
+        const baseCost = Money.sum(lines.map(line => Money.fromDecimal(line.amount)));
+        const weightKg = items.reduce((sum, item) => sum + item.product.weight_kg * item.quantity, 0);
+        const weightSurcharge = this.rules.weightSurchargeFor(weightKg);
+        const normalizedCep = cep ? ShippingRules.normalizeCep(cep) : null;
+        const cepRange = normalizedCep ? this.rules.findCepRange(normalizedCep) : null;
+        const cepSurcharge = cepRange ? cepRange.surcharge : 0;
+        const merchandiseTotal = Money.sum(items.map(item => Money.fromDecimal(item.unitPrice).multiply(item.quantity)));
+        const freeShipping = this.rules.isFreeShipping(merchandiseTotal.toNumber());
+        const total = baseCost
+            .add(Money.fromDecimal(weightSurcharge))
+            .add(Money.fromDecimal(cepSurcharge));
+
+        return {
+            lines,
+            baseCost: baseCost.toNumber(),
+            weightKg,
+            weightSurcharge,
+            cep: normalizedCep,
+            region: cepRange ? cepRange.region : null,
+            cepSurcharge,
+            merchandiseTotal: merchandiseTotal.toNumber(),
+            freeShippingAbove: this.rules.freeShippingAbove,
+            freeShipping,
+            total: freeShipping ? 0 : total.toNumber()
+        };
+    }
+}
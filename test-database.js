@@ -1,5 +1,8 @@
 const { db } = require('./src/database/connection.js');
 const ProductRepository = require('./src/database/ProductRepository.js');
+const { Product } = require('./src/models/Product.ts');
+const { Discount } = require('./src/models/Discount.ts');
+const { BasicPrice, CouponPercentOff, CouponFixedAmountOff } = require('./src/services/PriceCalculators.ts');
 
 /**
  * Script de teste para verificar conexão e operações do banco de dados
@@ -117,6 +120,60 @@ async function testDatabase() {
         }
         console.log('');
         
+        // Teste 8: Decorators x procedure sp_apply_discount_to_product
+        // Complementa tests/PriceCalculators.procedure.test.js com os dados do banco
+        console.log('8. Comparando decorators com sp_apply_discount_to_product...');
+        const [productRows, discountRows] = await Promise.all([
+            db.select('SELECT id, name, price FROM products WHERE is_active = TRUE'),
+            db.select('SELECT id, name, percentage, fixed_amount FROM discounts WHERE is_active = TRUE')
+        ]);
+
+        if (productRows.success && discountRows.success) {
+            let compared = 0;
+            const mismatches = [];
+
+            for (const productRow of productRows.data) {
+                for (const discountRow of discountRows.data) {
+                    const procedure = await db.transaction(async (connection) => {
+                        await connection.query('CALL sp_apply_discount_to_product(?, ?, @original, @final, @amount)', [
+                            productRow.id,
+                            discountRow.id
+                        ]);
+                        const [rows] = await connection.query('SELECT @final AS final_price');
+                        return rows[0].final_price;
+                    });
+
+                    if (!procedure.success) {
+                        mismatches.push(`${productRow.name} + ${discountRow.name}: ${procedure.error}`);
+                        continue;
+                    }
+
+                    // A procedure aplica o desconto sem checar categoria, como um cupom
+                    const discount = new Discount(discountRow);
+                    const calc = discount.isFixedAmount()
+                        ? new CouponFixedAmountOff(new BasicPrice(), discount.fixed_amount)
+                        : new CouponPercentOff(new BasicPrice(), discount.getFraction());
+                    const expected = parseFloat(procedure.result).toFixed(2);
+                    const actual = calc.total(new Product(productRow)).toFixed(2);
+
+                    compared++;
+                    if (expected !== actual) {
+                        mismatches.push(`${productRow.name} + ${discountRow.name}: procedure R$ ${expected}, decorator R$ ${actual}`);
+                    }
+                }
+            }
+
+            if (mismatches.length === 0) {
+                console.log(`   ✅ ${compared} combinações produto x desconto com o mesmo preço final`);
+            } else {
+                console.log(`   ❌ ${mismatches.length} de ${compared} combinações divergem:`);
+                mismatches.forEach(message => console.log(`      • ${message}`));
+            }
+        } else {
+            console.log('   ❌ Erro ao buscar produtos e descontos:', productRows.error || discountRows.error);
+        }
+        console.log('');
+        
         console.log('============================================================');
         console.log('🎉 Todos os testes concluídos com sucesso!');
         console.log('');
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BulkPriceOperation, BulkPriceOperationType } = require('../src/models/BulkPriceUpdate.ts');
+
+/**
+ * Reajuste de preço em massa: cálculo do novo preço e diff antes/depois
+ */
+const products = [
+    { id: 1, name: 'Notebook', sku: 'NOT-001', category: 'eletronicos', price: 2999.99 },
+    { id: 2, name: 'Livro', category: 'livros', price: 12.35 },
+    { id: 3, name: 'Café', sku: 'ALI-003', category: 'alimentos', price: 19.9 }
+];
+
+function newPrices(data) {
+    return new BulkPriceOperation(data).diff(products).map(change => change.new_price);
+}
+
+test('percentuais arredondados half-up em centavos', () => {
+    // 2999,99 x 1,1 = 3299,989; 12,35 x 1,1 = 13,585
+    assert.deepStrictEqual(newPrices({ type: 'increase_percent', value: '10' }), [3299.99, 13.59, 21.89]);
+    assert.deepStrictEqual(newPrices({ type: 'decrease_percent', value: 15 }), [2549.99, 10.5, 16.92]);
+});
+
+test('preço fixo e arredondamento para final ,90', () => {
+    assert.deepStrictEqual(newPrices({ type: 'set', value: 9.999 }), [10, 10, 10]);
+    assert.deepStrictEqual(newPrices({ type: BulkPriceOperationType.ROUND_90 }), [3000.9, 12.9, 19.9]);
+});
+
+test('diff traz antes, depois, variação e se o preço muda', () => {
+    const changes = new BulkPriceOperation({ type: 'round_90' }).diff(products);
+
+    assert.deepStrictEqual(changes[1].toJSON(), {
+        product_id: 2,
+        name: 'Livro',
+        sku: null,
+        category: 'livros',
+        old_price: 12.35,
+        new_price: 12.9,
+        change: 0.55,
+        changed: true
+    });
+    assert.strictEqual(changes[2].isChanged(), false);
+    assert.strictEqual(changes[2].toJSON().change, 0);
+    assert.deepStrictEqual(changes.map(change => change.isValid()), [true, true, true]);
+});
+
+test('operação valida tipo e valor', () => {
+    assert.strictEqual(new BulkPriceOperation({ type: 'increase_percent', value: 5 }).isValid(), true);
+    assert.strictEqual(new BulkPriceOperation({ type: 'increase_percent' }).isValid(), false);
+    assert.strictEqual(new BulkPriceOperation({ type: 'decrease_percent', value: 100 }).isValid(), false);
+    assert.strictEqual(new BulkPriceOperation({ type: 'set', value: 0 }).isValid(), false);
+    assert.strictEqual(new BulkPriceOperation({ type: 'round_90' }).isValid(), true);
+    assert.strictEqual(new BulkPriceOperation({ type: 'double' }).isValid(), false);
+});
+
+test('descrição da operação vira o motivo padrão no histórico', () => {
+    assert.strictEqual(new BulkPriceOperation({ type: 'decrease_percent', value: '7.5' }).getDescription(), 'Redução de 7.5%');
+    assert.strictEqual(new BulkPriceOperation({ type: 'set', value: 10 }).toJSON().description, 'Preço fixo de R$ 10.00');
+});
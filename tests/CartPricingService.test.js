@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Product } = require('../src/models/Product.ts');
+const { Discount } = require('../src/models/Discount.ts');
+const { Cart } = require('../src/models/Cart.ts');
+const { CartPricingService } = require('../src/services/CartPricingService.ts');
+const { FixedClock } = require('../src/services/Clock.ts');
+
+/**
+ * Total do carrinho: preço unitário pela cadeia do produto e descontos de carrinho
+ * (faixa de quantidade, leve X ganhe Y e cupom com pedido mínimo)
+ */
+const clock = new FixedClock(new Date('2025-11-28T12:00:00Z'));
+
+const caneta = new Product({ id: 1, name: 'Caneta', category: 'papelaria', price: 10 });
+const livro = new Product({ id: 2, name: 'Livro', category: 'livros', price: 30 });
+
+const atacado5 = new Discount({ id: 1, name: 'Atacado 10+', type: 'bulk', product_id: 1, min_quantity: 10, percentage: 5 });
+const atacado10 = new Discount({ id: 2, name: 'Atacado 20+', type: 'bulk', product_id: 1, min_quantity: 20, percentage: 10 });
+const leve3 = new Discount({ id: 3, name: 'Leve 3 pague 2', type: 'buy_x_get_y', category: 'livros', buy_quantity: 2, get_quantity: 1 });
+const vip = new Discount({ id: 4, name: 'VIP', type: 'coupon', code: 'VIP', min_order_value: 200, percentage: 10 });
+
+function cartOf(items) {
+    return new Cart({ id: 1, items: items.map(([product, quantity]) => ({ product, quantity })) });
+}
+
+function totalOf(items, discounts, couponCodes = []) {
+    return new CartPricingService(discounts, { clock, couponCodes }).total(cartOf(items));
+}
+
+test('faixa de quantidade vale a partir da quantidade mínima', () => {
+    assert.strictEqual(totalOf([[caneta, 9]], [atacado5, atacado10]), 90);
+    // 12 x 10 = 120 - 5%
+    assert.strictEqual(totalOf([[caneta, 12]], [atacado5, atacado10]), 114);
+});
+
+test('só a maior faixa atingida se aplica à linha', () => {
+    // 25 x 10 = 250 - 10% (a faixa de 5% vai só até 19 unidades)
+    assert.strictEqual(totalOf([[caneta, 25]], [atacado5, atacado10]), 225);
+});
+
+test('leve X ganhe Y dá as unidades de cada grupo completo', () => {
+    // 7 livros: dois grupos de 3, 2 unidades grátis
+    assert.strictEqual(totalOf([[livro, 7]], [leve3]), 150);
+    assert.strictEqual(totalOf([[livro, 2]], [leve3]), 60);
+    assert.strictEqual(totalOf([[caneta, 6]], [leve3]), 60);
+});
+
+test('cupom com pedido mínimo só vale com o código e acima do mínimo', () => {
+    assert.strictEqual(totalOf([[livro, 8]], [vip]), 240);
+    assert.strictEqual(totalOf([[livro, 8]], [vip], ['vip']), 216);
+    assert.strictEqual(totalOf([[livro, 6]], [vip], ['VIP']), 180);
+});
+
+test('cupom é calculado sobre o total já com os descontos de carrinho', () => {
+    // 9 livros = 270 - 3 grátis (90) = 180, abaixo do mínimo de 200
+    assert.strictEqual(totalOf([[livro, 9]], [leve3, vip], ['VIP']), 180);
+    // + 12 canetas (114) = 294 - 10%
+    assert.strictEqual(totalOf([[livro, 9], [caneta, 12]], [leve3, atacado5, vip], ['VIP']), 264.6);
+});
+
+test('linhas usam o preço unitário com os descontos do produto', () => {
+    const livros10 = new Discount({ id: 5, name: 'Livros 10%', type: 'category', category: 'livros', percentage: 10 });
+    const result = new CartPricingService([livros10, leve3], { clock }).price(cartOf([[livro, 3]]));
+
+    assert.strictEqual(result.lines[0].unitPrice, 30);
+    assert.strictEqual(result.lines[0].finalUnitPrice, 27);
+    assert.strictEqual(result.lines[0].lineTotal, 81);
+    assert.strictEqual(result.lines[0].adjustments[0].discountId, 5);
+    assert.strictEqual(result.subtotal, 81);
+    assert.deepStrictEqual(result.adjustments.map(a => [a.discountId, a.amount, a.totalAfter]), [[3, -27, 54]]);
+    assert.strictEqual(result.total, 54);
+});
+
+test('explain registra o motivo quando o desconto de carrinho não se aplica', () => {
+    const result = new CartPricingService([atacado5, vip], { clock, couponCodes: ['VIP'] }).price(cartOf([[caneta, 3]]));
+
+    assert.deepStrictEqual(result.adjustments, []);
+    assert.deepStrictEqual(result.steps.slice(1).map(step => step.reason), [
+        'Nenhum item com quantidade na faixa a partir de 10 unidades',
+        'Pedido abaixo do mínimo de R$ 200.00'
+    ]);
+});
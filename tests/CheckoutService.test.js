@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Product } = require('../src/models/Product.ts');
+const { Discount } = require('../src/models/Discount.ts');
+const { Order, OrderStatus } = require('../src/models/Order.ts');
+const { CartPricingService } = require('../src/services/CartPricingService.ts');
+const { CheckoutService } = require('../src/services/CheckoutService.ts');
+const { FixedClock } = require('../src/services/Clock.ts');
+
+/**
+ * Checkout: pedido com os preços e descontos congelados e validação do pedido
+ */
+const clock = new FixedClock(new Date('2025-11-28T12:00:00Z'));
+
+const livro = new Product({ id: 2, name: 'Livro', category: 'livros', price: 30, sku: 'LIV-002' });
+const caneta = new Product({ id: 1, name: 'Caneta', category: 'papelaria', price: 2.5, sku: 'PAP-001' });
+
+const livros10 = new Discount({ id: 5, name: 'Livros 10%', type: 'category', category: 'livros', percentage: 10 });
+const vip = new Discount({ id: 4, name: 'VIP', type: 'coupon', code: 'VIP', min_order_value: 50, fixed_amount: 5 });
+
+function checkout(discounts, couponCodes = []) {
+    return new CheckoutService(new CartPricingService(discounts, { clock, couponCodes }), couponCodes);
+}
+
+test('pedido congela preço final, totais e descontos de cada linha', () => {
+    const order = checkout([livros10, vip], [' vip ']).createOrder([
+        { product: livro, quantity: 2 },
+        { product: caneta, quantity: 4 }
+    ], 9);
+
+    assert.strictEqual(order.cart_id, 9);
+    assert.strictEqual(order.status, OrderStatus.PLACED);
+    assert.deepStrictEqual(order.coupon_codes, ['VIP']);
+    // 2 x 27 + 4 x 2,50 = 64 - cupom de R$ 5
+    assert.strictEqual(order.subtotal, 64);
+    assert.strictEqual(order.discount_total, 5);
+    assert.strictEqual(order.total, 59);
+    assert.deepStrictEqual(order.adjustments, [
+        { decorator: 'MinimumOrderCoupon', discountId: 4, discountName: 'VIP', amount: -5 }
+    ]);
+
+    const [livroItem, canetaItem] = order.items;
+    assert.deepStrictEqual(
+        [livroItem.product_id, livroItem.sku, livroItem.unit_price, livroItem.final_unit_price, livroItem.line_total],
+        [2, 'LIV-002', 30, 27, 54]
+    );
+    assert.deepStrictEqual(livroItem.adjustments.map(adj => [adj.discountId, adj.amount]), [[5, -3]]);
+    assert.deepStrictEqual(canetaItem.adjustments, []);
+    assert.strictEqual(order.isValid(), true);
+});
+
+test('pedido sem cupom informado não aplica o cupom com código', () => {
+    const order = checkout([vip]).createOrder([{ product: livro, quantity: 2 }]);
+
+    assert.strictEqual(order.cart_id, null);
+    assert.strictEqual(order.total, 60);
+    assert.strictEqual(order.discount_total, 0);
+    assert.deepStrictEqual(order.coupon_codes, []);
+});
+
+test('Order.isValid exige itens, quantidades inteiras e total até o subtotal', () => {
+    const item = { product_id: 1, product_name: 'Caneta', quantity: 2, unit_price: 2.5, final_unit_price: 2.5, line_total: 5 };
+
+    assert.strictEqual(new Order({ subtotal: 5, total: 5, items: [item] }).isValid(), true);
+    assert.strictEqual(new Order({ subtotal: 0, total: 0, items: [] }).isValid(), false);
+    assert.strictEqual(new Order({ subtotal: 5, total: 5, items: [{ ...item, quantity: 0 }] }).isValid(), false);
+    assert.strictEqual(new Order({ subtotal: 5, total: 6, items: [item] }).isValid(), false);
+    assert.strictEqual(new Order({ subtotal: 5, total: -1, items: [item] }).isValid(), false);
+    assert.strictEqual(new Order({ subtotal: 5, total: 5, status: 'shipped', items: [item] }).isValid(), false);
+});
+
+test('colunas JSON lidas como texto são convertidas', () => {
+    const order = new Order({
+        subtotal: '10.00',
+        total: '9.50',
+        coupon_codes: '["VIP"]',
+        adjustments: '[{"decorator":"MinimumOrderCoupon","discountId":4,"discountName":"VIP","amount":-0.5}]',
+        items: [{
+            product_id: '1', product_name: 'Caneta', quantity: '4',
+            unit_price: '2.50', final_unit_price: '2.50', line_total: '10.00', adjustments: '[]'
+        }]
+    });
+
+    assert.deepStrictEqual(order.coupon_codes, ['VIP']);
+    assert.strictEqual(order.adjustments[0].amount, -0.5);
+    assert.strictEqual(order.items[0].quantity, 4);
+    assert.strictEqual(order.items[0].line_total, 10);
+    assert.strictEqual(order.isValid(), true);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Product } = require('../src/models/Product.ts');
+const { Discount } = require('../src/models/Discount.ts');
+const { DiscountChainFactory } = require('../src/services/DiscountChainFactory.ts');
+const { FixedClock } = require('../src/services/Clock.ts');
+
+/**
+ * Ordem da cadeia montada a partir dos descontos: produto, categoria e cupom
+ */
+const clock = new FixedClock(new Date('2025-11-28T12:00:00Z'));
+const notebook = new Product({ id: 7, name: 'Notebook', category: 'eletronicos', price: 100, sku: 'NOT-007' });
+
+const cupom = new Discount({ id: 1, name: 'Cupom 10', type: 'coupon', percentage: 10 });
+const categoria = new Discount({ id: 2, name: 'Eletrônicos', type: 'category', category: 'eletronicos', percentage: 10 });
+const produto = new Discount({ id: 3, name: 'Notebook R$ 10', type: 'product', product_id: 7, fixed_amount: 10 });
+
+test('desconto de produto vem antes dos de categoria e cupom', () => {
+    const layers = DiscountChainFactory.layers([cupom, categoria, produto], clock);
+
+    assert.deepStrictEqual(layers.map(layer => layer.discount.id), [3, 2, 1]);
+});
+
+test('valor fixo do produto é subtraído antes dos percentuais', () => {
+    // (100 - 10) x 0,9 x 0,9 = 72,90; na ordem inversa seria 100 x 0,9 x 0,9 - 10 = 71
+    const calc = DiscountChainFactory.fromDiscounts([cupom, categoria, produto], clock);
+
+    assert.strictEqual(calc.total(notebook), 72.9);
+});
+
+test('desconto de produto encontra o alvo pelo SKU', () => {
+    const porSku = new Discount({ id: 4, name: 'Notebook 20%', type: 'product', product_sku: 'NOT-007', percentage: 20 });
+    const calc = DiscountChainFactory.fromDiscounts([porSku], clock);
+
+    assert.strictEqual(calc.total(notebook), 80);
+    assert.strictEqual(calc.total(new Product({ id: 8, name: 'Mouse', category: 'eletronicos', price: 50 })), 50);
+});
+
+test('desconto de produto fora da vigência não entra na cadeia', () => {
+    const expirado = new Discount({
+        id: 5, name: 'Notebook antigo', type: 'product', product_id: 7, percentage: 50,
+        end_date: '2025-11-01T00:00:00Z'
+    });
+
+    assert.deepStrictEqual(DiscountChainFactory.layers([expirado, categoria], clock).map(layer => layer.discount.id), [2]);
+});
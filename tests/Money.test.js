@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Money, RoundingMode } = require('../src/models/Money.ts');
+const { RoundingPolicy } = require('../src/models/RoundingPolicy.ts');
+const { Product } = require('../src/models/Product.ts');
+const { BasicPrice, CouponPercentOff } = require('../src/services/PriceCalculators.ts');
+
+/**
+ * Aritmética em centavos (Money) e política de arredondamento (RoundingPolicy)
+ */
+test('fromDecimal converte strings do DECIMAL sem ponto flutuante', () => {
+    assert.strictEqual(Money.fromDecimal('19.99').cents, 1999);
+    assert.strictEqual(Money.fromDecimal('0.1').cents, 10);
+    assert.strictEqual(Money.fromDecimal('-5.5').cents, -550);
+    assert.strictEqual(Money.fromDecimal('10.005').cents, 1000.5);
+    assert.strictEqual(Money.fromDecimal('abc').cents, 0);
+    assert.strictEqual(Money.fromDecimal(null).cents, 0);
+});
+
+test('somas e subtrações de centavos são exatas', () => {
+    const total = Money.fromDecimal(0.1).add(Money.fromDecimal(0.2));
+    assert.strictEqual(total.cents, 30);
+    assert.strictEqual(total.toNumber(), 0.3);
+
+    assert.strictEqual(Money.sum([Money.fromCents(1), Money.fromCents(2), Money.fromCents(3)]).cents, 6);
+    assert.strictEqual(Money.fromDecimal('35.90').subtract(Money.fromDecimal('0.91')).toString(), '34.99');
+});
+
+test('multiply mantém frações de centavo até o arredondamento', () => {
+    const tenPercent = Money.fromDecimal('33.33').multiply(0.1);
+    assert.strictEqual(tenPercent.cents, 333.3);
+    assert.strictEqual(tenPercent.round().cents, 333);
+});
+
+test('half-up arredonda o meio centavo para cima, half-even para o par', () => {
+    assert.strictEqual(Money.fromCents(1000.5).round(RoundingMode.HALF_UP).cents, 1001);
+    assert.strictEqual(Money.fromCents(1000.5).round(RoundingMode.HALF_EVEN).cents, 1000);
+    assert.strictEqual(Money.fromCents(1001.5).round(RoundingMode.HALF_UP).cents, 1002);
+    assert.strictEqual(Money.fromCents(1001.5).round(RoundingMode.HALF_EVEN).cents, 1002);
+    assert.strictEqual(Money.fromCents(-1000.5).round(RoundingMode.HALF_UP).cents, -1001);
+    assert.strictEqual(Money.fromCents(-1000.5).round(RoundingMode.HALF_EVEN).cents, -1000);
+});
+
+test('frações diferentes do meio centavo arredondam igual nos dois modos', () => {
+    for (const mode of Object.values(RoundingMode)) {
+        assert.strictEqual(Money.fromCents(1000.49).round(mode).cents, 1000);
+        assert.strictEqual(Money.fromCents(1000.51).round(mode).cents, 1001);
+    }
+});
+
+test('RoundingPolicy por etapa arredonda cada etapa; no final, só o preço final', () => {
+    const value = Money.fromCents(250.75);
+
+    const step = new RoundingPolicy({ mode: 'half-up', scope: 'step' });
+    assert.strictEqual(step.step(value).cents, 251);
+
+    const end = new RoundingPolicy({ mode: 'half-up', scope: 'end' });
+    assert.strictEqual(end.step(value).cents, 250.75);
+    assert.strictEqual(end.finalize(value).cents, 251);
+});
+
+test('modo da política decide o meio centavo do desconto na cadeia', () => {
+    const product = new Product({ id: 1, name: 'Bala', category: 'alimentos', price: 0.05 });
+    const priceWith = mode => new CouponPercentOff(new BasicPrice(new RoundingPolicy({ mode })), 0.5).total(product);
+
+    // Desconto de 2,5 centavos: 3 no half-up, 2 no half-even
+    assert.strictEqual(priceWith('half-up'), 0.02);
+    assert.strictEqual(priceWith('half-even'), 0.03);
+});
+
+test('escopo da política muda o resultado de descontos encadeados', () => {
+    const product = new Product({ id: 1, name: 'Caderno', category: 'livros', price: 10.03 });
+    const priceWith = scope => new CouponPercentOff(
+        new CouponPercentOff(new BasicPrice(new RoundingPolicy({ scope })), 0.5),
+        0.5
+    ).total(product);
+
+    assert.strictEqual(priceWith('step'), 2.5);
+    assert.strictEqual(priceWith('end'), 2.51);
+});
+
+test('RoundingPolicy valida modo e escopo', () => {
+    assert.strictEqual(new RoundingPolicy().isValid(), true);
+    assert.strictEqual(new RoundingPolicy({ mode: 'half-down' }).isValid(), false);
+    assert.strictEqual(new RoundingPolicy({ scope: 'never' }).isValid(), false);
+});
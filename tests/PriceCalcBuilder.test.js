@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PriceCalcBuilder } = require('../src/services/PriceCalcBuilder.ts');
+const { Product } = require('../src/models/Product.ts');
+
+/**
+ * Descrição declarativa da cadeia de preços: build e serialize
+ */
+const config = [
+    { type: 'categoryPercentOff', category: 'livros', percent: 0.1 },
+    { type: 'productFixedAmountOff', sku: 'LIV-001', amount: 5 },
+    { type: 'couponPercentOff', percent: 0.05 },
+    { type: 'shipping', categoryRates: { livros: 10 }, freeShippingAbove: null },
+    { type: 'tax', uf: 'SP', display: 'inclusive', rates: [{ category: 'livros', uf: null, kind: 'iss', rate: 5 }] }
+];
+
+const livro = new Product({ id: 1, name: 'Livro', category: 'livros', price: 100, sku: 'LIV-001' });
+
+test('serialize devolve a descrição usada no build', () => {
+    const builder = new PriceCalcBuilder();
+    assert.deepStrictEqual(builder.serialize(builder.build(config)), config);
+});
+
+test('cadeia remontada a partir do JSON calcula o mesmo preço', () => {
+    const builder = new PriceCalcBuilder();
+    const calc = builder.build(config);
+    const rebuilt = builder.fromJSON(builder.toJSON(calc));
+
+    // (100 - 10% - 5) x 0,95 = 80,75 + frete 10 = 90,75 + ISS 5% (4,54)
+    assert.strictEqual(calc.total(livro), 95.29);
+    assert.strictEqual(rebuilt.total(livro), calc.total(livro));
+});
+
+test('descrição inválida lista todos os erros', () => {
+    const builder = new PriceCalcBuilder();
+    const errors = builder.validate([
+        { type: 'couponPercentOff', percent: 10 },
+        { type: 'unknown' },
+        { type: 'tax', uf: 'XX', rates: [] }
+    ]);
+
+    assert.strictEqual(errors.length, 3);
+    assert.match(errors[0], /Etapa 1 \(couponPercentOff\)/);
+    assert.match(errors[1], /tipo "unknown" desconhecido/);
+    assert.match(errors[2], /"uf" deve ser uma UF válida/);
+    assert.throws(() => builder.build([{ type: 'unknown' }]), /Descrição de preço inválida/);
+});
+
+test('categorias cadastradas restringem as etapas de categoria', () => {
+    const builder = new PriceCalcBuilder(undefined, ['livros']);
+    assert.deepStrictEqual(builder.validate([{ type: 'categoryPercentOff', category: 'livros', percent: 0.1 }]), []);
+    assert.match(
+        builder.validate([{ type: 'categoryPercentOff', category: 'games', percent: 0.1 }])[0],
+        /categoria "games" não cadastrada/
+    );
+});
+
+test('JSON malformado é recusado', () => {
+    assert.throws(() => new PriceCalcBuilder().fromJSON('[{'), /JSON malformado/);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Product } = require('../src/models/Product.ts');
+const {
+    BasicPrice,
+    CategoryFixedAmountOff,
+    CouponFixedAmountOff,
+    ProductFixedAmountOff,
+    CategoryPercentOff
+} = require('../src/services/PriceCalculators.ts');
+
+/**
+ * Decorators de desconto de valor fixo, limitados a zero
+ */
+const livro = new Product({ id: 1, name: 'Livro', category: 'livros', price: 49.9, sku: 'LIV-001' });
+const celular = new Product({ id: 2, name: 'Celular', category: 'eletronicos', price: 1500, sku: 'ELE-001' });
+
+test('valor fixo de categoria vale só para a categoria', () => {
+    const calc = new CategoryFixedAmountOff(new BasicPrice(), 'livros', 10);
+
+    assert.strictEqual(calc.total(livro), 39.9);
+    assert.strictEqual(calc.total(celular), 1500);
+});
+
+test('valor fixo de categoria também vale para as subcategorias informadas', () => {
+    const calc = new CategoryFixedAmountOff(new BasicPrice(), 'eletronicos', 100, ['celulares']);
+    const smartphone = new Product({ id: 3, name: 'Smartphone', category: 'celulares', price: 800 });
+
+    assert.strictEqual(calc.total(smartphone), 700);
+    assert.strictEqual(calc.total(livro), 49.9);
+});
+
+test('valor fixo de cupom vale para qualquer produto', () => {
+    const calc = new CouponFixedAmountOff(new BasicPrice(), 25);
+
+    assert.strictEqual(calc.total(livro), 24.9);
+    assert.strictEqual(calc.total(celular), 1475);
+});
+
+test('valor fixo de produto encontra o alvo por id ou SKU', () => {
+    assert.strictEqual(new ProductFixedAmountOff(new BasicPrice(), { id: 2 }, 200).total(celular), 1300);
+    assert.strictEqual(new ProductFixedAmountOff(new BasicPrice(), { sku: 'ELE-001' }, 200).total(celular), 1300);
+    assert.strictEqual(new ProductFixedAmountOff(new BasicPrice(), { id: 2 }, 200).total(livro), 49.9);
+});
+
+test('valor fixo maior que o preço deixa o produto com preço zero', () => {
+    assert.strictEqual(new CouponFixedAmountOff(new BasicPrice(), 60).total(livro), 0);
+    assert.strictEqual(new CategoryFixedAmountOff(new BasicPrice(), 'livros', 50).total(livro), 0);
+    assert.strictEqual(new ProductFixedAmountOff(new BasicPrice(), { id: 1 }, 1000).total(livro), 0);
+});
+
+test('valor fixo aplicado sobre o preço já descontado', () => {
+    const calc = new CouponFixedAmountOff(new CategoryPercentOff(new BasicPrice(), 'eletronicos', 0.1), 50);
+
+    assert.strictEqual(calc.total(celular), 1300);
+});
+
+test('explain registra o valor fixo e o motivo quando não se aplica', () => {
+    const steps = new ProductFixedAmountOff(new BasicPrice(), { sku: 'LIV-001' }, 5).explain(celular);
+    const step = steps[steps.length - 1];
+
+    assert.deepStrictEqual(step.params, { productId: null, sku: 'LIV-001', amount: 5 });
+    assert.strictEqual(step.applied, false);
+    assert.strictEqual(step.outputPrice, 1500);
+    assert.strictEqual(step.reason, 'Produto diferente do alvo do desconto');
+});
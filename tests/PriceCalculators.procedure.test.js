@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Product } = require('../src/models/Product.ts');
+const { Discount } = require('../src/models/Discount.ts');
+const { BasicPrice, CouponFixedAmountOff, CouponPercentOff } = require('../src/services/PriceCalculators.ts');
+
+/**
+ * Decorators x procedure sp_apply_discount_to_product: os valores esperados são
+ * os DECIMAL(10,2) devolvidos pela procedure (@final), como o mysql2 os entrega
+ */
+function decoratorTotal(productRow, discountRow) {
+    // A procedure aplica o desconto sem checar categoria, como um cupom
+    const discount = new Discount(discountRow);
+    const calc = discount.isFixedAmount()
+        ? new CouponFixedAmountOff(new BasicPrice(), discount.fixed_amount)
+        : new CouponPercentOff(new BasicPrice(), discount.getFraction());
+    return calc.total(new Product({ name: 'Produto', category: 'livros', ...productRow })).toFixed(2);
+}
+
+test('desconto percentual: 10% de R$ 93,00 dá R$ 83,70', () => {
+    assert.strictEqual(
+        decoratorTotal({ price: '93.00' }, { percentage: '10.00', fixed_amount: '0.00' }),
+        '83.70'
+    );
+});
+
+test('valor do desconto arredondado em DECIMAL(10,2) antes de subtrair', () => {
+    // 15% de 33,33 = 4,9995, gravado como 5,00 em p_discount_amount
+    assert.strictEqual(
+        decoratorTotal({ price: '33.33' }, { percentage: '15.00', fixed_amount: '0.00' }),
+        '28.33'
+    );
+});
+
+test('valor fixo maior que o preço fica em R$ 0,00', () => {
+    assert.strictEqual(
+        decoratorTotal({ price: '49.90' }, { percentage: '0.00', fixed_amount: '60.00' }),
+        '0.00'
+    );
+    assert.strictEqual(
+        decoratorTotal({ price: '49.90' }, { percentage: '0.00', fixed_amount: '9.95' }),
+        '39.95'
+    );
+});
+
+test('percentual tem precedência sobre o valor fixo', () => {
+    const discountRow = { percentage: '10.00', fixed_amount: '5.00' };
+
+    assert.strictEqual(new Discount(discountRow).isFixedAmount(), false);
+    assert.strictEqual(new Discount({ percentage: '0.00', fixed_amount: '5.00' }).isFixedAmount(), true);
+    assert.strictEqual(decoratorTotal({ price: '100.00' }, discountRow), '90.00');
+});
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PriceScheduler } = require('../src/services/PriceScheduler.ts');
+const { ScheduledPriceChange, ScheduleStatus } = require('../src/models/ScheduledPriceChange.ts');
+
+/**
+ * Agendador de preços com relógio falso e fila em memória
+ */
+class FakeClock {
+    constructor(date) {
+        this.date = new Date(date);
+    }
+
+    now() {
+        return new Date(this.date.getTime());
+    }
+
+    advance(ms) {
+        this.date = new Date(this.date.getTime() + ms);
+    }
+}
+
+/**
+ * Fila em memória com a mesma semântica do ScheduledPriceChangeRepository:
+ * apply altera o preço e marca a alteração como aplicada, ou não grava nada
+ */
+class InMemoryChangeStore {
+    constructor(changes, prices) {
+        this.changes = changes.map(data => new ScheduledPriceChange(data));
+        this.prices = new Map(Object.entries(prices).map(([id, price]) => [Number(id), price]));
+        this.history = [];
+    }
+
+    find(id) {
+        return this.changes.find(change => change.id === id);
+    }
+
+    async findDue(now) {
+        return { success: true, data: this.changes.filter(change => change.isDue(now)) };
+    }
+
+    async apply(id, context) {
+        const change = this.find(id);
+        if (!change || change.status !== ScheduleStatus.PENDING) {
+            return { success: true, affectedRows: 0 };
+        }
+
+        if (!this.prices.has(change.product_id)) {
+            return { success: false, error: 'Produto não encontrado' };
+        }
+
+        this.prices.set(change.product_id, change.new_price);
+        this.history.push({ productId: change.product_id, price: change.new_price, ...context });
+        change.status = ScheduleStatus.APPLIED;
+        return { success: true, affectedRows: 1 };
+    }
+
+    async markFailed(id, error) {
+        const change = this.find(id);
+        change.status = ScheduleStatus.FAILED;
+        change.error = error;
+        return { success: true, affectedRows: 1 };
+    }
+}
+
+const HOUR = 60 * 60 * 1000;
+
+test('alteração é aplicada quando o relógio passa da vigência', async () => {
+    const clock = new FakeClock('2025-11-28T08:00:00Z');
+    const store = new InMemoryChangeStore([
+        { id: 1, product_id: 10, new_price: 79.9, effective_at: '2025-11-28T10:00:00Z', created_by: 'ana' }
+    ], { 10: 99.9 });
+    const scheduler = new PriceScheduler(store, clock);
+
+    assert.deepStrictEqual(await scheduler.runDue(), { applied: [], failed: [] });
+    assert.strictEqual(store.prices.get(10), 99.9);
+    assert.strictEqual(store.find(1).status, ScheduleStatus.PENDING);
+
+    clock.advance(2 * HOUR + 1);
+
+    assert.deepStrictEqual(await scheduler.runDue(), { applied: [1], failed: [] });
+    assert.strictEqual(store.prices.get(10), 79.9);
+    assert.strictEqual(store.find(1).status, ScheduleStatus.APPLIED);
+    assert.deepStrictEqual(store.history, [{ productId: 10, price: 79.9, user: 'ana', reason: 'scheduled' }]);
+});
+
+test('alteração aplicada não é repetida na execução seguinte', async () => {
+    const clock = new FakeClock('2025-11-28T12:00:00Z');
+    const store = new InMemoryChangeStore([
+        { id: 1, product_id: 10, new_price: 79.9, effective_at: '2025-11-28T10:00:00Z' }
+    ], { 10: 99.9 });
+    const scheduler = new PriceScheduler(store, clock);
+
+    await scheduler.runDue();
+    clock.advance(HOUR);
+
+    assert.deepStrictEqual(await scheduler.runDue(), { applied: [], failed: [] });
+    assert.strictEqual(store.history.length, 1);
+    assert.strictEqual(store.history[0].user, 'scheduler');
+});
+
+test('alterações vencidas são aplicadas na ordem de vigência', async () => {
+    const clock = new FakeClock('2025-11-30T00:00:00Z');
+    const store = new InMemoryChangeStore([
+        { id: 1, product_id: 10, new_price: 89.9, effective_at: '2025-11-28T10:00:00Z' },
+        { id: 2, product_id: 10, new_price: 69.9, effective_at: '2025-11-29T10:00:00Z' }
+    ], { 10: 99.9 });
+
+    assert.deepStrictEqual(await new PriceScheduler(store, clock).runDue(), { applied: [1, 2], failed: [] });
+    assert.strictEqual(store.prices.get(10), 69.9);
+});
+
+test('falha ao alterar o preço marca a alteração como falha', async () => {
+    const clock = new FakeClock('2025-11-30T00:00:00Z');
+    const store = new InMemoryChangeStore([
+        { id: 1, product_id: 99, new_price: 10, effective_at: '2025-11-28T10:00:00Z' }
+    ], { 10: 99.9 });
+
+    const run = await new PriceScheduler(store, clock).runDue();
+
+    assert.deepStrictEqual(run, { applied: [], failed: [{ id: 1, error: 'Produto não encontrado' }] });
+    assert.strictEqual(store.find(1).status, ScheduleStatus.FAILED);
+    assert.strictEqual(store.prices.get(10), 99.9);
+});
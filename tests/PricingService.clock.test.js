@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Product } = require('../src/models/Product.ts');
+const { Discount } = require('../src/models/Discount.ts');
+const { PricingService } = require('../src/services/PricingService.ts');
+const { FixedClock } = require('../src/services/Clock.ts');
+
+/**
+ * Vigência dos descontos avaliada com relógio fixo (FixedClock)
+ */
+const livro = new Product({ id: 1, name: 'Livro', category: 'livros', price: 100 });
+
+const blackFriday = new Discount({
+    id: 10,
+    name: 'Black Friday',
+    type: 'category',
+    category: 'livros',
+    percentage: 20,
+    start_date: '2025-11-28T00:00:00Z',
+    end_date: '2025-11-30T23:59:59Z'
+});
+
+function priceAt(isoDate) {
+    const pricing = new PricingService([blackFriday], { clock: new FixedClock(new Date(isoDate)) });
+    return pricing.total(livro);
+}
+
+test('desconto não vale antes do início da vigência', () => {
+    assert.strictEqual(priceAt('2025-11-27T23:59:59Z'), 100);
+});
+
+test('desconto vale dentro da vigência, inclusive nos limites', () => {
+    assert.strictEqual(priceAt('2025-11-28T00:00:00Z'), 80);
+    assert.strictEqual(priceAt('2025-11-29T12:00:00Z'), 80);
+    assert.strictEqual(priceAt('2025-11-30T23:59:59Z'), 80);
+});
+
+test('desconto não vale depois do fim da vigência', () => {
+    assert.strictEqual(priceAt('2025-12-01T00:00:00Z'), 100);
+});
+
+test('FixedClock não é alterado por quem usa a data retornada', () => {
+    const clock = new FixedClock(new Date('2025-11-28T00:00:00Z'));
+    clock.now().setFullYear(2000);
+    assert.strictEqual(clock.now().toISOString(), '2025-11-28T00:00:00.000Z');
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ProductCategory, CategoryTree } = require('../src/models/ProductCategory.ts');
+
+/**
+ * Validação das categorias cadastradas na tabela categories e hierarquia (CategoryTree)
+ */
+test('identificador aceita minúsculas, dígitos, "-" e "_"', () => {
+    assert.strictEqual(ProductCategory.isValidName('eletronicos'), true);
+    assert.strictEqual(ProductCategory.isValidName('casa-e-jardim_2'), true);
+    assert.strictEqual(ProductCategory.isValidName('Eletrônicos'), false);
+    assert.strictEqual(ProductCategory.isValidName('-livros'), false);
+    assert.strictEqual(ProductCategory.isValidName('a'.repeat(51)), false);
+    assert.strictEqual(ProductCategory.isValidName(null), false);
+});
+
+test('identificador é normalizado para minúsculas antes da validação', () => {
+    const category = new ProductCategory({ name: ' Games ', display_name: ' Games ' });
+
+    assert.strictEqual(category.name, 'games');
+    assert.strictEqual(category.display_name, 'Games');
+    assert.strictEqual(category.isValid(), true);
+});
+
+test('nome de exibição é obrigatório e ícone tem até 50 caracteres', () => {
+    assert.strictEqual(new ProductCategory({ name: 'games' }).isValid(), false);
+    assert.strictEqual(new ProductCategory({ name: 'games', display_name: 'x'.repeat(101) }).isValid(), false);
+    assert.strictEqual(new ProductCategory({ name: 'games', display_name: 'Games', icon: 'x'.repeat(51) }).isValid(), false);
+});
+
+test('withChanges mantém os dados não alterados', () => {
+    const category = new ProductCategory({ id: 3, name: 'livros', display_name: 'Livros', icon: '📚', product_count: '12' });
+    const renamed = category.withChanges({ display_name: 'Livros e revistas' });
+
+    assert.strictEqual(renamed.id, 3);
+    assert.strictEqual(renamed.name, 'livros');
+    assert.strictEqual(renamed.display_name, 'Livros e revistas');
+    assert.strictEqual(renamed.icon, '📚');
+    assert.strictEqual(renamed.product_count, 12);
+    assert.strictEqual(category.display_name, 'Livros');
+});
+
+const tree = new CategoryTree([
+    new ProductCategory({ id: 1, name: 'eletronicos', display_name: 'Eletrônicos' }),
+    new ProductCategory({ id: 2, name: 'celulares', display_name: 'Celulares', parent_id: 1 }),
+    new ProductCategory({ id: 3, name: 'acessorios', display_name: 'Acessórios', parent_id: 2 }),
+    new ProductCategory({ id: 4, name: 'notebooks', display_name: 'Notebooks', parent_id: 1 }),
+    new ProductCategory({ id: 5, name: 'livros', display_name: 'Livros' }),
+    new ProductCategory({ id: 6, name: 'orfa', display_name: 'Órfã', parent_id: 99 })
+]);
+
+test('categoria não pode ser pai de si mesma', () => {
+    assert.strictEqual(new ProductCategory({ id: 2, name: 'celulares', display_name: 'Celulares', parent_id: 2 }).isValid(), false);
+    assert.strictEqual(new ProductCategory({ name: 'celulares', display_name: 'Celulares', parent_id: '1' }).parent_id, 1);
+});
+
+test('subárvore inclui as subcategorias em qualquer nível', () => {
+    assert.deepStrictEqual(tree.subtreeOf('eletronicos'), ['eletronicos', 'celulares', 'acessorios', 'notebooks']);
+    assert.deepStrictEqual(tree.descendantsOf('celulares'), ['acessorios']);
+    assert.deepStrictEqual(tree.subtreeOf('games'), ['games']);
+});
+
+test('caminho legível da raiz até a categoria', () => {
+    assert.strictEqual(tree.getPathName('acessorios'), 'Eletrônicos > Celulares > Acessórios');
+    assert.strictEqual(tree.getPathName('games'), 'games');
+});
+
+test('pai inexistente deixa a categoria na raiz', () => {
+    assert.deepStrictEqual(tree.childrenOf(null).map(category => category.name), ['eletronicos', 'livros', 'orfa']);
+    assert.deepStrictEqual(tree.toJSON('orfa')[0].children, []);
+});
+
+test('canMove recusa ciclos e pai inexistente', () => {
+    assert.strictEqual(tree.canMove(1, 3), false);
+    assert.strictEqual(tree.canMove(2, 2), false);
+    assert.strictEqual(tree.canMove(2, 99), false);
+    assert.strictEqual(tree.canMove(3, 4), true);
+    assert.strictEqual(tree.canMove(5, 1), true);
+    assert.strictEqual(tree.canMove(1, null), true);
+    assert.strictEqual(tree.canMove(null, 5), true);
+});
+
+test('árvore aninhada com o caminho de cada categoria', () => {
+    const [eletronicos] = tree.toJSON('eletronicos');
+
+    assert.deepStrictEqual(eletronicos.children.map(child => child.name), ['celulares', 'notebooks']);
+    assert.strictEqual(eletronicos.children[0].children[0].path, 'Eletrônicos > Celulares > Acessórios');
+    assert.deepStrictEqual(tree.toJSON('games'), []);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ProductQuery } = require('../src/database/ProductQuery');
+
+/**
+ * SQL e parâmetros montados pelo ProductQuery (sem executar no banco)
+ */
+const SELECT = 'SELECT p.* FROM products p';
+
+function squash(sql) {
+    return sql.replace(/\s+/g, ' ').trim();
+}
+
+test('sem condições lista apenas produtos ativos, por nome e ID', () => {
+    const { query, params } = new ProductQuery().build(SELECT);
+
+    assert.strictEqual(squash(query), 'SELECT p.* FROM products p WHERE p.is_active = TRUE ORDER BY p.name ASC, p.id ASC');
+    assert.deepStrictEqual(params, []);
+});
+
+test('where combina as condições com AND e acumula os parâmetros na ordem', () => {
+    const { query, params } = new ProductQuery()
+        .where('p.name LIKE ? OR p.description LIKE ?', ['%cafe%', '%cafe%'])
+        .where('p.price >= ? AND p.price <= ?', [10, 50])
+        .build(SELECT);
+
+    assert.strictEqual(
+        squash(query),
+        'SELECT p.* FROM products p WHERE p.is_active = TRUE AND (p.name LIKE ? OR p.description LIKE ?) ' +
+        'AND (p.price >= ? AND p.price <= ?) ORDER BY p.name ASC, p.id ASC'
+    );
+    assert.deepStrictEqual(params, ['%cafe%', '%cafe%', 10, 50]);
+});
+
+test('limit e offset são interpolados como inteiros', () => {
+    assert.match(new ProductQuery().limit('20').offset('40').build(SELECT).query, /LIMIT 20 OFFSET 40$/);
+    assert.match(new ProductQuery().limit(5).offset(-3).build(SELECT).query, /LIMIT 5 OFFSET 0$/);
+    assert.match(new ProductQuery().limit('1; DROP TABLE products').offset(10).build(SELECT).query, /LIMIT 1 OFFSET 10$/);
+    assert.doesNotMatch(new ProductQuery().limit('abc').build(SELECT).query, /LIMIT/);
+});
+
+test('contagem usa as mesmas condições, sem paginação', () => {
+    const query = new ProductQuery().where('p.stock_quantity > 0').where('p.price <= ?', [99.9]).limit(10).offset(20);
+    const count = query.buildCount();
+
+    assert.match(squash(count.query), /^SELECT COUNT\(\*\) as total FROM products p INNER JOIN categories c ON p.category_id = c.id/);
+    assert.match(squash(count.query), /WHERE p.is_active = TRUE AND \(p.stock_quantity > 0\) AND \(p.price <= \?\)$/);
+    assert.deepStrictEqual(count.params, [99.9]);
+});
+
+test('build não altera os parâmetros do builder', () => {
+    const query = new ProductQuery().where('p.price >= ?', [10]);
+    query.build(SELECT).params.push('x');
+
+    assert.deepStrictEqual(query.build(SELECT).params, [10]);
+    assert.deepStrictEqual(query.buildCount().params, [10]);
+});
+
+test('seekAfter continua depois da posição com o ID como desempate', () => {
+    const { query, params } = new ProductQuery()
+        .where('p.price <= ?', [100])
+        .orderBy('p.price', 'DESC')
+        .orderBy('p.name')
+        .seekAfter([
+            { column: 'p.price', direction: 'DESC', value: 49.9 },
+            { column: 'p.name', direction: 'ASC', value: 'Livro' }
+        ], 7)
+        .limit(20)
+        .build(SELECT);
+
+    assert.strictEqual(
+        squash(query),
+        'SELECT p.* FROM products p WHERE p.is_active = TRUE AND (p.price <= ?) ' +
+        'AND ((p.price < ?) OR (p.price = ? AND p.name > ?) OR (p.price = ? AND p.name = ? AND p.id > ?)) ' +
+        'ORDER BY p.price DESC, p.name ASC, p.id ASC LIMIT 20 OFFSET 0'
+    );
+    assert.deepStrictEqual(params, [100, 49.9, 49.9, 'Livro', 49.9, 'Livro', 7]);
+});
+
+test('seekAfter não entra na contagem', () => {
+    const count = new ProductQuery().where('p.stock_quantity > 0').seekAfter([], 7).buildCount();
+
+    assert.doesNotMatch(count.query, /p\.id >/);
+    assert.deepStrictEqual(count.params, []);
+    assert.match(squash(new ProductQuery().seekAfter([], 7).build(SELECT).query), /AND \(\(p\.id > \?\)\)/);
+});
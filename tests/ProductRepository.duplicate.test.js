@@ -0,0 +1,67 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('../src/database/connection');
+const { ProductRepository } = require('../src/database/ProductRepository');
+const { Product, ProductError } = require('../src/models/Product.ts');
+
+/**
+ * Cadastro concorrente: o nome ou SKU gravado por outra requisição depois do
+ * _findConflict chega como ER_DUP_ENTRY e vira o mesmo motivo de recusa (409)
+ */
+const original = { select: db.select, transaction: db.transaction };
+
+afterEach(() => {
+    db.select = original.select;
+    db.transaction = original.transaction;
+});
+
+function duplicateEntry(sqlMessage) {
+    const error = new Error(sqlMessage);
+    error.code = 'ER_DUP_ENTRY';
+    error.sqlMessage = sqlMessage;
+    return error;
+}
+
+/**
+ * Banco falso: a categoria existe, o _findConflict não encontra nada e a
+ * escrita (INSERT/UPDATE de products) falha com o erro informado
+ */
+function fakeDatabase(writeError) {
+    db.select = async query => ({ success: true, data: query.includes('FROM categories') ? [{ id: 1 }] : [] });
+    db.transaction = async operations => {
+        const connection = {
+            execute: async query => {
+                if (/^\s*(INSERT INTO|UPDATE) products/.test(query)) {
+                    throw writeError;
+                }
+                return [{}];
+            }
+        };
+
+        try {
+            return { success: true, result: await operations(connection) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    };
+}
+
+const product = new Product({ name: 'Caneta', category: 'papelaria', price: 2.5, sku: 'PAP-001' });
+
+test('SKU gravado por outra requisição no cadastro vira duplicate_sku', async () => {
+    fakeDatabase(duplicateEntry("Duplicate entry 'PAP-001' for key 'sku'"));
+
+    assert.deepStrictEqual(await new ProductRepository().create(product), { success: false, reason: ProductError.DUPLICATE_SKU });
+});
+
+test('nome gravado por outra requisição na edição vira duplicate_name', async () => {
+    fakeDatabase(duplicateEntry("Duplicate entry 'Caneta' for key 'products.name'"));
+
+    assert.deepStrictEqual(await new ProductRepository().update(3, product), { success: false, reason: ProductError.DUPLICATE_NAME });
+});
+
+test('outros erros de escrita continuam como erro', async () => {
+    fakeDatabase(new Error('Lock wait timeout exceeded'));
+
+    assert.deepStrictEqual(await new ProductRepository().create(product), { success: false, error: 'Lock wait timeout exceeded' });
+});
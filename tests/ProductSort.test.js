@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ProductSort } = require('../src/models/ProductSort.ts');
+const { Product } = require('../src/models/Product.ts');
+const { ProductQuery } = require('../src/database/ProductQuery');
+
+/**
+ * Parâmetro sort da listagem de produtos (ProductSort) e cursor da paginação por keyset
+ */
+const products = [
+    new Product({ id: 1, name: 'Caneta', category: 'papelaria', price: 5, created_at: '2025-01-03T00:00:00Z' }),
+    new Product({ id: 2, name: 'apostila', category: 'livros', price: 20, created_at: '2025-01-01T00:00:00Z' }),
+    new Product({ id: 3, name: 'Borracha', category: 'papelaria', price: 5, created_at: '2025-01-02T00:00:00Z' }),
+    new Product({ id: 4, name: 'Ábaco', category: 'papelaria', price: 20, created_at: '2025-01-04T00:00:00Z' })
+];
+
+function parse(value) {
+    const result = ProductSort.parse(value);
+    assert.ok(result.sort, result.error);
+    return result.sort;
+}
+
+test('sort com "-" para ordem decrescente e desempate pelo campo seguinte', () => {
+    const sort = parse(' -price , name ');
+
+    assert.deepStrictEqual(sort.keys, [
+        { field: 'price', direction: 'DESC' },
+        { field: 'name', direction: 'ASC' }
+    ]);
+    assert.strictEqual(sort.toString(), '-price,name');
+    assert.strictEqual(sort.getDescription(), 'Ordenação: preço (decrescente), nome');
+});
+
+test('campos fora da lista, repetidos ou vazios são recusados', () => {
+    assert.match(ProductSort.parse('stock').error, /Campo de ordenação inválido: "stock"/);
+    assert.match(ProductSort.parse('price,-price').error, /Campo de ordenação repetido: "price"/);
+    assert.match(ProductSort.parse('').error, /Informe sort/);
+    assert.match(ProductSort.parse(['price']).error, /Informe sort/);
+});
+
+test('ordenação em memória compara nomes sem acento e sem caixa, com o ID como desempate', () => {
+    assert.deepStrictEqual(parse('name').sort(products).map(p => p.id), [4, 2, 3, 1]);
+    assert.deepStrictEqual(parse('price').sort(products).map(p => p.id), [1, 3, 2, 4]);
+    assert.deepStrictEqual(parse('-price,name').sort(products).map(p => p.id), [4, 2, 3, 1]);
+    assert.deepStrictEqual(parse('-created_at').sort(products).map(p => p.id), [4, 1, 3, 2]);
+});
+
+test('preço final vem da função informada e não é ordenável pelo banco', () => {
+    const sort = parse('final_price');
+    const finalPrice = product => product.category === 'livros' ? product.price / 2 : product.price;
+
+    assert.strictEqual(sort.isSqlSortable(), false);
+    assert.strictEqual(sort.usesFinalPrice(), true);
+    assert.deepStrictEqual(sort.sort(products, finalPrice).map(p => p.id), [1, 3, 2, 4]);
+    assert.strictEqual(parse('-price,created_at').isSqlSortable(), true);
+});
+
+test('ORDER BY usa as colunas da lista fixa com o ID como desempate final', () => {
+    const sort = parse('-price,name');
+    const query = new ProductQuery();
+    sort.keys.forEach(key => query.orderBy(ProductSort.columnFor(key.field), key.direction));
+
+    assert.match(query.build('SELECT p.* FROM products p').query, /ORDER BY p\.price DESC, p\.name ASC, p\.id ASC $/);
+    assert.match(new ProductQuery().orderBy('p.created_at', 'sideways').build('SELECT 1').query, /ORDER BY p\.created_at ASC, p\.id ASC/);
+});
+
+test('cursor volta à mesma posição na mesma ordenação', () => {
+    const sort = parse('-created_at,name');
+    const position = sort.positionOf(products[2]);
+    const cursor = sort.encodeCursor(position);
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepStrictEqual(sort.decodeCursor(cursor), { values: [Date.parse('2025-01-02T00:00:00Z'), 'Borracha'], id: 3 });
+    assert.deepStrictEqual(sort.seekKeys(sort.decodeCursor(cursor)), [
+        { column: 'p.created_at', direction: 'DESC', value: new Date('2025-01-02T00:00:00Z') },
+        { column: 'p.name', direction: 'ASC', value: 'Borracha' }
+    ]);
+});
+
+test('cursor de outra ordenação ou adulterado é recusado', () => {
+    const sort = parse('price');
+    const cursor = sort.encodeCursor(sort.positionOf(products[0]));
+    const tampered = data => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+    assert.strictEqual(parse('-price').decodeCursor(cursor), null);
+    assert.strictEqual(parse('price,name').decodeCursor(cursor), null);
+    assert.strictEqual(sort.decodeCursor(tampered({ sort: 'price', values: ['5 OR 1=1'], id: 1 })), null);
+    assert.strictEqual(sort.decodeCursor(tampered({ sort: 'price', values: [5, 6], id: 1 })), null);
+    assert.strictEqual(sort.decodeCursor(tampered({ sort: 'price', values: [5], id: '1' })), null);
+    assert.strictEqual(sort.decodeCursor(tampered({ sort: 'price', values: [5] })), null);
+    assert.strictEqual(parse('name').decodeCursor(tampered({ sort: 'name', values: [5], id: 1 })), null);
+    assert.strictEqual(sort.decodeCursor(cursor.slice(0, -4)), null);
+    assert.strictEqual(sort.decodeCursor('não é base64'), null);
+    assert.strictEqual(sort.decodeCursor(undefined), null);
+});
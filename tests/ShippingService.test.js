@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ShippingRules } = require('../src/models/ShippingRules.ts');
+const { ShippingService } = require('../src/services/ShippingService.ts');
+const { Product } = require('../src/models/Product.ts');
+
+/**
+ * Regras de frete: taxa por categoria, faixas de peso e de CEP e frete grátis
+ */
+const rules = new ShippingRules({
+    categoryRates: { eletronicos: 25, livros: 10 },
+    weightRanges: [
+        { minWeightKg: 0, maxWeightKg: 5, surcharge: 0 },
+        { minWeightKg: 5, maxWeightKg: 20, surcharge: 15 },
+        { minWeightKg: 20, maxWeightKg: null, surcharge: 40 }
+    ],
+    cepRanges: [{ region: 'Norte', cepStart: '66000000', cepEnd: '69999999', surcharge: 30 }],
+    freeShippingAbove: 500
+});
+
+const notebook = new Product({ id: 1, name: 'Notebook', category: 'eletronicos', price: 3000, weight_kg: 2.5 });
+const livro = new Product({ id: 2, name: 'Livro', category: 'livros', price: 50, weight_kg: 0.4 });
+
+test('taxa por categoria, 0 quando não configurada', () => {
+    assert.strictEqual(rules.rateFor('livros'), 10);
+    assert.strictEqual(rules.rateFor('alimentos'), 0);
+});
+
+test('faixas de peso: limite superior exclusivo e última faixa sem limite', () => {
+    assert.strictEqual(rules.weightSurchargeFor(4.999), 0);
+    assert.strictEqual(rules.weightSurchargeFor(5), 15);
+    assert.strictEqual(rules.weightSurchargeFor(100), 40);
+});
+
+test('CEP com hífen é normalizado e encontra a faixa', () => {
+    assert.strictEqual(ShippingRules.normalizeCep('66000-100'), '66000100');
+    assert.strictEqual(ShippingRules.normalizeCep('123'), null);
+    assert.strictEqual(rules.findCepRange('66000-100').region, 'Norte');
+    assert.strictEqual(rules.findCepRange('01310-100'), null);
+});
+
+test('cotação soma taxas x quantidade e acréscimos de peso e CEP', () => {
+    const quote = new ShippingService(rules).quote([
+        { product: livro, quantity: 3, unitPrice: 50 },
+        { product: notebook, quantity: 2, unitPrice: 100 }
+    ], '66000-100');
+
+    // 3 x 10 + 2 x 25 = 80; peso 6,2 kg (+15); região Norte (+30)
+    assert.strictEqual(quote.baseCost, 80);
+    assert.strictEqual(quote.weightSurcharge, 15);
+    assert.strictEqual(quote.region, 'Norte');
+    assert.strictEqual(quote.cepSurcharge, 30);
+    assert.strictEqual(quote.merchandiseTotal, 350);
+    assert.strictEqual(quote.freeShipping, false);
+    assert.strictEqual(quote.total, 125);
+});
+
+test('frete grátis a partir do valor das mercadorias', () => {
+    const quote = new ShippingService(rules).quote([{ product: livro, quantity: 10, unitPrice: 50 }]);
+
+    assert.strictEqual(quote.merchandiseTotal, 500);
+    assert.strictEqual(quote.freeShipping, true);
+    assert.strictEqual(quote.total, 0);
+});
+
+test('regras padrão têm apenas as taxas por categoria', () => {
+    const defaults = ShippingRules.defaults();
+    assert.strictEqual(defaults.rateFor('eletronicos'), 25);
+    assert.strictEqual(defaults.weightSurchargeFor(100), 0);
+    assert.strictEqual(defaults.isFreeShipping(1000000), false);
+});
+
+test('peso negativo ou não numérico torna o produto inválido', () => {
+    const data = { name: 'Caixa', category: 'livros', price: 10 };
+
+    assert.strictEqual(new Product({ ...data, weight_kg: '1.5' }).isValid(), true);
+    assert.strictEqual(new Product({ ...data, weight_kg: '' }).isValid(), true);
+    assert.strictEqual(new Product({ ...data, weight_kg: -1 }).isValid(), false);
+    assert.strictEqual(new Product({ ...data, weight_kg: 'pesado' }).isValid(), false);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { StackingPolicy } = require('../src/models/StackingPolicy.ts');
+const { Product } = require('../src/models/Product.ts');
+const { BasicPrice, CouponPercentOff, StackedDiscounts } = require('../src/services/PriceCalculators.ts');
+
+/**
+ * Modos de acúmulo de descontos (StackedDiscounts com StackingPolicy)
+ */
+const product = new Product({ id: 1, name: 'Notebook', category: 'eletronicos', price: 100 });
+
+function priceWith(policyData) {
+    const discounts = [
+        inner => new CouponPercentOff(inner, 0.1),
+        inner => new CouponPercentOff(inner, 0.05)
+    ];
+    return new StackedDiscounts(new BasicPrice(), discounts, new StackingPolicy(policyData)).total(product);
+}
+
+test('compound encadeia os descontos: 10% e depois 5%', () => {
+    assert.strictEqual(priceWith({ mode: 'compound' }), 85.5);
+});
+
+test('additive soma os descontos: 10% + 5%', () => {
+    assert.strictEqual(priceWith({ mode: 'additive' }), 85);
+});
+
+test('best aplica apenas o maior desconto', () => {
+    assert.strictEqual(priceWith({ mode: 'best' }), 90);
+});
+
+test('limite máximo de desconto vale em todos os modos', () => {
+    assert.strictEqual(priceWith({ mode: 'compound', maxDiscountPercent: 12 }), 88);
+    assert.strictEqual(priceWith({ mode: 'additive', maxDiscountPercent: 12 }), 88);
+    assert.strictEqual(priceWith({ mode: 'best', maxDiscountPercent: 12 }), 90);
+});
+
+test('padrão é compound sem limite', () => {
+    const policy = new StackingPolicy();
+    assert.strictEqual(policy.mode, 'compound');
+    assert.strictEqual(policy.maxDiscountPercent, null);
+    assert.strictEqual(priceWith({}), 85.5);
+});
+
+test('StackingPolicy valida modo e limite', () => {
+    assert.strictEqual(new StackingPolicy({ mode: 'additive', maxDiscountPercent: '30' }).isValid(), true);
+    assert.strictEqual(new StackingPolicy({ mode: 'sum' }).isValid(), false);
+    assert.strictEqual(new StackingPolicy({ maxDiscountPercent: 150 }).isValid(), false);
+});
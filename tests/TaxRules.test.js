@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TaxRules } = require('../src/models/TaxRules.ts');
+const { Money } = require('../src/models/Money.ts');
+const { Product } = require('../src/models/Product.ts');
+const { BasicPrice, TaxDecorator } = require('../src/services/PriceCalculators.ts');
+
+/**
+ * Alíquotas por categoria e UF de destino
+ */
+const rules = new TaxRules([
+    { category: 'eletronicos', uf: null, kind: 'icms', rate: 18 },
+    { category: 'eletronicos', uf: 'RJ', kind: 'icms', rate: 20 },
+    { category: 'eletronicos', uf: null, kind: 'iss', rate: 0 },
+    { category: 'alimentos', uf: 'SP', kind: 'icms', rate: 7 }
+]);
+
+test('alíquota da UF tem precedência sobre a geral', () => {
+    assert.deepStrictEqual(rules.ratesFor('eletronicos', 'rj').map(r => r.rate), [20]);
+    assert.deepStrictEqual(rules.ratesFor('eletronicos', 'SP').map(r => r.rate), [18]);
+});
+
+test('alíquota zero e categoria sem alíquota não geram imposto', () => {
+    assert.deepStrictEqual(rules.ratesFor('eletronicos', 'SP').map(r => r.kind), ['icms']);
+    assert.deepStrictEqual(rules.ratesFor('alimentos', 'MG'), []);
+    assert.deepStrictEqual(rules.ratesFor('livros', 'SP'), []);
+});
+
+test('imposto arredondado para centavos segundo o modo', () => {
+    const base = Money.fromDecimal('10.25');
+    const halfRules = new TaxRules([{ category: 'livros', uf: null, kind: 'iss', rate: 2 }]);
+
+    // 2% de 10,25 = 0,205
+    assert.strictEqual(halfRules.calculate('livros', 'SP', base, 'half-up')[0].amount, 0.21);
+    assert.strictEqual(halfRules.calculate('livros', 'SP', base, 'half-even')[0].amount, 0.2);
+    assert.deepStrictEqual(halfRules.calculate('livros', 'sp', base)[0], {
+        kind: 'iss', uf: 'SP', rate: 2, base: 10.25, amount: 0.21
+    });
+});
+
+test('TaxDecorator soma o imposto só na exibição inclusive', () => {
+    const product = new Product({ id: 1, name: 'Celular', category: 'eletronicos', price: 1000 });
+
+    assert.strictEqual(new TaxDecorator(new BasicPrice(), rules, 'RJ', 'inclusive').total(product), 1200);
+    assert.strictEqual(new TaxDecorator(new BasicPrice(), rules, 'RJ', 'exclusive').total(product), 1000);
+    assert.strictEqual(new TaxDecorator(new BasicPrice(), rules, 'RJ').getTaxes(product)[0].amount, 200);
+});
+
+test('TaxRules valida tributo, UF e alíquota', () => {
+    assert.strictEqual(rules.isValid(), true);
+    assert.strictEqual(new TaxRules([{ category: 'livros', uf: null, kind: 'ipi', rate: 5 }]).isValid(), false);
+    assert.strictEqual(new TaxRules([{ category: 'livros', uf: 'XX', kind: 'icms', rate: 5 }]).isValid(), false);
+    assert.strictEqual(new TaxRules([{ category: 'livros', uf: null, kind: 'icms', rate: 120 }]).isValid(), false);
+    assert.strictEqual(TaxRules.isValidUf('df'), true);
+});